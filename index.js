@@ -4,13 +4,26 @@ import cors from "cors";
 import swaggerUi from "swagger-ui-express";
 import swaggerJsdoc from "swagger-jsdoc";
 import prisma from "./src/database/prisma.js";
+import { startRecurringSpendingsJob, stopRecurringSpendingsJob } from "./src/jobs/recurringSpendings.js";
+import { startPurgeTrashJob, stopPurgeTrashJob } from "./src/jobs/purgeTrash.js";
+import { startWebhookDeliveriesJob, stopWebhookDeliveriesJob } from "./src/jobs/webhookDeliveries.js";
+import config from "./src/config.js";
+import { apiRateLimit } from "./src/middleware/rateLimit.js";
+import { moneyJsonReplacer } from "./src/services/money.js";
+import { closeGroupStreams } from "./src/services/groupStream.js";
+import { addValidationDocs } from "./src/services/openapi.js";
+import { notFoundHandler, errorHandler } from "./src/middleware/errorHandler.js";
 
 // Settings
 const app = express();
 
+app.set("trust proxy", config.trustProxy);
+app.set("json replacer", moneyJsonReplacer);
+
 app.use(bodyParser.urlencoded({extended: false}));
 app.use(bodyParser.json());
 app.use(cors());
+app.use(apiRateLimit);
 
 // Swagger setup
 const swaggerOptions = {
@@ -44,20 +57,58 @@ swaggerDefinition: {
     apis: ["./src/controllers/*.js"],
 };
 
-const swaggerDocs = swaggerJsdoc(swaggerOptions);
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 // Controllers
 import UserController from "./src/controllers/UserController.js";
 import SpendingController from "./src/controllers/SpendingController.js";
 import GroupController from "./src/controllers/GroupController.js";
+import CategoryController from "./src/controllers/CategoryController.js";
+import GroupExpenseController from "./src/controllers/GroupExpenseController.js";
+import GroupInviteController from "./src/controllers/GroupInviteController.js";
+import BudgetController from "./src/controllers/BudgetController.js";
+import RecurringSpendingController from "./src/controllers/RecurringSpendingController.js";
+import InstallmentController from "./src/controllers/InstallmentController.js";
+import ReportController from "./src/controllers/ReportController.js";
+import ImportController from "./src/controllers/ImportController.js";
+import ExportController from "./src/controllers/ExportController.js";
+import SessionController from "./src/controllers/SessionController.js";
+import ExchangeRateController from "./src/controllers/ExchangeRateController.js";
+import AttachmentController from "./src/controllers/AttachmentController.js";
+import AuditController from "./src/controllers/AuditController.js";
+import TagController from "./src/controllers/TagController.js";
+import WebhookController from "./src/controllers/WebhookController.js";
+import GraphQLController from "./src/controllers/GraphQLController.js";
 
 // Routes
 app.use("", UserController);
 app.use("", SpendingController);
 app.use("", GroupController);
+app.use("", CategoryController);
+app.use("", GroupExpenseController);
+app.use("", GroupInviteController);
+app.use("", BudgetController);
+app.use("", RecurringSpendingController);
+app.use("", InstallmentController);
+app.use("", ReportController);
+app.use("", ImportController);
+app.use("", ExportController);
+app.use("", SessionController);
+app.use("", ExchangeRateController);
+app.use("", AttachmentController);
+app.use("", AuditController);
+app.use("", TagController);
+app.use("", WebhookController);
+app.use("", GraphQLController);
+
+// A documentação é gerada depois das rotas para incluir os esquemas de validação de cada uma
+const swaggerDocs = addValidationDocs(swaggerJsdoc(swaggerOptions), app);
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
+
+// Errors
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-app.listen(3000, (err) =>{
+const server = app.listen(3000, (err) =>{
     if (err) {
         console.error("Error starting server:", err);
       } else {
@@ -66,7 +117,16 @@ app.listen(3000, (err) =>{
       }
 });
 
+// Jobs
+startRecurringSpendingsJob();
+startPurgeTrashJob();
+startWebhookDeliveriesJob();
+
 process.on('SIGTERM', async () => {
+    stopRecurringSpendingsJob();
+    stopPurgeTrashJob();
+    stopWebhookDeliveriesJob();
+    closeGroupStreams();
     await prisma.$disconnect();
     server.close(() => {
       console.log('Process terminated');
@@ -74,6 +134,10 @@ process.on('SIGTERM', async () => {
 });
   
 process.on('SIGINT', async () => {
+    stopRecurringSpendingsJob();
+    stopPurgeTrashJob();
+    stopWebhookDeliveriesJob();
+    closeGroupStreams();
     await prisma.$disconnect();
     server.close(() => {
         console.log('Process interrupted');
@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "Frequency" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY');
+
+-- AlterTable
+ALTER TABLE "Spending" ADD COLUMN     "occurrenceDate" TIMESTAMP(3),
+ADD COLUMN     "recurringSpendingId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RecurringSpending" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "frequency" "Frequency" NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "dayOfMonth" INTEGER,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "paused" BOOLEAN NOT NULL DEFAULT false,
+    "materializedUntil" TIMESTAMP(3),
+    "userId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecurringSpending_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RecurringSpendingSkip" (
+    "id" SERIAL NOT NULL,
+    "recurringSpendingId" INTEGER NOT NULL,
+    "occurrenceDate" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecurringSpendingSkip_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Spending_recurringSpendingId_occurrenceDate_key" ON "Spending"("recurringSpendingId", "occurrenceDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RecurringSpendingSkip_recurringSpendingId_occurrenceDate_key" ON "RecurringSpendingSkip"("recurringSpendingId", "occurrenceDate");
+
+-- AddForeignKey
+ALTER TABLE "Spending" ADD CONSTRAINT "Spending_recurringSpendingId_fkey" FOREIGN KEY ("recurringSpendingId") REFERENCES "RecurringSpending"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringSpending" ADD CONSTRAINT "RecurringSpending_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringSpending" ADD CONSTRAINT "RecurringSpending_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringSpendingSkip" ADD CONSTRAINT "RecurringSpendingSkip_recurringSpendingId_fkey" FOREIGN KEY ("recurringSpendingId") REFERENCES "RecurringSpending"("id") ON DELETE CASCADE ON UPDATE CASCADE;
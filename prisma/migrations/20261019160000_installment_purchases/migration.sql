@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "InstallmentStatus" AS ENUM ('ACTIVE', 'CANCELLED', 'PREPAID');
+
+-- AlterTable
+ALTER TABLE "Spending" ADD COLUMN     "installmentNumber" INTEGER,
+ADD COLUMN     "installmentPurchaseId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "InstallmentPurchase" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "installments" INTEGER NOT NULL,
+    "firstDay" TIMESTAMP(3) NOT NULL,
+    "status" "InstallmentStatus" NOT NULL DEFAULT 'ACTIVE',
+    "userId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InstallmentPurchase_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Spending_installmentPurchaseId_installmentNumber_key" ON "Spending"("installmentPurchaseId", "installmentNumber");
+
+-- AddForeignKey
+ALTER TABLE "Spending" ADD CONSTRAINT "Spending_installmentPurchaseId_fkey" FOREIGN KEY ("installmentPurchaseId") REFERENCES "InstallmentPurchase"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InstallmentPurchase" ADD CONSTRAINT "InstallmentPurchase_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InstallmentPurchase" ADD CONSTRAINT "InstallmentPurchase_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Spending_userId_day_idx" ON "Spending"("userId", "day");
+
+-- CreateIndex
+CREATE INDEX "Spending_day_idx" ON "Spending"("day");
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "baseCurrency" TEXT NOT NULL DEFAULT 'BRL';
+
+-- AlterTable
+ALTER TABLE "Group" ADD COLUMN     "baseCurrency" TEXT NOT NULL DEFAULT 'BRL';
+
+-- AlterTable
+ALTER TABLE "Spending" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'BRL';
+
+-- AlterTable
+ALTER TABLE "RecurringSpending" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'BRL';
+
+-- AlterTable
+ALTER TABLE "InstallmentPurchase" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'BRL';
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" SERIAL NOT NULL,
+    "day" DATE NOT NULL,
+    "currency" TEXT NOT NULL,
+    "base" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_currency_base_day_key" ON "ExchangeRate"("currency", "base", "day");
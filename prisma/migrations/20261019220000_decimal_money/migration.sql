@@ -0,0 +1,24 @@
+-- Os valores em Float são arredondados para centavos ao converter para DECIMAL(14, 2)
+-- (ex.: 0.30000000000000004 vira 0.30). Valores maiores que o tipo comporta fazem a migração falhar
+-- em vez de serem truncados.
+
+-- AlterTable
+ALTER TABLE "Spending" ALTER COLUMN "value" SET DATA TYPE DECIMAL(14,2) USING ROUND("value"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "GroupExpense" ALTER COLUMN "value" SET DATA TYPE DECIMAL(14,2) USING ROUND("value"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "GroupExpenseShare" ALTER COLUMN "value" SET DATA TYPE DECIMAL(14,2) USING ROUND("value"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "Settlement" ALTER COLUMN "value" SET DATA TYPE DECIMAL(14,2) USING ROUND("value"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "Budget" ALTER COLUMN "limit" SET DATA TYPE DECIMAL(14,2) USING ROUND("limit"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "RecurringSpending" ALTER COLUMN "value" SET DATA TYPE DECIMAL(14,2) USING ROUND("value"::numeric, 2);
+
+-- AlterTable
+ALTER TABLE "InstallmentPurchase" ALTER COLUMN "value" SET DATA TYPE DECIMAL(14,2) USING ROUND("value"::numeric, 2);
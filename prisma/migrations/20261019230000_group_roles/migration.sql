@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "GroupRole" AS ENUM ('OWNER', 'ADMIN', 'MEMBER');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "groupRole" "GroupRole";
+
+-- Os membros atuais viram MEMBER, e o membro mais antigo de cada grupo vira o dono
+UPDATE "User" SET "groupRole" = 'MEMBER' WHERE "groupId" IS NOT NULL;
+UPDATE "User" u SET "groupRole" = 'OWNER'
+WHERE u."id" IN (SELECT MIN("id") FROM "User" WHERE "groupId" IS NOT NULL GROUP BY "groupId");
+
+-- CreateTable
+CREATE TABLE "GroupInvite" (
+    "id" SERIAL NOT NULL,
+    "groupId" INTEGER NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "maxUses" INTEGER,
+    "uses" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GroupInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GroupInvite_codeHash_key" ON "GroupInvite"("codeHash");
+
+-- CreateIndex
+CREATE INDEX "GroupInvite_groupId_idx" ON "GroupInvite"("groupId");
+
+-- AddForeignKey
+ALTER TABLE "GroupInvite" ADD CONSTRAINT "GroupInvite_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupInvite" ADD CONSTRAINT "GroupInvite_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- CreateTable
+CREATE TABLE "GroupMember" (
+    "id" SERIAL NOT NULL,
+    "groupId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "GroupRole" NOT NULL DEFAULT 'MEMBER',
+    "nickname" TEXT,
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GroupMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GroupMember_groupId_userId_key" ON "GroupMember"("groupId", "userId");
+
+-- CreateIndex
+CREATE INDEX "GroupMember_userId_idx" ON "GroupMember"("userId");
+
+-- AddForeignKey
+ALTER TABLE "GroupMember" ADD CONSTRAINT "GroupMember_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GroupMember" ADD CONSTRAINT "GroupMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Copia a participação atual de cada usuário (User.groupId) para a nova tabela
+INSERT INTO "GroupMember" ("groupId", "userId", "role")
+SELECT "groupId", "id", COALESCE("groupRole", 'MEMBER')
+FROM "User"
+WHERE "groupId" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Spending" ADD COLUMN     "groupId" INTEGER;
+
+-- Até aqui todos os gastos de um membro contavam para o grupo dele, então os gastos existentes ficam marcados com esse grupo
+UPDATE "Spending" s SET "groupId" = u."groupId"
+FROM "User" u
+WHERE u."id" = s."userId" AND u."groupId" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Spending_groupId_day_idx" ON "Spending"("groupId", "day");
+
+-- AddForeignKey
+ALTER TABLE "Spending" ADD CONSTRAINT "Spending_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "Group"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- DropForeignKey
+ALTER TABLE "User" DROP CONSTRAINT "User_groupId_fkey";
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "groupId",
+DROP COLUMN "groupRole";
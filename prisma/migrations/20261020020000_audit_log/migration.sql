@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "AuditEntity" AS ENUM ('SPENDING', 'GROUP', 'GROUP_MEMBER');
+
+-- CreateEnum
+CREATE TYPE "AuditAction" AS ENUM ('CREATE', 'UPDATE', 'DELETE');
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" SERIAL NOT NULL,
+    "entity" "AuditEntity" NOT NULL,
+    "entityId" INTEGER NOT NULL,
+    "action" "AuditAction" NOT NULL,
+    "actorId" INTEGER,
+    "groupId" INTEGER,
+    "before" JSONB,
+    "after" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_entity_entityId_idx" ON "AuditLog"("entity", "entityId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_groupId_idx" ON "AuditLog"("groupId");
+
+-- AddForeignKey
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
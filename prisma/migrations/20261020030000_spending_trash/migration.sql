@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "AuditAction" ADD VALUE 'RESTORE';
+
+-- AlterTable
+ALTER TABLE "Spending" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Spending_deletedAt_idx" ON "Spending"("deletedAt");
@@ -0,0 +1,53 @@
+-- Busca textual em português sem diferenciar acentos ("cafe" encontra "Café")
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+CREATE TEXT SEARCH CONFIGURATION "pt_unaccent" (COPY = portuguese);
+ALTER TEXT SEARCH CONFIGURATION "pt_unaccent"
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+
+-- AlterTable
+ALTER TABLE "Spending" ADD COLUMN     "notes" TEXT;
+
+-- O vetor de busca é calculado pelo banco a partir do nome (peso maior) e das observações
+ALTER TABLE "Spending" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('pt_unaccent'::regconfig, coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('pt_unaccent'::regconfig, coalesce("notes", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Spending_searchVector_idx" ON "Spending" USING GIN ("searchVector");
+
+-- CreateTable
+CREATE TABLE "Tag" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT,
+    "userId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Tag_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_SpendingToTag" (
+    "A" INTEGER NOT NULL,
+    "B" INTEGER NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Tag_userId_name_key" ON "Tag"("userId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "_SpendingToTag_AB_unique" ON "_SpendingToTag"("A", "B");
+
+-- CreateIndex
+CREATE INDEX "_SpendingToTag_B_index" ON "_SpendingToTag"("B");
+
+-- AddForeignKey
+ALTER TABLE "Tag" ADD CONSTRAINT "Tag_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_SpendingToTag" ADD CONSTRAINT "_SpendingToTag_A_fkey" FOREIGN KEY ("A") REFERENCES "Spending"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_SpendingToTag" ADD CONSTRAINT "_SpendingToTag_B_fkey" FOREIGN KEY ("B") REFERENCES "Tag"("id") ON DELETE CASCADE ON UPDATE CASCADE;
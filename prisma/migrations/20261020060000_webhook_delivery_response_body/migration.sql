@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "WebhookDelivery" DROP COLUMN "responseBody";
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "Budget" DROP CONSTRAINT "Budget_categoryId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "Budget" ADD CONSTRAINT "Budget_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
@@ -0,0 +1,147 @@
+// Configurações lidas das variáveis de ambiente, com valores padrão para desenvolvimento
+
+// Porcentagens do orçamento que geram aviso ao cadastrar um gasto (ex.: "80,100")
+const budgetWarningThresholds = (process.env.BUDGET_WARNING_THRESHOLDS || "80,100")
+    .split(",")
+    .map(value => Number(value.trim()))
+    .filter(value => !isNaN(value) && value > 0)
+    .sort((a, b) => a - b);
+
+// Intervalo, em minutos, entre as execuções da geração de gastos recorrentes
+const recurringSpendingsIntervalMinutes = Number(process.env.RECURRING_SPENDINGS_INTERVAL_MINUTES) || 60;
+
+// Segredo usado para assinar os tokens de acesso. Os segredos anteriores (separados por vírgula)
+// continuam valendo na verificação, permitindo trocar o segredo sem derrubar as sessões.
+// O segredo padrão é público, então em produção (NODE_ENV=production) JWT_SECRET é obrigatório
+if(!process.env.JWT_SECRET && process.env.NODE_ENV == "production") {
+    throw Error("Defina JWT_SECRET para iniciar em produção!");
+}
+const jwtSecret = process.env.JWT_SECRET || "MMsEBmPHMcMMsEBmPHMcMMsEBmPHMcMMsEBmPHMc";
+const jwtPreviousSecrets = (process.env.JWT_PREVIOUS_SECRETS || "")
+    .split(",")
+    .map(value => value.trim())
+    .filter(value => value != "");
+
+// Validade do token de acesso (no formato do jsonwebtoken, ex.: "15m") e do refresh token, em dias
+const accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const refreshTokenExpiresInDays = Number(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30;
+
+// Envio de emails: "disk" grava as mensagens em arquivos .eml em MAIL_OUTBOX_DIR e "memory" as guarda em memória
+const mailTransport = process.env.MAIL_TRANSPORT || "disk";
+const mailOutboxDir = process.env.MAIL_OUTBOX_DIR || "./outbox";
+const mailFrom = process.env.MAIL_FROM || "Spending API <no-reply@spendingapi.local>";
+
+// Endereço do front-end usado nos links enviados por email e nos convites de grupo
+const appUrl = (process.env.APP_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+// Validade dos links de verificação de email (em horas) e de redefinição de senha (em minutos)
+const emailVerificationExpiresInHours = Number(process.env.EMAIL_VERIFICATION_EXPIRES_IN_HOURS) || 24;
+const passwordResetExpiresInMinutes = Number(process.env.PASSWORD_RESET_EXPIRES_IN_MINUTES) || 60;
+
+// Onde ficam os contadores de tentativas e de requisições: "memory" ou "database" (mantidos entre reinícios)
+const rateLimitStore = process.env.RATE_LIMIT_STORE || "memory";
+
+// Limite geral de requisições por IP a cada RATE_LIMIT_WINDOW_SECONDS
+const rateLimitWindowSeconds = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const rateLimitMax = Number(process.env.RATE_LIMIT_MAX) || 120;
+
+// Limites por rota, no formato "MÉTODO /caminho=máximo" separados por ";". O caminho vale como prefixo
+// e "*" no método aceita qualquer método (ex.: "POST /spending/import=10;* /reports=30")
+const rateLimitRoutes = (process.env.RATE_LIMIT_ROUTES || "POST /login=10;POST /group/join=10;POST /password/forgot=5;POST /spending/import=10")
+    .split(";")
+    .map(rule => rule.trim().match(/^(\S+)\s+(\S+)\s*=\s*(\d+)$/))
+    .filter(match => match != null)
+    .map(([, method, path, max]) => ({method: method.toUpperCase(), path, max: Number(max)}));
+
+// Bloqueio progressivo após senhas erradas: a cada novo bloqueio a duração dobra, até o máximo
+const loginMaxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const loginMaxAttemptsPerIp = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const loginLockoutSeconds = Number(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const loginLockoutMaxSeconds = Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+
+// Validade padrão dos convites de grupo (em horas)
+const groupInviteExpiresInHours = Number(process.env.GROUP_INVITE_EXPIRES_IN_HOURS) || 72;
+
+// Dias que os gastos removidos ficam na lixeira e intervalo, em minutos, entre as limpezas da lixeira
+const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const trashPurgeIntervalMinutes = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+// Armazenamento dos anexos dos gastos: "local" grava os arquivos em STORAGE_DIR e "memory" os guarda em memória
+const storageDriver = process.env.STORAGE_DRIVER || "local";
+const storageDir = process.env.STORAGE_DIR || "./uploads";
+
+// Limites dos anexos: tamanho de cada arquivo (em MB) e quantidade de arquivos por gasto
+const attachmentMaxSizeMb = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const attachmentMaxFiles = Number(process.env.ATTACHMENT_MAX_FILES) || 10;
+
+// Entrega dos webhooks: tempo máximo de cada requisição, quantidade de tentativas, espera antes da
+// primeira nova tentativa (dobra a cada falha) e intervalo entre as verificações da fila
+const webhookTimeoutSeconds = Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10;
+const webhookMaxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const webhookRetryBaseSeconds = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const webhookPollIntervalSeconds = Number(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 5;
+
+// Hosts (separados por vírgula) aceitos como destino de webhooks mesmo resolvendo para endereços
+// privados, de loopback ou link-local. Serve para testar webhooks em desenvolvimento local
+const webhookAllowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map(value => value.trim().toLowerCase())
+    .filter(value => value != "");
+
+// Intervalo, em segundos, entre os comentários enviados para manter abertas as conexões da atividade
+// em tempo real dos grupos; a cada intervalo a conexão também confere a sessão e busca registros novos
+const groupStreamHeartbeatSeconds = Number(process.env.GROUP_STREAM_HEARTBEAT_SECONDS) || 25;
+
+// Emails dos usuários que podem cadastrar, importar e remover cotações (separados por vírgula).
+// As cotações valem para todos os usuários e grupos, então as demais contas apenas as consultam
+const exchangeRateAdmins = (process.env.EXCHANGE_RATE_ADMINS || "")
+    .split(",")
+    .map(value => value.trim().toLowerCase())
+    .filter(value => value != "");
+
+// Valor repassado ao "trust proxy" do Express, para identificar o IP do cliente atrás de um proxy
+// ("true", número de proxies ou lista de endereços)
+const trustProxy = !process.env.TRUST_PROXY ? false
+    : process.env.TRUST_PROXY == "true" ? true
+    : !isNaN(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY;
+
+const config = {
+    budgetWarningThresholds,
+    recurringSpendingsIntervalMinutes,
+    jwtSecret,
+    jwtPreviousSecrets,
+    accessTokenExpiresIn,
+    refreshTokenExpiresInDays,
+    mailTransport,
+    mailOutboxDir,
+    mailFrom,
+    appUrl,
+    emailVerificationExpiresInHours,
+    passwordResetExpiresInMinutes,
+    rateLimitStore,
+    rateLimitWindowSeconds,
+    rateLimitMax,
+    rateLimitRoutes,
+    loginMaxAttempts,
+    loginMaxAttemptsPerIp,
+    loginLockoutSeconds,
+    loginLockoutMaxSeconds,
+    groupInviteExpiresInHours,
+    trashRetentionDays,
+    trashPurgeIntervalMinutes,
+    storageDriver,
+    storageDir,
+    attachmentMaxSizeMb,
+    attachmentMaxFiles,
+    webhookTimeoutSeconds,
+    webhookMaxAttempts,
+    webhookRetryBaseSeconds,
+    webhookPollIntervalSeconds,
+    webhookAllowedHosts,
+    groupStreamHeartbeatSeconds,
+    exchangeRateAdmins,
+    trustProxy
+};
+
+export default config;
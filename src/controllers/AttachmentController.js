@@ -0,0 +1,320 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import upload from "../middleware/upload.js";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { forbidden, canManageSpending, canReadSpending } from "../middleware/policies.js";
+import { attachmentUploadTypes, saveAttachments, formatAttachment, deleteAttachmentFiles, THUMBNAIL_TYPE } from "../services/attachments.js";
+import { getFile } from "../services/storage.js";
+import { validate } from "../middleware/validate.js";
+import { spendingParams, attachmentParams } from "../schemas/spendings.js";
+import { NotFoundError, ForbiddenError } from "../errors.js";
+
+const router = express.Router();
+
+/**
+ * Middleware que carrega o gasto do parâmetro de rota "id" em req.spending, respondendo 404 se ele não existir
+ * e 403 se o usuário logado não puder vê-lo (ou, com "manage", alterá-lo). Roda antes do upload,
+ * para não receber arquivos de quem não pode enviá-los.
+ */
+function loadSpending({manage = false} = {}) {
+    return async (req, res, next) => {
+        try {
+            const spending = await prisma.spending.findFirst({where: {id: req.params.id, deletedAt: null}});
+            if(spending == null) throw new NotFoundError("Gasto não encontrado!");
+
+            const allowed = manage
+                ? canManageSpending(req.loggedUser.id, spending)
+                : await canReadSpending(req.loggedUser.id, spending);
+            if(!allowed) return forbidden(res, "Você não tem permissão para acessar os anexos deste gasto!");
+
+            req.spending = spending;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Busca o anexo, lançando NotFoundError ou ForbiddenError quando o usuário não pode acessá-lo
+async function findAttachment(actorId, attachmentId, {manage = false} = {}) {
+    const attachment = await prisma.attachment.findUnique({
+        where: {id: attachmentId},
+        include: {spending: {select: {userId: true, groupId: true, deletedAt: true}}}
+    });
+    // Os anexos de gastos na lixeira só voltam a ser acessíveis quando o gasto é restaurado
+    if(attachment == null || attachment.spending.deletedAt != null) throw new NotFoundError("Anexo não encontrado!");
+
+    const allowed = manage
+        ? canManageSpending(actorId, attachment.spending)
+        : await canReadSpending(actorId, attachment.spending);
+    if(!allowed) throw new ForbiddenError("Você não tem permissão para acessar este anexo!");
+
+    return attachment;
+}
+
+// Envia o arquivo guardado com o nome original; "inline" permite exibir imagens e PDFs direto no navegador
+async function sendStoredFile(res, key, contentType, filename) {
+    const content = await getFile(key);
+    if(content == null) throw new NotFoundError("Arquivo não encontrado!");
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Length", content.length);
+    res.setHeader("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.end(content);
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Attachments
+ *     description: >
+ *       Comprovantes anexados aos gastos (imagens JPEG, PNG, WebP ou GIF e PDFs). Imagens ganham uma miniatura.
+ *       Os anexos podem ser vistos por quem pode ver o gasto e são removidos quando ele é apagado da lixeira.
+ *
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         spendingId:
+ *           type: integer
+ *         filename:
+ *           type: string
+ *           example: nota-fiscal.pdf
+ *         contentType:
+ *           type: string
+ *           example: application/pdf
+ *         size:
+ *           type: integer
+ *           description: Tamanho em bytes
+ *         downloadUrl:
+ *           type: string
+ *           example: /attachments/1/download
+ *         thumbnailUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Endereço da miniatura (apenas para imagens)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /spending/{id}/attachments:
+ *   post:
+ *     tags:
+ *       - Attachments
+ *     summary: Anexa arquivos a um gasto
+ *     description: >
+ *       Recebe um ou mais arquivos no campo "files". O tipo é conferido pelo conteúdo do arquivo.
+ *       O tamanho de cada arquivo e a quantidade de anexos por gasto são limitados
+ *       (ATTACHMENT_MAX_SIZE_MB e ATTACHMENT_MAX_FILES). Apenas o dono do gasto pode anexar arquivos.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - files
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Arquivos anexados com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Arquivo inválido, muito grande ou limite de anexos atingido
+ *       403:
+ *         description: O gasto não pertence ao usuário logado
+ *       404:
+ *         description: Gasto não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/spending/:id/attachments", auth, validate({params: spendingParams}), loadSpending({manage: true}), upload("files", {
+    maxSize: config.attachmentMaxSizeMb * 1024 * 1024,
+    maxCount: config.attachmentMaxFiles,
+    types: attachmentUploadTypes
+}), async (req, res, next) => {
+    try {
+        const attachments = await saveAttachments(req.spending.id, req.files);
+
+        res.statusCode = 201;
+        res.send({
+            message: "Arquivos anexados com sucesso!",
+            data: attachments.map(formatAttachment)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /spending/{id}/attachments:
+ *   get:
+ *     tags:
+ *       - Attachments
+ *     summary: Lista os anexos de um gasto
+ *     description: Disponível para quem pode ver o gasto (o dono ou os membros do grupo com que ele está marcado).
+ *     responses:
+ *       200:
+ *         description: Anexos obtidos com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       403:
+ *         description: O usuário logado não pode ver o gasto
+ *       404:
+ *         description: Gasto não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/spending/:id/attachments", auth, validate({params: spendingParams}), loadSpending(), async (req, res, next) => {
+    try {
+        const attachments = await prisma.attachment.findMany({
+            where: {spendingId: req.spending.id},
+            orderBy: {id: "asc"}
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Anexos obtidos com sucesso!",
+            data: attachments.map(formatAttachment)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /attachments/{id}/download:
+ *   get:
+ *     tags:
+ *       - Attachments
+ *     summary: Baixa um anexo
+ *     description: Retorna o arquivo original. Disponível para quem pode ver o gasto.
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: O usuário logado não pode ver o gasto
+ *       404:
+ *         description: Anexo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/attachments/:id/download", auth, validate({params: attachmentParams}), async (req, res, next) => {
+    try {
+        const attachment = await findAttachment(req.loggedUser.id, req.params.id);
+
+        await sendStoredFile(res, attachment.storageKey, attachment.contentType, attachment.filename);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /attachments/{id}/thumbnail:
+ *   get:
+ *     tags:
+ *       - Attachments
+ *     summary: Obtém a miniatura de um anexo
+ *     description: Retorna a miniatura (WebP, até 256 pixels) de um anexo de imagem. Disponível para quem pode ver o gasto.
+ *     responses:
+ *       200:
+ *         description: Miniatura da imagem
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: O usuário logado não pode ver o gasto
+ *       404:
+ *         description: Anexo não encontrado ou sem miniatura
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/attachments/:id/thumbnail", auth, validate({params: attachmentParams}), async (req, res, next) => {
+    try {
+        const attachment = await findAttachment(req.loggedUser.id, req.params.id);
+
+        if(!attachment.thumbnailKey) throw new NotFoundError("O anexo não tem miniatura!");
+
+        const filename = attachment.filename.replace(/\.[^.]*$/, "") + "-miniatura.webp";
+        await sendStoredFile(res, attachment.thumbnailKey, THUMBNAIL_TYPE, filename);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /attachments/{id}:
+ *   delete:
+ *     tags:
+ *       - Attachments
+ *     summary: Remove um anexo
+ *     description: Remove o anexo e seus arquivos. Apenas o dono do gasto pode remover anexos.
+ *     responses:
+ *       204:
+ *         description: Anexo removido com sucesso
+ *       403:
+ *         description: O gasto não pertence ao usuário logado
+ *       404:
+ *         description: Anexo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/attachments/:id", auth, validate({params: attachmentParams}), async (req, res, next) => {
+    try {
+        const attachment = await findAttachment(req.loggedUser.id, req.params.id, {manage: true});
+
+        await prisma.attachment.delete({where: {id: attachment.id}});
+        await deleteAttachmentFiles([attachment]);
+
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
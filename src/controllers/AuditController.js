@@ -0,0 +1,325 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { forbidden, canReadSpending, authorizeGroupRoles } from "../middleware/policies.js";
+import { GROUP_ROLES, findSharedGroupIds } from "../services/groups.js";
+import { findAuditPage } from "../services/audit.js";
+import { findActiveSession } from "../services/sessions.js";
+import {
+    findLastActivityId, findActivitySince, formatStreamEvent, endsStream, subscribeGroupActivity
+} from "../services/groupStream.js";
+import config from "../config.js";
+import { validate } from "../middleware/validate.js";
+import { spendingParams } from "../schemas/spendings.js";
+import { groupParams } from "../schemas/groups.js";
+import { historyQuery, activityQuery, streamQuery } from "../schemas/audit.js";
+import { NotFoundError, BadRequestError } from "../errors.js";
+
+const router = express.Router();
+
+// Espera sugerida ao navegador antes de reconectar à atividade em tempo real, em milissegundos
+const STREAM_RETRY_MS = 3000;
+
+// O EventSource do navegador não envia cabeçalhos: a conexão em tempo real também aceita o token em "access_token"
+function acceptQueryToken(req, res, next) {
+    if(req.headers["authorization"] == undefined && req.query.access_token) {
+        req.headers["authorization"] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: History
+ *     description: >
+ *       Histórico das alterações em gastos, grupos e participações: quem alterou, quando e os valores
+ *       antes e depois (nas atualizações, apenas os campos alterados). O histórico não pode ser editado.
+ *
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         entity:
+ *           type: string
+ *           enum: [SPENDING, GROUP, GROUP_MEMBER]
+ *         entityId:
+ *           type: integer
+ *           description: ID do gasto ou do grupo; em GROUP_MEMBER, o ID do usuário membro
+ *         action:
+ *           type: string
+ *           enum: [CREATE, UPDATE, DELETE, RESTORE]
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: Usuário que fez a alteração
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         groupId:
+ *           type: integer
+ *           nullable: true
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Valores anteriores (nulo na criação)
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: Valores novos (nulo na remoção)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AuditPage:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AuditEntry'
+ *         meta:
+ *           type: object
+ *           properties:
+ *             limit:
+ *               type: integer
+ *             nextCursor:
+ *               type: integer
+ *               nullable: true
+ *               description: Cursor da próxima página (null na última página)
+ */
+
+/**
+ * @swagger
+ * /spending/{id}/history:
+ *   get:
+ *     tags:
+ *       - History
+ *     summary: Obtém o histórico de um gasto
+ *     description: >
+ *       Lista as alterações do gasto, da mais recente para a mais antiga, inclusive depois que ele foi removido.
+ *       O dono vê todo o histórico; os membros de um grupo em comum veem apenas as alterações feitas
+ *       enquanto o gasto estava marcado com esse grupo.
+ *     responses:
+ *       200:
+ *         description: Histórico obtido com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditPage'
+ *       403:
+ *         description: O usuário logado não pode ver o gasto
+ *       404:
+ *         description: Gasto não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/spending/:id/history", auth, validate({params: spendingParams, query: historyQuery}), async (req, res, next) => {
+    try {
+        const spendingID = req.params.id;
+        const where = {entity: "SPENDING", entityId: spendingID};
+
+        // Um gasto removido é identificado pelo último estado guardado no histórico
+        let spending = await prisma.spending.findUnique({where: {id: spendingID}});
+        if(spending == null) {
+            const last = await prisma.auditLog.findFirst({where: where, orderBy: {id: "desc"}});
+            spending = last && (last.after || last.before);
+        }
+
+        if(spending == null) throw new NotFoundError("Gasto não encontrado!");
+
+        if(!(await canReadSpending(req.loggedUser.id, spending))) {
+            forbidden(res, "Você não tem permissão para ver o histórico deste gasto!");
+            return;
+        }
+
+        if(spending.userId != req.loggedUser.id) {
+            where.groupId = {in: await findSharedGroupIds(req.loggedUser.id, spending.userId)};
+        }
+
+        const page = await findAuditPage(where, req.query);
+
+        res.statusCode = 200;
+        res.send({message: "Histórico obtido com sucesso!", ...page});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/activity:
+ *   get:
+ *     tags:
+ *       - History
+ *     summary: Obtém a atividade de um grupo
+ *     description: >
+ *       Lista, da mais recente para a mais antiga, as alterações no grupo (nome, moeda, senha), nas participações
+ *       (entradas, saídas, remoções, papéis e apelidos) e nos gastos marcados com o grupo. Disponível para os membros.
+ *     responses:
+ *       200:
+ *         description: Atividade obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditPage'
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/activity", auth, validate({params: groupParams, query: activityQuery}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const where = {groupId: req.params.id};
+        if(req.query.entity) where.entity = req.query.entity;
+
+        const page = await findAuditPage(where, req.query);
+
+        res.statusCode = 200;
+        res.send({message: "Atividade do grupo obtida com sucesso!", ...page});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/stream:
+ *   get:
+ *     tags:
+ *       - History
+ *     summary: Acompanha a atividade do grupo em tempo real
+ *     description: >
+ *       Conexão Server-Sent Events (text/event-stream) que envia, assim que acontecem, os registros da atividade
+ *       do grupo (os mesmos de GET /group/{id}/activity). Cada evento tem como "id" o ID do registro, como nome
+ *       o tipo de alteração (spending.created, spending.updated, spending.deleted, spending.restored,
+ *       group.member_joined, group.member_left, group.member_updated, group.updated, group.deleted)
+ *       e como dados o registro em JSON.
+ *
+ *       Ao reconectar, o cliente envia o último ID recebido no cabeçalho Last-Event-ID (o EventSource do navegador
+ *       faz isso sozinho) ou no parâmetro "lastEventId" e recebe primeiro tudo o que perdeu. Sem ele, a conexão
+ *       envia apenas a atividade nova. Como o EventSource não envia cabeçalhos, o token também pode ser
+ *       informado no parâmetro "access_token". Comentários periódicos mantêm a conexão aberta, que é encerrada
+ *       quando o usuário sai do grupo, o grupo é excluído ou a sessão termina.
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: ID do último evento recebido
+ *     responses:
+ *       200:
+ *         description: Conexão aberta
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 42\nevent: spending.created\ndata: {\"id\":42,\"entity\":\"SPENDING\",...}\n\n"
+ *       400:
+ *         description: Last-Event-ID inválido
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/stream", acceptQueryToken, auth, validate({params: groupParams, query: streamQuery}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    let groupID;
+    let lastId;
+    try {
+        groupID = req.params.id;
+
+        const lastEventId = req.headers["last-event-id"] ?? req.query.lastEventId;
+        if(lastEventId !== undefined && lastEventId !== "") {
+            lastId = Number(lastEventId);
+            if(!Number.isInteger(lastId) || lastId < 0) throw new BadRequestError("Last-Event-ID inválido!");
+        } else {
+            lastId = await findLastActivityId(groupID);
+        }
+    } catch (error) {
+        next(error);
+        return;
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    const userId = req.loggedUser.id;
+    let closed = false;
+    let sending = false;
+    let pending = false;
+
+    // Envia os registros posteriores ao último enviado. Avisos recebidos durante o envio geram uma nova busca
+    const send = async () => {
+        if(sending) {
+            pending = true;
+            return;
+        }
+
+        sending = true;
+        try {
+            while(!closed) {
+                pending = false;
+                const entries = await findActivitySince(groupID, lastId);
+                for(const entry of entries) {
+                    if(closed) break;
+
+                    res.write(formatStreamEvent(entry));
+                    lastId = entry.id;
+                    if(endsStream(entry, userId)) close();
+                }
+                if(entries.length == 0 && !pending) break;
+            }
+        } catch (error) {
+            console.error("Erro ao enviar a atividade do grupo:", error.message);
+        } finally {
+            sending = false;
+        }
+    };
+
+    // Mantém a conexão aberta, encerra-a se a sessão terminou e busca registros gravados por outras instâncias
+    const heartbeat = setInterval(async () => {
+        try {
+            const session = await findActiveSession(req.loggedUser.sessionId);
+            if(closed) return;
+            if(session == null) return close();
+        } catch (error) {
+            console.error("Erro ao verificar a sessão da atividade do grupo:", error.message);
+            return;
+        }
+
+        res.write(": ping\n\n");
+        send();
+    }, config.groupStreamHeartbeatSeconds * 1000);
+
+    const unsubscribe = subscribeGroupActivity(groupID, {notify: send, close});
+
+    function close() {
+        if(closed) return;
+
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    }
+
+    req.on("close", close);
+    send();
+});
+
+export default router;
@@ -0,0 +1,352 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { findUserCategory } from "../services/categories.js";
+import { isGroupMember } from "../services/groups.js";
+import { computeBudgetStatus, findUserBudgets } from "../services/budgets.js";
+import { parseMoney } from "../services/money.js";
+import { assertGroupRole, GROUP_ADMIN_ROLES } from "../middleware/policies.js";
+import { validate } from "../middleware/validate.js";
+import { budgetParams, createBudgetBody, updateBudgetBody, budgetStatusQuery } from "../schemas/budgets.js";
+import { NotFoundError, fieldError } from "../errors.js";
+
+const router = express.Router();
+
+const GROUP_BUDGET_MESSAGE = "Apenas o dono e os administradores podem gerenciar os orçamentos do grupo!";
+
+// Busca um orçamento do usuário ou de um dos grupos do usuário
+async function findAccessibleBudget(userId, budgetId) {
+    const budget = await prisma.budget.findUnique({where: {id: budgetId}});
+    if(budget == null) return null;
+
+    if(budget.userId == userId) return budget;
+    if(budget.groupId && await isGroupMember(userId, budget.groupId)) return budget;
+
+    return null;
+}
+
+// Confere o limite, o grupo e a categoria de um orçamento criado ou atualizado (o formato é validado pelo esquema)
+async function validateBudget(userId, data) {
+    const limit = parseMoney(data.limit, "Limite inválido!");
+    if(limit == null || !limit.greaterThan(0)) throw fieldError("limit", "O limite deve ser maior que zero!");
+
+    if(data.groupId) await assertGroupRole(userId, data.groupId, GROUP_ADMIN_ROLES, GROUP_BUDGET_MESSAGE);
+
+    if(data.categoryId) {
+        const category = await findUserCategory(userId, data.categoryId);
+        if(category == null) throw fieldError("categoryId", "Categoria não encontrada!");
+    }
+
+    return {limit, period: data.period};
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Budget
+ *     description: Operações relacionadas a orçamentos
+ */
+
+/**
+ * @swagger
+ * /budget:
+ *   get:
+ *     tags:
+ *       - Budget
+ *     summary: Obtém os orçamentos do usuário logado
+ *     description: Retorna os orçamentos do usuário logado e os orçamentos dos grupos de que ele participa.
+ *     responses:
+ *       200:
+ *         description: Lista de orçamentos obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Orçamentos obtidos com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       limit:
+ *                         type: number
+ *                         multipleOf: 0.01
+ *                       period:
+ *                         type: string
+ *                         enum: [WEEKLY, MONTHLY, YEARLY]
+ *                       userId:
+ *                         type: integer
+ *                         nullable: true
+ *                       groupId:
+ *                         type: integer
+ *                         nullable: true
+ *                       categoryId:
+ *                         type: integer
+ *                         nullable: true
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/budget", auth, async (req, res, next) => {
+    try {
+        const budgets = await findUserBudgets(req.loggedUser.id);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Orçamentos obtidos com sucesso!",
+            data: budgets
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /budget/status:
+ *   get:
+ *     tags:
+ *       - Budget
+ *     summary: Obtém a situação dos orçamentos
+ *     description: >
+ *       Para cada orçamento do usuário logado (e dos seus grupos), retorna o valor gasto no período,
+ *       o limite, o valor restante e a projeção de gasto até o fim do período.
+ *     responses:
+ *       200:
+ *         description: Situação dos orçamentos obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Situação dos orçamentos obtida com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       budgetId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       period:
+ *                         type: string
+ *                       start:
+ *                         type: string
+ *                         format: date
+ *                       end:
+ *                         type: string
+ *                         format: date
+ *                       limit:
+ *                         type: number
+ *                       currency:
+ *                         type: string
+ *                         description: Moeda base do dono do orçamento, usada no limite e nos valores gastos
+ *                       spent:
+ *                         type: number
+ *                         description: Total gasto no período, com os gastos em outras moedas convertidos pela cotação do dia
+ *                       remaining:
+ *                         type: number
+ *                       percentage:
+ *                         type: number
+ *                       projected:
+ *                         type: number
+ *                         description: Gasto projetado para o fim do período
+ *                       overspent:
+ *                         type: boolean
+ *       404:
+ *         description: Orçamento não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/budget/status", auth, validate({query: budgetStatusQuery}), async (req, res, next) => {
+    try {
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+
+        let budgets;
+        if(req.query.budgetId) {
+            const budget = await findAccessibleBudget(req.loggedUser.id, req.query.budgetId);
+            if(budget == null) throw new NotFoundError("Orçamento não encontrado!");
+            budgets = [budget];
+        } else {
+            budgets = await findUserBudgets(req.loggedUser.id);
+        }
+
+        const status = [];
+        for(const budget of budgets) {
+            status.push(await computeBudgetStatus(budget, date));
+        }
+
+        res.statusCode = 200;
+        res.send({
+            message: "Situação dos orçamentos obtida com sucesso!",
+            data: status
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /budget:
+ *   post:
+ *     tags:
+ *       - Budget
+ *     summary: Cria um novo orçamento
+ *     description: >
+ *       Cria um orçamento para o usuário logado ou, se "groupId" for informado, para o grupo.
+ *       Se "categoryId" for informado, o orçamento considera apenas os gastos da categoria e de suas subcategorias
+ *       (no grupo, as categorias de mesmo nome de cada membro). Orçamentos de grupo consideram apenas os gastos marcados com o grupo
+ *       e só podem ser criados, alterados e removidos pelo dono e pelos administradores do grupo.
+ *     responses:
+ *       201:
+ *         description: Orçamento cadastrado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Orçamento cadastrado com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não o administra
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/budget", auth, validate({body: createBudgetBody}), async (req, res, next) => {
+    try {
+        const newBudget = req.body;
+        const {limit, period} = await validateBudget(req.loggedUser.id, newBudget);
+
+        const budget = await prisma.budget.create({
+            data: {
+                name: newBudget.name,
+                limit: limit,
+                period: period,
+                categoryId: newBudget.categoryId || null,
+                groupId: newBudget.groupId || null,
+                userId: newBudget.groupId ? null : req.loggedUser.id
+            }
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Orçamento cadastrado com sucesso!",
+            data: {
+                id: budget.id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /budget/{id}:
+ *   put:
+ *     tags:
+ *       - Budget
+ *     summary: Atualiza um orçamento
+ *     description: >
+ *       Atualiza nome, limite, período ou categoria de um orçamento do usuário logado ou de um grupo que ele administra.
+ *     responses:
+ *       200:
+ *         description: Orçamento atualizado com sucesso
+ *       403:
+ *         description: O usuário não administra o grupo do orçamento
+ *       404:
+ *         description: Orçamento não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/budget/:id", auth, validate({params: budgetParams, body: updateBudgetBody}), async (req, res, next) => {
+    try {
+        const budgetID = req.params.id;
+        const updateBudget = req.body;
+
+        const budget = await findAccessibleBudget(req.loggedUser.id, budgetID);
+        if(budget == null) throw new NotFoundError("Orçamento não encontrado!");
+
+        const {limit, period} = await validateBudget(req.loggedUser.id, {...updateBudget, groupId: budget.groupId});
+
+        await prisma.budget.update({
+            where: {id: budgetID},
+            data: {
+                name: updateBudget.name,
+                limit: limit,
+                period: period,
+                categoryId: updateBudget.categoryId
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Orçamento atualizado com sucesso!",
+            data: {
+                id: budgetID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /budget/{id}:
+ *   delete:
+ *     tags:
+ *       - Budget
+ *     summary: Deleta um orçamento
+ *     description: Remove um orçamento do usuário logado ou de um grupo que ele administra.
+ *     responses:
+ *       200:
+ *         description: Orçamento deletado com sucesso
+ *       403:
+ *         description: O usuário não administra o grupo do orçamento
+ *       404:
+ *         description: Orçamento não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/budget/:id", auth, validate({params: budgetParams}), async (req, res, next) => {
+    try {
+        const budgetID = req.params.id;
+
+        const budget = await findAccessibleBudget(req.loggedUser.id, budgetID);
+        if(budget == null) throw new NotFoundError("Orçamento não encontrado!");
+        if(budget.groupId) await assertGroupRole(req.loggedUser.id, budget.groupId, GROUP_ADMIN_ROLES, GROUP_BUDGET_MESSAGE);
+
+        await prisma.budget.delete({where: {id: budgetID}});
+
+        res.statusCode = 200;
+        res.send({
+            message: "Orçamento deletado com sucesso!",
+            data: {
+                id: budgetID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,337 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { validate } from "../middleware/validate.js";
+import { findUserCategory, createsCategoryCycle } from "../services/categories.js";
+import { categoryParams, createCategoryBody, updateCategoryBody, deleteCategoryQuery } from "../schemas/categories.js";
+import { NotFoundError, ConflictError, fieldError } from "../errors.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Category
+ *     description: Operações relacionadas a categorias de gastos
+ */
+
+/**
+ * @swagger
+ * /category:
+ *   get:
+ *     tags:
+ *       - Category
+ *     summary: Obtém as categorias do usuário logado
+ *     description: Retorna todas as categorias criadas pelo usuário autenticado, com a quantidade de gastos de cada uma.
+ *     responses:
+ *       200:
+ *         description: Lista de categorias obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Categorias obtidas com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                         example: Mercado
+ *                       color:
+ *                         type: string
+ *                         example: "#4caf50"
+ *                       icon:
+ *                         type: string
+ *                         example: shopping-cart
+ *                       parentId:
+ *                         type: integer
+ *                         nullable: true
+ *                       totalSpendings:
+ *                         type: integer
+ *                         description: Quantidade de gastos na categoria
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/category", auth, async (req, res, next) => {
+    try {
+        const categories = await prisma.category.findMany({
+            where: {userId: req.loggedUser.id},
+            orderBy: {name: "asc"},
+            include: {
+                _count: {
+                    select: {spendings: {where: {deletedAt: null}}}
+                }
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Categorias obtidas com sucesso!",
+            data: categories.map(({_count, ...category}) => ({
+                ...category,
+                totalSpendings: _count.spendings
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   get:
+ *     tags:
+ *       - Category
+ *     summary: Obtém uma categoria
+ *     description: Retorna a categoria identificada pelo ID, com sua categoria pai e subcategorias.
+ *     responses:
+ *       200:
+ *         description: Categoria obtida com sucesso
+ *       404:
+ *         description: Categoria não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/category/:id", auth, validate({params: categoryParams}), async (req, res, next) => {
+    try {
+        const categoryID = req.params.id;
+
+        const category = await findUserCategory(req.loggedUser.id, categoryID);
+        if(category == null) throw new NotFoundError("Categoria não encontrada!");
+
+        const data = await prisma.category.findUnique({
+            where: {id: categoryID},
+            include: {
+                parent: true,
+                children: true
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Categoria obtida com sucesso!",
+            data: data
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /category:
+ *   post:
+ *     tags:
+ *       - Category
+ *     summary: Cria uma nova categoria
+ *     description: Cria uma categoria para o usuário logado, opcionalmente como subcategoria de outra.
+ *     responses:
+ *       201:
+ *         description: Categoria cadastrada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Categoria cadastrada com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *       409:
+ *         description: Já existe uma categoria com esse nome
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/category", auth, validate({body: createCategoryBody}), async (req, res, next) => {
+    try {
+        const newCategory = req.body;
+        const userId = req.loggedUser.id;
+
+        if(newCategory.parentId) {
+            const parent = await findUserCategory(userId, newCategory.parentId);
+            if(parent == null) throw fieldError("parentId", "Categoria pai não encontrada!");
+        }
+
+        const existCategory = await prisma.category.findUnique({
+            where: {
+                userId_name: {userId: userId, name: newCategory.name}
+            }
+        });
+        if(existCategory != null) throw new ConflictError("Já existe uma categoria com esse nome!");
+
+        const category = await prisma.category.create({
+            data: {
+                name: newCategory.name,
+                color: newCategory.color,
+                icon: newCategory.icon,
+                parentId: newCategory.parentId || null,
+                userId: userId
+            }
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Categoria cadastrada com sucesso!",
+            data: {
+                id: category.id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   put:
+ *     tags:
+ *       - Category
+ *     summary: Atualiza uma categoria
+ *     description: Atualiza nome, cor, ícone ou categoria pai de uma categoria do usuário logado.
+ *     responses:
+ *       200:
+ *         description: Categoria atualizada com sucesso
+ *       404:
+ *         description: Categoria não encontrada
+ *       409:
+ *         description: Já existe uma categoria com esse nome
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/category/:id", auth, validate({params: categoryParams, body: updateCategoryBody}), async (req, res, next) => {
+    try {
+        const categoryID = req.params.id;
+        const updateCategory = req.body;
+        const userId = req.loggedUser.id;
+
+        const category = await findUserCategory(userId, categoryID);
+        if(category == null) throw new NotFoundError("Categoria não encontrada!");
+
+        if(updateCategory.parentId) {
+            const parent = await findUserCategory(userId, updateCategory.parentId);
+            if(parent == null) throw fieldError("parentId", "Categoria pai não encontrada!");
+
+            const isCycle = await createsCategoryCycle(userId, categoryID, updateCategory.parentId);
+            if(isCycle) throw fieldError("parentId", "Uma categoria não pode ser subcategoria de si mesma!");
+        }
+
+        const existCategory = await prisma.category.findUnique({
+            where: {
+                userId_name: {userId: userId, name: updateCategory.name}
+            }
+        });
+        if(existCategory != null && existCategory.id != categoryID) throw new ConflictError("Já existe uma categoria com esse nome!");
+
+        await prisma.category.update({
+            where: {id: categoryID},
+            data: {
+                name: updateCategory.name,
+                color: updateCategory.color,
+                icon: updateCategory.icon,
+                parentId: updateCategory.parentId || null
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Categoria atualizada com sucesso!",
+            data: {
+                id: categoryID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /category/{id}:
+ *   delete:
+ *     tags:
+ *       - Category
+ *     summary: Deleta uma categoria
+ *     description: >
+ *       Remove uma categoria do usuário logado. Os gastos da categoria são movidos para a categoria
+ *       informada em "reassignTo" ou ficam sem categoria. As subcategorias passam a pertencer à categoria pai da removida.
+ *       Os orçamentos da categoria também são movidos para "reassignTo"; sem ela, a categoria não pode ser removida
+ *       enquanto tiver orçamentos.
+ *     responses:
+ *       200:
+ *         description: Categoria deletada com sucesso
+ *       404:
+ *         description: Categoria não encontrada
+ *       409:
+ *         description: A categoria tem orçamentos e "reassignTo" não foi informado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/category/:id", auth, validate({params: categoryParams, query: deleteCategoryQuery}), async (req, res, next) => {
+    try {
+        const categoryID = req.params.id;
+        const userId = req.loggedUser.id;
+
+        const category = await findUserCategory(userId, categoryID);
+        if(category == null) throw new NotFoundError("Categoria não encontrada!");
+
+        const reassignTo = req.query.reassignTo || null;
+        if(reassignTo != null) {
+            if(reassignTo == categoryID) throw fieldError("reassignTo", "A categoria de destino deve ser diferente da removida!", "query");
+            const target = await findUserCategory(userId, reassignTo);
+            if(target == null) throw fieldError("reassignTo", "Categoria de destino não encontrada!", "query");
+        } else if(await prisma.budget.count({where: {categoryId: categoryID}}) > 0) {
+            throw new ConflictError("A categoria tem orçamentos! Informe a categoria que os receberá em \"reassignTo\" ou remova os orçamentos.");
+        }
+
+        const [spendings] = await prisma.$transaction([
+            prisma.spending.updateMany({
+                where: {categoryId: categoryID},
+                data: {categoryId: reassignTo}
+            }),
+            prisma.recurringSpending.updateMany({
+                where: {categoryId: categoryID},
+                data: {categoryId: reassignTo}
+            }),
+            prisma.installmentPurchase.updateMany({
+                where: {categoryId: categoryID},
+                data: {categoryId: reassignTo}
+            }),
+            ...(reassignTo != null ? [prisma.budget.updateMany({
+                where: {categoryId: categoryID},
+                data: {categoryId: reassignTo}
+            })] : []),
+            prisma.category.updateMany({
+                where: {parentId: categoryID},
+                data: {parentId: category.parentId}
+            }),
+            prisma.category.delete({where: {id: categoryID}})
+        ]);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Categoria deletada com sucesso!",
+            data: {
+                id: categoryID,
+                reassignedTo: reassignTo,
+                totalSpendings: spendings.count
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import upload from "../middleware/upload.js";
+import prisma from "../database/prisma.js";
+import { parseCurrency, findBaseCurrency } from "../services/currencies.js";
+import { validateRate, readRatesFile, saveRates, toRateDay } from "../services/exchangeRates.js";
+import { validate } from "../middleware/validate.js";
+import { rateParams, listRatesQuery, createRateBody, importRatesBody } from "../schemas/exchangeRates.js";
+import { NotFoundError, fieldError } from "../errors.js";
+import { requireExchangeRateAdmin } from "../middleware/policies.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Exchange Rates
+ *     description: >
+ *       Cotações usadas para converter os gastos em outras moedas para a moeda base do usuário ou do grupo.
+ *       Cada gasto é convertido pela cotação do seu dia ou, se não houver, pela mais recente anterior.
+ *       As cotações valem para todos os usuários; apenas os administradores (EXCHANGE_RATE_ADMINS) podem alterá-las.
+ *
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         day:
+ *           type: string
+ *           format: date
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         base:
+ *           type: string
+ *           example: BRL
+ *         rate:
+ *           type: number
+ *           description: Quanto 1 unidade de "currency" vale em "base"
+ *           example: 5.43
+ *         source:
+ *           type: string
+ *           description: Origem da cotação ("manual" ou "file")
+ */
+
+/**
+ * @swagger
+ * /exchange-rate:
+ *   get:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Lista as cotações cadastradas
+ *     responses:
+ *       200:
+ *         description: Cotações obtidas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/exchange-rate", auth, validate({query: listRatesQuery}), async (req, res, next) => {
+    try {
+        const where = {};
+        if(req.query.currency) where.currency = parseCurrency(req.query.currency);
+        if(req.query.base) where.base = parseCurrency(req.query.base);
+
+        for(const [field, operator] of [["from", "gte"], ["to", "lte"]]) {
+            if(!req.query[field]) continue;
+
+            where.day = {...where.day, [operator]: toRateDay(new Date(req.query[field]))};
+        }
+
+        const rates = await prisma.exchangeRate.findMany({
+            where: where,
+            orderBy: [{day: "desc"}, {currency: "asc"}]
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Cotações obtidas com sucesso!",
+            data: rates
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /exchange-rate:
+ *   post:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Cadastra a cotação de um dia
+ *     description: Cadastra manualmente a cotação de uma moeda em um dia. Se já existir cotação para o dia e par de moedas, ela é substituída.
+ *     responses:
+ *       201:
+ *         description: Cotação cadastrada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: A moeda e a moeda base são iguais
+ *       403:
+ *         description: O usuário logado não é administrador das cotações
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/exchange-rate", auth, requireExchangeRateAdmin, validate({body: createRateBody}), async (req, res, next) => {
+    try {
+        const defaultBase = await findBaseCurrency({userId: req.loggedUser.id});
+        const rate = validateRate(req.body, defaultBase);
+
+        const [saved] = await saveRates([rate], "manual");
+
+        res.statusCode = 201;
+        res.send({
+            message: "Cotação cadastrada com sucesso!",
+            data: saved
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /exchange-rate/import:
+ *   post:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Importa cotações de um arquivo
+ *     description: >
+ *       Carrega cotações de um arquivo CSV (com cabeçalho com as colunas day, currency, rate e opcionalmente base)
+ *       ou JSON (lista de objetos com os mesmos campos). Cotações já existentes para o dia e par de moedas são substituídas.
+ *       Linhas com erro não são gravadas e aparecem na resposta.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               base:
+ *                 type: string
+ *                 description: Moeda base das linhas sem a coluna base (padrão é a moeda base do usuário)
+ *     responses:
+ *       201:
+ *         description: Cotações importadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     imported:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                           error:
+ *                             type: string
+ *       400:
+ *         description: Arquivo inválido
+ *       403:
+ *         description: O usuário logado não é administrador das cotações
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/exchange-rate/import", auth, requireExchangeRateAdmin, upload("file", {types: [".csv", ".json"]}), validate({body: importRatesBody}), async (req, res, next) => {
+    try {
+        if(!req.file) throw fieldError("file", "Arquivo é obrigatório!");
+
+        const defaultBase = parseCurrency(req.body.base, await findBaseCurrency({userId: req.loggedUser.id}));
+        const rows = readRatesFile(req.file.buffer, req.file.originalname, defaultBase);
+
+        const valid = rows.filter(row => row.error == null);
+        await saveRates(valid, "file");
+
+        res.statusCode = 201;
+        res.send({
+            message: "Cotações importadas com sucesso!",
+            data: {
+                imported: valid.length,
+                errors: rows.filter(row => row.error != null).map(({row, error}) => ({row, error}))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /exchange-rate/{id}:
+ *   delete:
+ *     tags:
+ *       - Exchange Rates
+ *     summary: Remove uma cotação
+ *     responses:
+ *       204:
+ *         description: Cotação removida com sucesso
+ *       403:
+ *         description: O usuário logado não é administrador das cotações
+ *       404:
+ *         description: Cotação não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/exchange-rate/:id", auth, requireExchangeRateAdmin, validate({params: rateParams}), async (req, res, next) => {
+    try {
+        const rateID = req.params.id;
+
+        const rate = await prisma.exchangeRate.findUnique({where: {id: rateID}});
+        if(rate == null) throw new NotFoundError("Cotação não encontrada!");
+
+        await prisma.exchangeRate.delete({where: {id: rateID}});
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { findCategoryTreeIds, findGroupCategoryTreeIds } from "../services/categories.js";
+import { isGroupMember } from "../services/groups.js";
+import { writeSpendingsExport } from "../services/exports.js";
+import { spendingVisibilityFilter, periodEnd } from "../services/spendings.js";
+import { authorizeUserSpendingsRead } from "../middleware/policies.js";
+import { validate } from "../middleware/validate.js";
+import { userSpendingsParams } from "../schemas/spendings.js";
+import { groupParams } from "../schemas/groups.js";
+import { exportQuery } from "../schemas/exports.js";
+import { NotFoundError, ForbiddenError } from "../errors.js";
+
+const router = express.Router();
+
+// Filtro de datas da exportação (o formato dos parâmetros é validado pelo esquema)
+function parseExportPeriod(query) {
+    const day = {};
+    if(query.from) day.gte = new Date(query.from);
+    if(query.to) day.lt = periodEnd(query.to);
+
+    return day;
+}
+
+function describePeriod(day) {
+    const format = (date) => date.toISOString().slice(0, 10).split("-").reverse().join("/");
+    // O fim do filtro é exclusivo; o último dia incluído é o anterior a ele
+    const last = day.lt && new Date(day.lt.getTime() - 1);
+
+    if(day.gte && last) return `De ${format(day.gte)} a ${format(last)}`;
+    if(day.gte) return `A partir de ${format(day.gte)}`;
+    if(last) return `Até ${format(last)}`;
+    return "Todo o período";
+}
+
+// Se os dados já começaram a ser enviados não dá para responder com erro, então a conexão é encerrada
+function handleExportError(res, next, error) {
+    if(res.headersSent) {
+        res.destroy(error);
+    } else {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * /spending/{userId}/export:
+ *   get:
+ *     tags:
+ *       - Spendings
+ *     summary: Exporta os gastos de um usuário
+ *     description: >
+ *       Gera um arquivo com os gastos do usuário, ordenados por dia. Os dados são enviados à medida que são lidos.
+ *       O próprio usuário exporta todos os seus gastos; os membros dos grupos de que ele participa exportam apenas
+ *       os gastos marcados com um grupo em comum.
+ *     responses:
+ *       200:
+ *         description: Arquivo gerado com sucesso
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: O usuário logado não é o dono dos gastos nem participa de um grupo em comum com ele
+ *       404:
+ *         description: Usuário não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/spending/:userId/export", auth, validate({params: userSpendingsParams, query: exportQuery}), authorizeUserSpendingsRead(), async (req, res, next) => {
+    try {
+        const userId = req.params.userId;
+        const format = req.query.format;
+        const day = parseExportPeriod(req.query);
+
+        const user = await prisma.user.findUnique({where: {id: userId}, select: {name: true}});
+        if(user == null) throw new NotFoundError("Usuário não encontrado!");
+
+        const where = {userId: userId, day: day, deletedAt: null, AND: [await spendingVisibilityFilter(req.loggedUser.id, userId)]};
+        if(req.query.category == "none") {
+            where.categoryId = null;
+        } else if(req.query.category) {
+            where.categoryId = {in: await findCategoryTreeIds(userId, parseInt(req.query.category))};
+        }
+
+        await writeSpendingsExport(res, format, where, {
+            title: `Extrato de gastos - ${user.name}`,
+            subtitle: describePeriod(day),
+            filename: `gastos-${userId}`,
+            includeMember: false
+        });
+    } catch (error) {
+        handleExportError(res, next, error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/export:
+ *   get:
+ *     tags:
+ *       - Group
+ *     summary: Exporta os gastos de um grupo
+ *     description: >
+ *       Gera um arquivo com os gastos marcados com o grupo, ordenados por dia, com o nome do membro.
+ *       No filtro por categoria vale a categoria de mesmo nome de cada membro.
+ *     responses:
+ *       200:
+ *         description: Arquivo gerado com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/export", auth, validate({params: groupParams, query: exportQuery}), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const format = req.query.format;
+        const day = parseExportPeriod(req.query);
+
+        const group = await prisma.group.findUnique({where: {id: groupID}, select: {name: true}});
+        if(group == null) throw new NotFoundError("Grupo não encontrado!");
+
+        const isMember = await isGroupMember(req.loggedUser.id, groupID);
+        if(!isMember) throw new ForbiddenError("Usuário não pertence ao grupo!");
+
+        const where = {groupId: groupID, day: day, deletedAt: null};
+        if(req.query.category == "none") {
+            where.categoryId = null;
+        } else if(req.query.category) {
+            where.categoryId = {in: await findGroupCategoryTreeIds(groupID, parseInt(req.query.category))};
+        }
+
+        await writeSpendingsExport(res, format, where, {
+            title: `Extrato de gastos - Grupo ${group.name}`,
+            subtitle: describePeriod(day),
+            filename: `gastos-grupo-${groupID}`,
+            includeMember: true
+        });
+    } catch (error) {
+        handleExportError(res, next, error);
+    }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from "express";
+import { createHandler } from "graphql-http/lib/use/express";
+import auth from "../middleware/auth.js";
+import { schema } from "../graphql/schema.js";
+import { createLoaders } from "../graphql/loaders.js";
+import { formatGraphQLError } from "../graphql/errors.js";
+import { depthLimitRule, costLimitRule } from "../graphql/limits.js";
+
+const router = express.Router();
+
+const handler = createHandler({
+    schema: schema,
+    // Cada requisição tem os próprios loaders, com o cache restrito ao usuário logado. A requisição
+    // do Express vai junto para o bloqueio de tentativas de joinGroup, que conta as falhas por IP
+    context: (req) => ({req: req.raw, loggedUser: req.raw.loggedUser, loaders: createLoaders()}),
+    validationRules: [depthLimitRule, costLimitRule],
+    formatError: formatGraphQLError
+});
+
+/**
+ * @swagger
+ * tags:
+ *   - name: GraphQL
+ *     description: Consultas e alterações de usuários, grupos e gastos em uma única requisição
+ */
+
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     tags:
+ *       - GraphQL
+ *     summary: Executa uma consulta ou alteração GraphQL
+ *     description: >
+ *       Expõe usuários, grupos, gastos e suas relações (membros do grupo, gastos de cada membro, categoria,
+ *       etiquetas) com as mesmas regras de acesso da API REST. A listagem de gastos tem os filtros e a
+ *       paginação por cursor de GET /spending/{userId}. As alterações cobrem criar, atualizar, remover e
+ *       restaurar gastos e criar, renomear, entrar, sair e excluir grupos (a administração de membros e os
+ *       convites ficam só na API REST). Os erros vêm em "errors", com o código,
+ *       o status HTTP equivalente e os campos inválidos em "extensions". O esquema completo pode ser
+ *       obtido por introspecção. Consultas com profundidade maior que 6 ou custo estimado maior
+ *       que 10000 (um por campo, multiplicado nas listas pelo "limit" ou por 10) são recusadas.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - query
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: "{ group(id: 1) { name members { user { name } totalSpendings spendings(limit: 10) { items { name value } } } } }"
+ *               variables:
+ *                 type: object
+ *               operationName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Resultado da consulta, com "data" e, se houver, "errors"
+ *       400:
+ *         description: Consulta inválida
+ *       401:
+ *         description: Token inválido, ausente ou sessão encerrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/graphql", auth, handler);
+router.get("/graphql", auth, handler);
+
+export default router;
@@ -2,9 +2,60 @@ import express from "express";
 import auth from "../middleware/auth.js";
 import prisma from "../database/prisma.js";
 import bcrypt from "bcryptjs"
+import { forbidden, canReadGroup, actAsLoggedUser, authorizeGroupRoles, requireGroupAdmin, requireGroupOwner } from "../middleware/policies.js";
+import { parseCurrency } from "../services/currencies.js";
+import { groupMemberTotals } from "../services/reports.js";
+import {
+    GROUP_ROLES, findGroupRole, removeGroupMember, transferGroupOwnership, deleteGroup, createGroup, renameGroup
+} from "../services/groups.js";
+import { joinGroup } from "../services/groupJoin.js";
+import { auditLog } from "../services/audit.js";
+import { emitWebhookEvent } from "../services/webhooks.js";
+import { notifyGroupActivity } from "../services/groupStream.js";
+import { validate } from "../middleware/validate.js";
+import {
+    groupParams, memberParams, createGroupBody, joinGroupBody, leaveGroupBody, groupCurrencyBody,
+    renameGroupBody, groupPasswordBody, memberRoleBody, transferOwnerBody, nicknameBody
+} from "../schemas/groups.js";
+import { BadRequestError, NotFoundError, fieldError } from "../errors.js";
 
 const router = express.Router();
 
+// Dados do grupo lidos nas consultas: participações (com o usuário) e os gastos marcados com o grupo, fora da lixeira
+const GROUP_SELECT = {
+    id: true,
+    name: true,
+    baseCurrency: true,
+    members: {
+        select: {
+            role: true,
+            nickname: true,
+            joinedAt: true,
+            user: {select: {id: true, name: true, email: true}}
+        },
+        orderBy: {joinedAt: "asc"}
+    }
+};
+
+// Total dos gastos do grupo de cada membro na moeda base do grupo, somado no banco pela cotação do dia de cada gasto
+async function withMemberTotals(group) {
+    const {members, ...data} = group;
+    const totals = await groupMemberTotals(group);
+
+    const users = members.map(({user, ...membership}) => {
+        const {total, missingRates} = totals.get(user.id) || {total: 0, missingRates: 0};
+
+        return {...user, ...membership, totalSpendings: total, missingRates};
+    });
+
+    return {...data, users};
+}
+
+// Registro no histórico de uma alteração nas configurações do grupo
+function auditGroupUpdate(actorId, groupId, before, after) {
+    return auditLog({entity: "GROUP", entityId: groupId, action: "UPDATE", actorId, groupId, before, after});
+}
+
 /**
  * @swagger
  * tags:
@@ -18,8 +69,10 @@ const router = express.Router();
  *   get:
  *     tags:
  *       - Group
- *     summary: Obtém todos os grupos
- *     description: Retorna uma lista de todos os grupos disponíveis com o total de gastos dos usuários.
+ *     summary: Obtém os grupos do usuário logado
+ *     description: >
+ *       Retorna os grupos dos quais o usuário logado participa, com o total dos gastos de cada membro marcados com o grupo.
+ *       Os gastos de cada membro no grupo são listados, com paginação, em GET /spending/{userId}?group={id}.
  *     responses:
  *       200:
  *         description: Lista de grupos obtida com sucesso
@@ -43,6 +96,10 @@ const router = express.Router();
  *                         type: string
  *                         description: Nome do grupo
  *                         example: "Meu Grupo"
+ *                       baseCurrency:
+ *                         type: string
+ *                         description: Moeda base do grupo, usada nos totais
+ *                         example: BRL
  *                       users:
  *                         type: array
  *                         description: Lista de usuários do grupo
@@ -61,65 +118,43 @@ const router = express.Router();
  *                               type: string
  *                               description: Email do usuário
  *                               example: "john.doe@email.com"
+ *                             role:
+ *                               type: string
+ *                               enum: [OWNER, ADMIN, MEMBER]
+ *                               description: Papel do usuário no grupo
+ *                             nickname:
+ *                               type: string
+ *                               nullable: true
+ *                               description: Apelido do usuário no grupo
+ *                             joinedAt:
+ *                               type: string
+ *                               format: date-time
+ *                               description: Data de entrada no grupo
  *                             totalSpendings:
  *                               type: number
- *                               description: Valor total de gastos do usuário
+ *                               description: Valor total dos gastos do usuário marcados com o grupo, na moeda base do grupo
  *                               example: 500.75
- *                             spendings:
- *                               type: array
- *                               description: Lista de gastos do usuário
- *                               items:
- *                                 type: object
- *                                 properties:
- *                                   id:
- *                                     type: integer
- *                                     description: ID do gasto
- *                                     example: 1
- *                                   name:
- *                                     type: string
- *                                     description: Nome do gasto
- *                                     example: "Compra de supermercado"
- *                                   value:
- *                                     type: number
- *                                     description: Valor do gasto
- *                                     example: 100.50
- *       400:
- *         description: Erro ao obter a lista de grupos
+ *                             missingRates:
+ *                               type: integer
+ *                               description: Gastos sem cotação para a moeda base, que ficaram fora do total
  *     security:
  *       - BearerAuth: []
  */
-router.get("/group", auth, async (req, res) => {
+router.get("/group", auth, async (req, res, next) => {
     try {
         const groups = await prisma.group.findMany({
-            select: {
-                id: true,
-                name: true,
-                users: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true,
-                        spendings: true
-                    }
-                }
-            }
+            where: {members: {some: {userId: req.loggedUser.id}}},
+            select: GROUP_SELECT
         });
 
-        const result = groups.map(group => ({
-            ...group,
-            users: group.users.map(user => ({
-                ...user,
-                totalSpendings: user.spendings.reduce((sum, spending) => sum + spending.value, 0) // Soma dos gastos
-            }))
-        }));
+        const result = await Promise.all(groups.map(withMemberTotals));
 
         res.send({
             message: "Grupos obtidos com sucesso!",
             data: result
         });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({ error: error.message });
+        next(error);
     }
 });
 
@@ -130,14 +165,10 @@ router.get("/group", auth, async (req, res) => {
  *     tags:
  *       - Group
  *     summary: Obtém um grupo específico pelo ID
- *     description: Retorna as informações de um grupo identificado pelo ID, incluindo o total de gastos dos usuários.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID do grupo
+ *     description: >
+ *       Retorna as informações de um grupo identificado pelo ID, incluindo o total dos gastos de cada membro marcados com o grupo.
+ *       Os gastos de cada membro no grupo são listados, com paginação, em GET /spending/{userId}?group={id}.
+ *       Apenas os membros do grupo podem consultá-lo.
  *     responses:
  *       200:
  *         description: Grupo obtido com sucesso
@@ -159,6 +190,10 @@ router.get("/group", auth, async (req, res) => {
  *                       type: string
  *                       description: Nome do grupo
  *                       example: "Meu Grupo"
+ *                     baseCurrency:
+ *                       type: string
+ *                       description: Moeda base do grupo, usada nos totais
+ *                       example: BRL
  *                     users:
  *                       type: array
  *                       description: Lista de usuários do grupo
@@ -177,58 +212,57 @@ router.get("/group", auth, async (req, res) => {
  *                             type: string
  *                             description: Email do usuário
  *                             example: "john.doe@email.com"
+ *                           role:
+ *                             type: string
+ *                             enum: [OWNER, ADMIN, MEMBER]
+ *                             description: Papel do usuário no grupo
+ *                           nickname:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Apelido do usuário no grupo
+ *                           joinedAt:
+ *                             type: string
+ *                             format: date-time
+ *                             description: Data de entrada no grupo
  *                           totalSpendings:
  *                             type: number
- *                             description: Valor total de gastos do usuário
+ *                             description: Valor total dos gastos do usuário marcados com o grupo, na moeda base do grupo
  *                             example: 500.75
- *                           spendings:
- *                             type: array
- *                             description: Lista de gastos do usuário
- *                             items:
- *                               type: object
- *       400:
- *         description: ID inválido fornecido
+ *                           missingRates:
+ *                             type: integer
+ *                             description: Gastos sem cotação para a moeda base, que ficaram fora do total
+ *       403:
+ *         description: Usuário não pertence ao grupo
  *       404:
  *         description: Grupo não encontrado
  *     security:
  *       - BearerAuth: []
  */
-router.get("/group/:id", auth, async (req, res) => {
+router.get("/group/:id", auth, validate({params: groupParams}), async (req, res, next) => {
     try {
-        if (!isNaN(req.params.id)) {
-            let groupID = parseInt(req.params.id);
-
-            const group = await prisma.group.findUnique({
-                where: { id: groupID },
-                select: {
-                    id: true,
-                    name: true,
-                    users: {
-                        select: {
-                            id: true,
-                            name: true,
-                            email: true,
-                            spendings: true
-                        }
-                    }
-                }
-            });
+        const groupID = req.params.id;
 
-            group.users = group.users?.map(user => ({
-                ...user,
-                totalSpendings: user.spendings.reduce((sum, spending) => sum + spending.value, 0)
-            }))
+        const group = await prisma.group.findUnique({
+            where: { id: groupID },
+            select: GROUP_SELECT
+        });
 
-            res.send({
-                message: "Grupo obtido com sucesso!",
-                data: group
-            });
-        } else {
-            res.sendStatus(400);
+        if(group == null) throw new NotFoundError("Grupo não encontrado!");
+
+        const isMember = await canReadGroup(req.loggedUser.id, groupID);
+        if(!isMember) {
+            forbidden(res, "Usuário não pertence ao grupo!");
+            return;
         }
+
+        const result = await withMemberTotals(group);
+
+        res.send({
+            message: "Grupo obtido com sucesso!",
+            data: result
+        });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({ error: error.message });
+        next(error);
     }
 });
 
@@ -240,27 +274,8 @@ router.get("/group/:id", auth, async (req, res) => {
  *     tags:
  *       - Group
  *     summary: Cria um novo grupo
- *     description: Cria um novo grupo com um nome e uma senha, associando-o a um usuário.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - name
- *               - password
- *             properties:
- *               userId:
- *                 type: integer
- *                 description: ID do usuário que cria o grupo
- *               name:
- *                 type: string
- *                 description: Nome do grupo
- *               password:
- *                 type: string
- *                 description: Senha do grupo
+ *     description: >
+ *       Cria um novo grupo com um nome e uma senha e coloca o usuário logado nele como dono (OWNER).
  *     responses:
  *       201:
  *         description: Grupo criado com sucesso
@@ -276,54 +291,28 @@ router.get("/group/:id", auth, async (req, res) => {
  *                   properties:
  *                     id:
  *                       type: integer
- *       400:
- *         description: Erro ao criar o grupo
+ *       403:
+ *         description: O userId informado não é o do usuário logado
+ *       409:
+ *         description: Já existe um grupo com esse nome
  *     security:
  *       - BearerAuth: []
  */
-router.post("/group", auth, async (req, res) => {
+router.post("/group", auth, validate({body: createGroupBody}), actAsLoggedUser, async (req, res, next) => {
     try {
-        const newGroup = req.body;
-
-        if(!newGroup.userId || newGroup.userId == 0) throw Error("É necessário um usuário para criar o grupo!");
-        if(!newGroup.name || newGroup.name == "") throw Error("Nome é obrigatório!");
-        if(!newGroup.password || newGroup.password == "") throw Error("Senha é obrigatória");
-
-        const existGroup = await prisma.group.findUnique({where: {name: newGroup.name}});
-
-        if(existGroup == null) {
-            let salt = bcrypt.genSaltSync(10);
-            let hash = bcrypt.hashSync(newGroup.password, salt);
-
-            const group = await prisma.group.create({
-                data: {
-                    name: newGroup.name,
-                    password: hash
-                }
-            }) 
-
-            const user = await prisma.user.update({
-                where: {id: group.id},
-                data: {
-                    groupId: group.id
-                }
-            })
+        const group = await createGroup(req.loggedUser.id, req.body);
 
-            res.statusCode = 201;
-            res.send({
-                message: "Grupo cadastrado com sucesso!",
-                data: {
-                    id: group.id
-                }
-            });
-        } else {
-            throw Error("Já existe um grupo com esse nome!");
-        }
+        res.statusCode = 201;
+        res.send({
+            message: "Grupo cadastrado com sucesso!",
+            data: {
+                id: group.id
+            }
+        });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({error: error.message});
+        next(error);
     }
-})
+});
 
 /**
  * @swagger
@@ -332,27 +321,9 @@ router.post("/group", auth, async (req, res) => {
  *     tags:
  *       - Group
  *     summary: Entrar em um grupo existente
- *     description: O usuário entra em um grupo fornecendo o ID e a senha do grupo.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - groupId
- *               - password
- *             properties:
- *               userId:
- *                 type: integer
- *                 description: ID do usuário
- *               groupId:
- *                 type: integer
- *                 description: ID do grupo
- *               password:
- *                 type: string
- *                 description: Senha do grupo
+ *     description: >
+ *       O usuário logado entra em um grupo como membro (MEMBER), fornecendo o ID e a senha do grupo
+ *       ou o código de um convite. Um usuário pode participar de vários grupos.
  *     responses:
  *       201:
  *         description: Usuário adicionado com sucesso ao grupo
@@ -368,48 +339,33 @@ router.post("/group", auth, async (req, res) => {
  *                   properties:
  *                     id:
  *                       type: integer
+ *                     groupId:
+ *                       type: integer
  *       400:
- *         description: Erro ao adicionar o usuário ao grupo
+ *         description: Convite inválido ou expirado
+ *       403:
+ *         description: O userId informado não é o do usuário logado ou a senha está incorreta
+ *       404:
+ *         description: Grupo não encontrado
+ *       429:
+ *         description: Muitas senhas ou convites errados; o cabeçalho Retry-After informa em quantos segundos tentar de novo
  *     security:
  *       - BearerAuth: []
  */
-router.post("/group/join", auth, async (req, res) => {
+router.post("/group/join", auth, validate({body: joinGroupBody}), actAsLoggedUser, async (req, res, next) => {
     try {
-        const groupJoin = req.body;
+        const groupId = await joinGroup(req, req.loggedUser.id, req.body);
 
-        if(!groupJoin.userId || groupJoin.userId == 0) throw Error("É necessário um usuário para criar o grupo!");
-        if(!groupJoin.groupId || groupJoin.groupId == 0) throw Error("É necessário um usuário para criar o grupo!");
-        if(!groupJoin.password || groupJoin.password == "") throw Error("Senha é obrigatória!");
-
-        const group = await prisma.group.findUnique({where: {id: groupJoin.groupId}});
-
-        if(group != null) {
-            let isCorrectPassword = bcrypt.compareSync(groupJoin.password, group.password)
-
-            if(isCorrectPassword) {
-                const user = await prisma.user.update({
-                    where: {id: groupJoin.userId},
-                    data: {
-                        groupId: groupJoin.groupId
-                    }
-                })
-    
-                res.statusCode = 201;
-                res.send({
-                    message: "Usuário adicionado com sucesso!",
-                    data: {
-                        id: user.id
-                    }
-                });
-            } else {
-                throw Error("Senha incorreta!");
+        res.statusCode = 201;
+        res.send({
+            message: "Usuário adicionado com sucesso!",
+            data: {
+                id: req.loggedUser.id,
+                groupId: groupId
             }
-        } else {
-            throw Error("Já existe um grupo com esse nome!");
-        }
+        });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({error: error.message});
+        next(error);
     }
 })
 
@@ -420,23 +376,9 @@ router.post("/group/join", auth, async (req, res) => {
  *     tags:
  *       - Group
  *     summary: Sair de um grupo existente
- *     description: O usuário sai de um grupo removendo a associação ao ID do grupo.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - groupId
- *             properties:
- *               userId:
- *                 type: integer
- *                 description: ID do usuário
- *               groupId:
- *                 type: integer
- *                 description: ID do grupo
+ *     description: >
+ *       O usuário logado sai do grupo, e os gastos dele marcados com o grupo ficam sem grupo.
+ *       O dono precisa antes transferir a propriedade do grupo ou excluí-lo.
  *     responses:
  *       201:
  *         description: Usuário removido do grupo com sucesso
@@ -452,43 +394,381 @@ router.post("/group/join", auth, async (req, res) => {
  *                   properties:
  *                     id:
  *                       type: integer
- *       400:
- *         description: Erro ao remover o usuário do grupo
+ *       403:
+ *         description: O userId informado não é o do usuário logado ou o usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *       409:
+ *         description: O dono não pode sair do grupo
  *     security:
  *       - BearerAuth: []
  */
-router.post("/group/leave", auth, async (req, res) => {
+router.post("/group/leave", auth, validate({body: leaveGroupBody}), actAsLoggedUser, async (req, res, next) => {
     try {
         const groupJoin = req.body;
 
-        if(!groupJoin.userId || groupJoin.userId == 0) throw Error("É necessário um usuário para criar o grupo!");
-        if(!groupJoin.groupId || groupJoin.groupId == 0) throw Error("É necessário um usuário para criar o grupo!");
-
         const group = await prisma.group.findUnique({where: {id: groupJoin.groupId}});
+        if(group == null) throw new NotFoundError("Grupo não encontrado!");
 
-        if(group != null) {
-            const user = await prisma.user.update({
-                where: {id: groupJoin.userId},
-                data: {
-                    groupId: null
-                }
-            })
+        const isMember = await canReadGroup(req.loggedUser.id, group.id);
+        if(!isMember) {
+            forbidden(res, "Usuário não pertence ao grupo!");
+            return;
+        }
+
+        await removeGroupMember(req.loggedUser.id, group.id);
+
+        res.statusCode = 201;
+        res.send({
+            message: "Usuário removido com sucesso!",
+            data: {
+                id: req.loggedUser.id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+})
+
+/**
+ * @swagger
+ * /group/{id}/currency:
+ *   put:
+ *     tags:
+ *       - Group
+ *     summary: Altera a moeda base do grupo
+ *     description: Define a moeda em que os totais e relatórios do grupo são apresentados. Apenas o dono e os administradores podem alterá-la.
+ *     responses:
+ *       200:
+ *         description: Moeda base alterada com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não é administrador
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/group/:id/currency", auth, validate({params: groupParams, body: groupCurrencyBody}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const currency = parseCurrency(req.body.currency);
 
-            res.statusCode = 201;
-            res.send({
-                message: "Usuário removido com sucesso!",
-                data: {
-                    id: user.id
-                }
+        const group = await prisma.group.findUnique({where: {id: groupID}});
+        await prisma.$transaction([
+            prisma.group.update({where: {id: groupID}, data: {baseCurrency: currency}}),
+            auditGroupUpdate(req.loggedUser.id, groupID, {baseCurrency: group.baseCurrency}, {baseCurrency: currency})
+        ].filter(Boolean));
+        if(group.baseCurrency != currency) {
+            await emitWebhookEvent("group.updated", {groupIds: [groupID]}, {
+                group: {id: groupID, name: group.name, baseCurrency: currency},
+                previous: {baseCurrency: group.baseCurrency}
             });
-        } else {
-            res.statusCode = 400;
-            res.send({error: "Grupo não encontrado!"});
         }
+        notifyGroupActivity(groupID);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Moeda base alterada com sucesso!",
+            data: {id: groupID, baseCurrency: currency}
+        });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({error: error.message});
+        next(error);
     }
-})
+});
+
+/**
+ * @swagger
+ * /group/{id}:
+ *   put:
+ *     tags:
+ *       - Group
+ *     summary: Renomeia o grupo
+ *     description: Apenas o dono e os administradores podem renomear o grupo.
+ *     responses:
+ *       200:
+ *         description: Grupo renomeado com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não é administrador
+ *       404:
+ *         description: Grupo não encontrado
+ *       409:
+ *         description: Já existe um grupo com esse nome
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/group/:id", auth, validate({params: groupParams, body: renameGroupBody}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const group = await renameGroup(req.loggedUser.id, groupID, req.body.name);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Grupo renomeado com sucesso!",
+            data: {id: groupID, name: group.name}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/password:
+ *   put:
+ *     tags:
+ *       - Group
+ *     summary: Altera a senha do grupo
+ *     description: >
+ *       Define a senha usada para entrar no grupo. Os membros atuais e os convites continuam valendo.
+ *       Apenas o dono e os administradores podem alterá-la.
+ *     responses:
+ *       200:
+ *         description: Senha alterada com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não é administrador
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/group/:id/password", auth, validate({params: groupParams, body: groupPasswordBody}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+
+        let salt = bcrypt.genSaltSync(10);
+        let hash = bcrypt.hashSync(req.body.password, salt);
+
+        // A senha não vai para o histórico, apenas o registro de que ela foi trocada
+        await prisma.$transaction([
+            prisma.group.update({where: {id: groupID}, data: {password: hash}}),
+            auditGroupUpdate(req.loggedUser.id, groupID, null, {passwordChanged: true})
+        ]);
+        notifyGroupActivity(groupID);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Senha do grupo alterada com sucesso!",
+            data: {id: groupID}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}:
+ *   delete:
+ *     tags:
+ *       - Group
+ *     summary: Exclui o grupo
+ *     description: >
+ *       Exclui o grupo com as despesas compartilhadas, acertos, orçamentos e convites. Os membros saem do grupo,
+ *       e os gastos marcados com ele são mantidos, sem grupo. Apenas o dono pode excluir o grupo.
+ *     responses:
+ *       204:
+ *         description: Grupo excluído com sucesso
+ *       403:
+ *         description: Usuário não é o dono do grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/group/:id", auth, validate({params: groupParams}), requireGroupOwner, async (req, res, next) => {
+    try {
+        await deleteGroup(req.params.id, req.loggedUser.id);
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/members/{userId}:
+ *   delete:
+ *     tags:
+ *       - Group
+ *     summary: Remove um membro do grupo
+ *     description: >
+ *       O dono e os administradores podem remover membros comuns; administradores só podem ser removidos pelo dono,
+ *       e o dono não pode ser removido. Os gastos do membro marcados com o grupo ficam sem grupo. Para sair do grupo, use /group/leave.
+ *     responses:
+ *       204:
+ *         description: Membro removido com sucesso
+ *       400:
+ *         description: Tentativa de remover a si mesmo
+ *       403:
+ *         description: Usuário sem permissão para remover este membro
+ *       404:
+ *         description: Grupo ou membro não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/group/:id/members/:userId", auth, validate({params: memberParams}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const memberID = req.params.userId;
+
+        if(memberID == req.loggedUser.id) throw new BadRequestError("Para sair do grupo, use /group/leave!");
+
+        const memberRole = await findGroupRole(memberID, groupID);
+        if(memberRole == null) throw new NotFoundError("Membro não encontrado no grupo!");
+        if(memberRole == "OWNER") {
+            forbidden(res, "O dono não pode ser removido do grupo!");
+            return;
+        }
+        if(memberRole == "ADMIN" && req.groupRole != "OWNER") {
+            forbidden(res, "Apenas o dono pode remover administradores!");
+            return;
+        }
+
+        await removeGroupMember(memberID, groupID, req.loggedUser.id);
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/members/{userId}/role:
+ *   put:
+ *     tags:
+ *       - Group
+ *     summary: Altera o papel de um membro
+ *     description: Promove um membro a administrador ou o rebaixa a membro comum. Apenas o dono pode alterar papéis.
+ *     responses:
+ *       200:
+ *         description: Papel alterado com sucesso
+ *       400:
+ *         description: Tentativa de alterar o próprio papel
+ *       403:
+ *         description: Usuário não é o dono do grupo
+ *       404:
+ *         description: Grupo ou membro não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/group/:id/members/:userId/role", auth, validate({params: memberParams, body: memberRoleBody}), requireGroupOwner, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const memberID = req.params.userId;
+
+        const role = req.body.role;
+        if(memberID == req.loggedUser.id) throw new BadRequestError("O dono não pode alterar o próprio papel!");
+
+        const currentRole = await findGroupRole(memberID, groupID);
+        if(currentRole == null) throw new NotFoundError("Membro não encontrado no grupo!");
+
+        await prisma.$transaction([
+            prisma.groupMember.update({
+                where: {groupId_userId: {groupId: groupID, userId: memberID}},
+                data: {role: role}
+            }),
+            auditLog({
+                entity: "GROUP_MEMBER", entityId: memberID, action: "UPDATE", actorId: req.loggedUser.id, groupId: groupID,
+                before: {role: currentRole}, after: {role: role}
+            })
+        ].filter(Boolean));
+        notifyGroupActivity(groupID);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Papel alterado com sucesso!",
+            data: {id: memberID, role: role}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/owner:
+ *   put:
+ *     tags:
+ *       - Group
+ *     summary: Transfere a propriedade do grupo
+ *     description: Passa a propriedade do grupo para outro membro. O dono atual passa a ser administrador.
+ *     responses:
+ *       200:
+ *         description: Propriedade transferida com sucesso
+ *       403:
+ *         description: Usuário não é o dono do grupo
+ *       404:
+ *         description: Grupo ou membro não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/group/:id/owner", auth, validate({params: groupParams, body: transferOwnerBody}), requireGroupOwner, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const newOwnerId = req.body.userId;
+
+        if(newOwnerId == req.loggedUser.id) throw fieldError("userId", "O usuário já é o dono do grupo!");
+
+        if(await findGroupRole(newOwnerId, groupID) == null) throw new NotFoundError("Membro não encontrado no grupo!");
+
+        await transferGroupOwnership(groupID, req.loggedUser.id, newOwnerId);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Propriedade do grupo transferida com sucesso!",
+            data: {id: groupID, ownerId: newOwnerId}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/nickname:
+ *   put:
+ *     tags:
+ *       - Group
+ *     summary: Altera o apelido do usuário logado no grupo
+ *     responses:
+ *       200:
+ *         description: Apelido alterado com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/group/:id/nickname", auth, validate({params: groupParams, body: nicknameBody}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+
+        const nickname = req.body.nickname == null ? "" : req.body.nickname.trim();
+
+        const membership = await prisma.groupMember.findUnique({
+            where: {groupId_userId: {groupId: groupID, userId: req.loggedUser.id}}
+        });
+        await prisma.$transaction([
+            prisma.groupMember.update({
+                where: {groupId_userId: {groupId: groupID, userId: req.loggedUser.id}},
+                data: {nickname: nickname || null}
+            }),
+            auditLog({
+                entity: "GROUP_MEMBER", entityId: req.loggedUser.id, action: "UPDATE", actorId: req.loggedUser.id, groupId: groupID,
+                before: {nickname: membership.nickname}, after: {nickname: nickname || null}
+            })
+        ].filter(Boolean));
+        notifyGroupActivity(groupID);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Apelido alterado com sucesso!",
+            data: {id: groupID, nickname: nickname || null}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,452 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { GROUP_ROLES, findGroupMembers } from "../services/groups.js";
+import { computeShares, computeBalances } from "../services/splits.js";
+import { parseMoney } from "../services/money.js";
+import { authorizeGroupRoles, GROUP_ADMIN_ROLES } from "../middleware/policies.js";
+import { validate } from "../middleware/validate.js";
+import { groupParams, expenseParams, createExpenseBody, createSettlementBody } from "../schemas/groups.js";
+import { NotFoundError, ForbiddenError, fieldError } from "../errors.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Group Expenses
+ *     description: Despesas compartilhadas entre membros de um grupo e acertos de contas
+ */
+
+/**
+ * @swagger
+ * /group/{id}/expenses:
+ *   get:
+ *     tags:
+ *       - Group Expenses
+ *     summary: Obtém as despesas compartilhadas do grupo
+ *     description: Retorna as despesas do grupo com quem pagou e quanto cada participante deve.
+ *     responses:
+ *       200:
+ *         description: Lista de despesas obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Despesas obtidas com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       day:
+ *                         type: string
+ *                         format: date
+ *                       value:
+ *                         type: number
+ *                         multipleOf: 0.01
+ *                       splitType:
+ *                         type: string
+ *                         enum: [EQUAL, EXACT, PERCENTAGE, SHARES]
+ *                       payerId:
+ *                         type: integer
+ *                       shares:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             userId:
+ *                               type: integer
+ *                             value:
+ *                               type: number
+ *                               multipleOf: 0.01
+ *                             weight:
+ *                               type: number
+ *                               nullable: true
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/expenses", auth, validate({params: groupParams}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+
+        const expenses = await prisma.groupExpense.findMany({
+            where: {groupId: groupID},
+            orderBy: {day: "desc"},
+            include: {
+                shares: {
+                    select: {userId: true, value: true, weight: true}
+                }
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Despesas obtidas com sucesso!",
+            data: expenses
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/expenses:
+ *   post:
+ *     tags:
+ *       - Group Expenses
+ *     summary: Cadastra uma despesa compartilhada
+ *     description: >
+ *       Registra uma despesa paga por um membro em nome de outros. A divisão pode ser igual (EQUAL),
+ *       por valores exatos (EXACT), por porcentagens (PERCENTAGE) ou por partes (SHARES).
+ *       Na divisão igual, se "participants" não for informado, todos os membros do grupo participam.
+ *       Apenas o dono e os administradores podem registrar uma despesa paga por outro membro ("payerId").
+ *     responses:
+ *       201:
+ *         description: Despesa cadastrada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Despesa cadastrada com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *       400:
+ *         description: Divisão inválida (por exemplo, a soma das porcentagens não é 100)
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não pode registrar despesas pagas por outro membro
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/group/:id/expenses", auth, validate({params: groupParams, body: createExpenseBody}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const newExpense = req.body;
+
+        const members = await findGroupMembers(groupID);
+        const memberIds = members.map(member => member.id);
+
+        const value = parseMoney(newExpense.value);
+        if(value == null || !value.greaterThan(0)) throw fieldError("value", "O valor deve ser maior que zero!");
+        const date = new Date(newExpense.day);
+
+        const payerId = newExpense.payerId || req.loggedUser.id;
+        if(payerId != req.loggedUser.id && !GROUP_ADMIN_ROLES.includes(req.groupRole)) {
+            throw new ForbiddenError("Apenas o dono e os administradores podem registrar despesas pagas por outro membro!");
+        }
+        if(!memberIds.includes(payerId)) throw fieldError("payerId", "Quem pagou deve ser membro do grupo!");
+
+        const splitType = newExpense.splitType;
+        let participants = newExpense.participants;
+        if(splitType == "EQUAL" && !participants) {
+            participants = memberIds.map(userId => ({userId: userId}));
+        }
+
+        const shares = computeShares(value, splitType, participants);
+        if(shares.some(share => !memberIds.includes(share.userId))) throw fieldError("participants", "Todos os participantes devem ser membros do grupo!");
+
+        const expense = await prisma.groupExpense.create({
+            data: {
+                name: newExpense.name || "",
+                day: date,
+                value: value,
+                splitType: splitType,
+                groupId: groupID,
+                payerId: payerId,
+                shares: {
+                    create: shares
+                }
+            }
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Despesa cadastrada com sucesso!",
+            data: {
+                id: expense.id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/expenses/{expenseId}:
+ *   delete:
+ *     tags:
+ *       - Group Expenses
+ *     summary: Deleta uma despesa compartilhada
+ *     description: Remove a despesa e a divisão entre os participantes. Apenas quem pagou pode removê-la.
+ *     responses:
+ *       200:
+ *         description: Despesa deletada com sucesso
+ *       403:
+ *         description: Usuário não pode remover a despesa
+ *       404:
+ *         description: Despesa não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/group/:id/expenses/:expenseId", auth, validate({params: expenseParams}), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const expenseID = req.params.expenseId;
+
+        const expense = await prisma.groupExpense.findUnique({where: {id: expenseID}});
+        if(expense == null || expense.groupId != groupID) throw new NotFoundError("Despesa não encontrada!");
+        if(expense.payerId != req.loggedUser.id) throw new ForbiddenError("Apenas quem pagou pode remover a despesa!");
+
+        await prisma.groupExpense.delete({where: {id: expenseID}});
+
+        res.statusCode = 200;
+        res.send({
+            message: "Despesa deletada com sucesso!",
+            data: {
+                id: expenseID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/balances:
+ *   get:
+ *     tags:
+ *       - Group Expenses
+ *     summary: Obtém os saldos do grupo
+ *     description: >
+ *       Retorna o saldo de cada membro (positivo tem a receber, negativo tem a pagar), quem deve a quem
+ *       e uma lista mínima de transferências sugeridas para acertar as contas.
+ *     responses:
+ *       200:
+ *         description: Saldos obtidos com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Saldos obtidos com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balances:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           userId:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           paid:
+ *                             type: number
+ *                             description: Total pago pelo membro em despesas do grupo
+ *                           owed:
+ *                             type: number
+ *                             description: Total que cabe ao membro nas despesas do grupo
+ *                           balance:
+ *                             type: number
+ *                             description: Saldo considerando os acertos já registrados
+ *                     debts:
+ *                       type: array
+ *                       description: Quem deve a quem, por par de membros
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           fromUserId:
+ *                             type: integer
+ *                           toUserId:
+ *                             type: integer
+ *                           value:
+ *                             type: number
+ *                     transfers:
+ *                       type: array
+ *                       description: Transferências sugeridas para zerar os saldos
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           fromUserId:
+ *                             type: integer
+ *                           toUserId:
+ *                             type: integer
+ *                           value:
+ *                             type: number
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/balances", auth, validate({params: groupParams}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+
+        const members = await findGroupMembers(groupID);
+
+        const expenses = await prisma.groupExpense.findMany({
+            where: {groupId: groupID},
+            select: {
+                payerId: true,
+                value: true,
+                shares: {
+                    select: {userId: true, value: true}
+                }
+            }
+        });
+        const settlements = await prisma.settlement.findMany({where: {groupId: groupID}});
+
+        const result = computeBalances(members, expenses, settlements);
+        const names = new Map(members.map(member => [member.id, member.name]));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Saldos obtidos com sucesso!",
+            data: {
+                ...result,
+                balances: result.balances.map(balance => ({
+                    userId: balance.userId,
+                    name: names.get(balance.userId) || null,
+                    paid: balance.paid,
+                    owed: balance.owed,
+                    balance: balance.balance
+                }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/settlements:
+ *   get:
+ *     tags:
+ *       - Group Expenses
+ *     summary: Obtém os acertos registrados no grupo
+ *     description: Retorna os pagamentos feitos entre membros para quitar dívidas do grupo.
+ *     responses:
+ *       200:
+ *         description: Lista de acertos obtida com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/settlements", auth, validate({params: groupParams}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+
+        const settlements = await prisma.settlement.findMany({
+            where: {groupId: groupID},
+            orderBy: {day: "desc"}
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Acertos obtidos com sucesso!",
+            data: settlements
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/settlements:
+ *   post:
+ *     tags:
+ *       - Group Expenses
+ *     summary: Registra um acerto entre membros
+ *     description: >
+ *       Registra um pagamento de um membro para outro, abatendo a dívida entre eles nos saldos do grupo.
+ *       Se "fromUserId" não for informado, o pagamento é feito pelo usuário logado. Um pagamento feito por
+ *       outro membro só pode ser registrado por quem o recebeu, pelo dono ou pelos administradores do grupo.
+ *     responses:
+ *       201:
+ *         description: Acerto registrado com sucesso
+ *       400:
+ *         description: Valor com mais de duas casas decimais
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não pode registrar o pagamento de outro membro
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/group/:id/settlements", auth, validate({params: groupParams, body: createSettlementBody}), authorizeGroupRoles(GROUP_ROLES), async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const newSettlement = req.body;
+
+        const members = await findGroupMembers(groupID);
+        const memberIds = members.map(member => member.id);
+
+        const fromUserId = newSettlement.fromUserId || req.loggedUser.id;
+
+        const value = parseMoney(newSettlement.value);
+        if(value == null || !value.greaterThan(0)) throw fieldError("value", "O valor deve ser maior que zero!");
+        if(fromUserId == newSettlement.toUserId) throw fieldError("toUserId", "Um membro não pode pagar a si mesmo!");
+        if(fromUserId != req.loggedUser.id && newSettlement.toUserId != req.loggedUser.id && !GROUP_ADMIN_ROLES.includes(req.groupRole)) {
+            throw new ForbiddenError("Apenas quem recebeu, o dono e os administradores podem registrar pagamentos feitos por outro membro!");
+        }
+        if(!memberIds.includes(fromUserId) || !memberIds.includes(newSettlement.toUserId)) {
+            throw fieldError("toUserId", "O pagamento deve ser entre membros do grupo!");
+        }
+
+        const date = newSettlement.day ? new Date(newSettlement.day) : new Date();
+
+        const settlement = await prisma.settlement.create({
+            data: {
+                groupId: groupID,
+                fromUserId: fromUserId,
+                toUserId: newSettlement.toUserId,
+                value: value,
+                day: date
+            }
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Acerto registrado com sucesso!",
+            data: {
+                id: settlement.id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
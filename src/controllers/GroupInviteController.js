@@ -0,0 +1,189 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { requireGroupAdmin } from "../middleware/policies.js";
+import { createGroupInvite, formatInvite } from "../services/groupInvites.js";
+import { validate } from "../middleware/validate.js";
+import { groupParams, inviteParams, createInviteBody } from "../schemas/groups.js";
+import { NotFoundError } from "../errors.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Group Invites
+ *     description: >
+ *       Convites para entrar em um grupo sem a senha. O código é enviado em POST /group/join
+ *       e deixa de valer ao expirar, ao atingir a quantidade máxima de usos ou ao ser revogado.
+ *
+ * components:
+ *   schemas:
+ *     GroupInvite:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         groupId:
+ *           type: integer
+ *         createdById:
+ *           type: integer
+ *         maxUses:
+ *           type: integer
+ *           nullable: true
+ *           description: Quantidade máxima de entradas (nulo é sem limite)
+ *         uses:
+ *           type: integer
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ *           description: Se o convite ainda pode ser usado
+ */
+
+/**
+ * @swagger
+ * /group/{id}/invites:
+ *   post:
+ *     tags:
+ *       - Group Invites
+ *     summary: Cria um convite para o grupo
+ *     description: >
+ *       Gera um código de convite e o link correspondente. O código só é mostrado nesta resposta.
+ *       Apenas o dono e os administradores podem criar convites.
+ *     responses:
+ *       201:
+ *         description: Convite criado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/GroupInvite'
+ *                     - type: object
+ *                       properties:
+ *                         code:
+ *                           type: string
+ *                         link:
+ *                           type: string
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não é administrador
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/group/:id/invites", auth, validate({params: groupParams, body: createInviteBody}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const options = req.body;
+
+        const {invite, code, link} = await createGroupInvite(groupID, req.loggedUser.id, {
+            expiresInHours: options.expiresInHours,
+            maxUses: options.maxUses
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Convite criado com sucesso!",
+            data: {...formatInvite(invite), code, link}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/invites:
+ *   get:
+ *     tags:
+ *       - Group Invites
+ *     summary: Lista os convites do grupo
+ *     description: Lista os convites do grupo, do mais recente para o mais antigo. Os códigos não são mostrados.
+ *     responses:
+ *       200:
+ *         description: Convites obtidos com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GroupInvite'
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não é administrador
+ *       404:
+ *         description: Grupo não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/group/:id/invites", auth, validate({params: groupParams}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const invites = await prisma.groupInvite.findMany({
+            where: {groupId: req.params.id},
+            orderBy: {createdAt: "desc"}
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Convites obtidos com sucesso!",
+            data: invites.map(formatInvite)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /group/{id}/invites/{inviteId}:
+ *   delete:
+ *     tags:
+ *       - Group Invites
+ *     summary: Revoga um convite
+ *     responses:
+ *       204:
+ *         description: Convite revogado com sucesso
+ *       403:
+ *         description: Usuário não pertence ao grupo ou não é administrador
+ *       404:
+ *         description: Convite não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/group/:id/invites/:inviteId", auth, validate({params: inviteParams}), requireGroupAdmin, async (req, res, next) => {
+    try {
+        const groupID = req.params.id;
+        const inviteID = req.params.inviteId;
+
+        const invite = await prisma.groupInvite.findUnique({where: {id: inviteID}});
+        if(invite == null || invite.groupId != groupID) throw new NotFoundError("Convite não encontrado!");
+
+        if(invite.revokedAt == null) {
+            await prisma.groupInvite.update({where: {id: inviteID}, data: {revokedAt: new Date()}});
+        }
+
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
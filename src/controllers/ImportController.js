@@ -0,0 +1,198 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import upload from "../middleware/upload.js";
+import prisma from "../database/prisma.js";
+import { findUserCategory } from "../services/categories.js";
+import { readStatement, checkStatementRows } from "../services/statementImport.js";
+import { parseCurrency, findBaseCurrency } from "../services/currencies.js";
+import { insertSpendings, announceCreatedSpendings } from "../services/spendings.js";
+import { validate } from "../middleware/validate.js";
+import { importStatementBody } from "../schemas/imports.js";
+import { fieldError } from "../errors.js";
+
+const router = express.Router();
+
+// Lê as opções enviadas junto com o arquivo (campos do multipart/form-data)
+function parseImportOptions(body) {
+    const options = {
+        format: body.format,
+        header: body.header,
+        delimiter: body.delimiter,
+        decimal: body.decimal,
+        dateFormat: body.dateFormat,
+        encoding: body.encoding
+    };
+
+    if(body.mapping) {
+        try {
+            options.mapping = typeof body.mapping == "string" ? JSON.parse(body.mapping) : body.mapping;
+        } catch (error) {
+            throw fieldError("mapping", "Mapeamento de colunas inválido!");
+        }
+    }
+
+    return options;
+}
+
+/**
+ * @swagger
+ * /spending/import:
+ *   post:
+ *     tags:
+ *       - Spendings
+ *     summary: Importa gastos de um extrato CSV ou OFX
+ *     description: >
+ *       Lê um extrato bancário e cadastra um gasto para cada lançamento. Com "dryRun", apenas retorna a prévia
+ *       das linhas, indicando erros e possíveis duplicados (mesmo dia, valor e nome de um gasto já cadastrado ou
+ *       de outra linha do arquivo). Na importação, as linhas aceitas são gravadas em uma única transação e a
+ *       resposta traz a situação de cada linha. No CSV são aceitas datas como "19/10/2026" e valores como "1.234,56";
+ *       o valor é sempre considerado positivo. No OFX, os créditos são ignorados.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Arquivo CSV ou OFX (até 5 MB)
+ *     responses:
+ *       200:
+ *         description: Prévia da importação obtida com sucesso (dryRun)
+ *       201:
+ *         description: Gastos importados com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Gastos importados com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         imported:
+ *                           type: integer
+ *                         duplicates:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                           status:
+ *                             type: string
+ *                             enum: [valid, imported, duplicate, error, skipped]
+ *                           spendingId:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           day:
+ *                             type: string
+ *                             format: date
+ *                           value:
+ *                             type: number
+ *                           duplicateOf:
+ *                             type: integer
+ *                             description: ID do gasto já cadastrado igual à linha
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Arquivo inválido
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/spending/import", auth, upload("file", {types: [".csv", ".ofx"]}), validate({body: importStatementBody}), async (req, res, next) => {
+    try {
+        if(!req.file) throw fieldError("file", "Arquivo é obrigatório!");
+
+        const userId = req.loggedUser.id;
+        const options = parseImportOptions(req.body);
+        const {dryRun, importDuplicates} = req.body;
+
+        let categoryId = null;
+        if(req.body.categoryId) {
+            categoryId = req.body.categoryId;
+            const category = await findUserCategory(userId, categoryId);
+            if(category == null) throw fieldError("categoryId", "Categoria não encontrada!");
+        }
+
+        const currency = parseCurrency(req.body.currency, await findBaseCurrency({userId}));
+
+        let accepted = null;
+        if(req.body.rows) {
+            accepted = req.body.rows.split(",").map(row => parseInt(row.trim()));
+        }
+
+        const rows = await checkStatementRows(userId, readStatement(req.file.buffer, req.file.originalname, options));
+
+        // Situação de cada linha antes de gravar
+        const report = rows.map(row => {
+            let status = "valid";
+            if(row.errors.length > 0) status = "error";
+            else if(row.skipped || (accepted && !accepted.includes(row.row))) status = "skipped";
+            else if(row.duplicate && !importDuplicates) status = "duplicate";
+
+            return {...row, categoryId: row.categoryId || categoryId, status};
+        });
+
+        if(!dryRun) {
+            const toImport = report.filter(row => row.status == "valid");
+
+            const spendings = await prisma.$transaction((tx) => insertSpendings(tx, userId, toImport.map(row => ({
+                name: row.name,
+                day: row.day,
+                value: row.value,
+                currency: currency,
+                userId: userId,
+                categoryId: row.categoryId
+            }))));
+            await announceCreatedSpendings(spendings);
+
+            toImport.forEach((row, index) => {
+                row.status = "imported";
+                row.spendingId = spendings[index].id;
+            });
+        }
+
+        const count = (status) => report.filter(row => row.status == status).length;
+
+        res.statusCode = dryRun ? 200 : 201;
+        res.send({
+            message: dryRun ? "Prévia da importação obtida com sucesso!" : "Gastos importados com sucesso!",
+            data: {
+                summary: {
+                    total: report.length,
+                    valid: count("valid"),
+                    imported: count("imported"),
+                    duplicates: count("duplicate"),
+                    errors: count("error"),
+                    skipped: count("skipped")
+                },
+                rows: report
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,400 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { findUserCategory } from "../services/categories.js";
+import { parseCurrency, findBaseCurrency } from "../services/currencies.js";
+import { computeInstallments } from "../services/installments.js";
+import { toCents, fromCents, allocateCents, parseMoney } from "../services/money.js";
+import { auditSpending } from "../services/audit.js";
+import { insertSpendings, announceCreatedSpendings } from "../services/spendings.js";
+import { emitSpendingEvent } from "../services/webhooks.js";
+import { notifyGroupActivity } from "../services/groupStream.js";
+import { validate } from "../middleware/validate.js";
+import { installmentParams, listInstallmentsQuery, createInstallmentBody, prepayInstallmentBody } from "../schemas/installments.js";
+import { NotFoundError, ConflictError, fieldError } from "../errors.js";
+
+const router = express.Router();
+
+// Busca uma compra parcelada, com as parcelas fora da lixeira, garantindo que ela pertence ao usuário informado.
+// As etiquetas das parcelas vão para o histórico e para os webhooks quando elas são alteradas
+async function findUserPurchase(userId, purchaseId) {
+    const purchase = await prisma.installmentPurchase.findUnique({
+        where: {id: purchaseId},
+        include: {
+            spendings: {
+                where: {deletedAt: null},
+                orderBy: {installmentNumber: "asc"},
+                include: {tags: {select: {name: true}}}
+            }
+        }
+    });
+
+    if(purchase == null || purchase.userId != userId) return null;
+
+    return purchase;
+}
+
+// Resume a situação das parcelas: as que vencem depois de "now" estão em aberto
+function summarizePurchase(purchase, now = new Date()) {
+    const { spendings, ...data } = purchase;
+    const outstanding = spendings.filter(spending => spending.day > now);
+
+    return {
+        ...data,
+        paidInstallments: spendings.length - outstanding.length,
+        outstandingInstallments: outstanding.length,
+        outstandingValue: fromCents(outstanding.reduce((sum, spending) => sum + toCents(spending.value), 0)),
+        nextDay: outstanding.length > 0 ? outstanding[0].day : null
+    };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Installments
+ *     description: Compras parceladas, divididas em um gasto por mês
+ */
+
+/**
+ * @swagger
+ * /installment:
+ *   get:
+ *     tags:
+ *       - Installments
+ *     summary: Obtém as compras parceladas do usuário logado
+ *     description: >
+ *       Retorna as compras parceladas com a quantidade e o valor das parcelas em aberto (que vencem depois de hoje).
+ *       Por padrão retorna apenas as compras com parcelas em aberto.
+ *     responses:
+ *       200:
+ *         description: Lista de compras parceladas obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Compras parceladas obtidas com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       value:
+ *                         type: number
+ *                         multipleOf: 0.01
+ *                         description: Valor total da compra
+ *                       installments:
+ *                         type: integer
+ *                       firstDay:
+ *                         type: string
+ *                         format: date
+ *                       status:
+ *                         type: string
+ *                         enum: [ACTIVE, CANCELLED, PREPAID]
+ *                       paidInstallments:
+ *                         type: integer
+ *                       outstandingInstallments:
+ *                         type: integer
+ *                       outstandingValue:
+ *                         type: number
+ *                       nextDay:
+ *                         type: string
+ *                         format: date
+ *                         nullable: true
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/installment", auth, validate({query: listInstallmentsQuery}), async (req, res, next) => {
+    try {
+        const purchases = await prisma.installmentPurchase.findMany({
+            where: {userId: req.loggedUser.id},
+            orderBy: {firstDay: "desc"},
+            include: {
+                spendings: {where: {deletedAt: null}, orderBy: {installmentNumber: "asc"}}
+            }
+        });
+
+        let result = purchases.map(purchase => summarizePurchase(purchase));
+        if(!req.query.all) {
+            result = result.filter(purchase => purchase.outstandingInstallments > 0);
+        }
+
+        res.statusCode = 200;
+        res.send({
+            message: "Compras parceladas obtidas com sucesso!",
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /installment/{id}:
+ *   get:
+ *     tags:
+ *       - Installments
+ *     summary: Obtém uma compra parcelada
+ *     description: Retorna a compra parcelada com todas as suas parcelas.
+ *     responses:
+ *       200:
+ *         description: Compra parcelada obtida com sucesso
+ *       404:
+ *         description: Compra parcelada não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/installment/:id", auth, validate({params: installmentParams}), async (req, res, next) => {
+    try {
+        const purchase = await findUserPurchase(req.loggedUser.id, req.params.id);
+        if(purchase == null) throw new NotFoundError("Compra parcelada não encontrada!");
+
+        res.statusCode = 200;
+        res.send({
+            message: "Compra parcelada obtida com sucesso!",
+            data: {
+                ...summarizePurchase(purchase),
+                spendings: purchase.spendings
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /installment:
+ *   post:
+ *     tags:
+ *       - Installments
+ *     summary: Cadastra uma compra parcelada
+ *     description: >
+ *       Cria um gasto para cada parcela, um por mês a partir de "day". As parcelas têm o mesmo valor
+ *       e a diferença de arredondamento dos centavos fica na última parcela.
+ *     responses:
+ *       201:
+ *         description: Compra parcelada cadastrada com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Compra parcelada cadastrada com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     spendings:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: IDs dos gastos criados para as parcelas
+ *       400:
+ *         description: Valor com mais de duas casas decimais
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/installment", auth, validate({body: createInstallmentBody}), async (req, res, next) => {
+    try {
+        const newPurchase = req.body;
+        const userId = req.loggedUser.id;
+
+        const value = parseMoney(newPurchase.value);
+        if(value == null || !value.greaterThan(0)) throw fieldError("value", "O valor deve ser maior que zero!");
+        if(toCents(value) < newPurchase.installments) throw fieldError("value", "Valor insuficiente para a quantidade de parcelas!");
+
+        const date = new Date(newPurchase.day);
+
+        if(newPurchase.categoryId) {
+            const category = await findUserCategory(userId, newPurchase.categoryId);
+            if(category == null) throw fieldError("categoryId", "Categoria não encontrada!");
+        }
+
+        const currency = parseCurrency(newPurchase.currency, await findBaseCurrency({userId}));
+        const installments = computeInstallments(value, newPurchase.installments, date);
+
+        const {purchase, spendings} = await prisma.$transaction(async (tx) => {
+            const purchase = await tx.installmentPurchase.create({
+                data: {
+                    name: newPurchase.name,
+                    value: value,
+                    currency: currency,
+                    installments: newPurchase.installments,
+                    firstDay: date,
+                    userId: userId,
+                    categoryId: newPurchase.categoryId || null
+                }
+            });
+            const spendings = await insertSpendings(tx, userId, installments.map(installment => ({
+                name: `${newPurchase.name} (${installment.number}/${newPurchase.installments})`,
+                day: installment.day,
+                value: installment.value,
+                currency: currency,
+                userId: userId,
+                categoryId: newPurchase.categoryId || null,
+                installmentPurchaseId: purchase.id,
+                installmentNumber: installment.number
+            })));
+
+            return {purchase, spendings};
+        });
+        await announceCreatedSpendings(spendings);
+
+        res.statusCode = 201;
+        res.send({
+            message: "Compra parcelada cadastrada com sucesso!",
+            data: {
+                id: purchase.id,
+                spendings: spendings
+                    .sort((a, b) => a.installmentNumber - b.installmentNumber)
+                    .map(spending => spending.id)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /installment/{id}/cancel:
+ *   post:
+ *     tags:
+ *       - Installments
+ *     summary: Cancela as parcelas em aberto
+ *     description: >
+ *       Move para a lixeira os gastos das parcelas que vencem depois de hoje; eles e seus anexos são apagados
+ *       de vez na limpeza da lixeira. As parcelas já vencidas são mantidas.
+ *     responses:
+ *       200:
+ *         description: Parcelas canceladas com sucesso
+ *       404:
+ *         description: Compra parcelada não encontrada
+ *       409:
+ *         description: A compra não tem parcelas em aberto
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/installment/:id/cancel", auth, validate({params: installmentParams}), async (req, res, next) => {
+    try {
+        const purchaseID = req.params.id;
+
+        const purchase = await findUserPurchase(req.loggedUser.id, purchaseID);
+        if(purchase == null) throw new NotFoundError("Compra parcelada não encontrada!");
+
+        const now = new Date();
+        const outstanding = purchase.spendings.filter(spending => spending.day > now);
+        if(outstanding.length == 0) throw new ConflictError("A compra não tem parcelas em aberto!");
+
+        await prisma.$transaction([
+            prisma.spending.updateMany({
+                where: {id: {in: outstanding.map(spending => spending.id)}, deletedAt: null},
+                data: {deletedAt: now}
+            }),
+            ...outstanding.map(spending => auditSpending(req.loggedUser.id, "DELETE", spending, null)),
+            prisma.installmentPurchase.update({
+                where: {id: purchaseID},
+                data: {status: "CANCELLED"}
+            })
+        ]);
+        for(const spending of outstanding) await emitSpendingEvent("spending.deleted", spending, null);
+        notifyGroupActivity(...outstanding.map(spending => spending.groupId));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Parcelas canceladas com sucesso!",
+            data: {
+                id: purchaseID,
+                cancelledInstallments: outstanding.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /installment/{id}/prepay:
+ *   post:
+ *     tags:
+ *       - Installments
+ *     summary: Antecipa as parcelas em aberto
+ *     description: >
+ *       Move todas as parcelas em aberto para o dia do pagamento. Se "value" for informado (ex.: com desconto
+ *       pela antecipação), o valor pago é distribuído entre as parcelas antecipadas.
+ *     responses:
+ *       200:
+ *         description: Parcelas antecipadas com sucesso
+ *       404:
+ *         description: Compra parcelada não encontrada
+ *       409:
+ *         description: A compra não tem parcelas em aberto
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/installment/:id/prepay", auth, validate({params: installmentParams, body: prepayInstallmentBody}), async (req, res, next) => {
+    try {
+        const purchaseID = req.params.id;
+        const prepay = req.body;
+
+        const purchase = await findUserPurchase(req.loggedUser.id, purchaseID);
+        if(purchase == null) throw new NotFoundError("Compra parcelada não encontrada!");
+
+        const now = new Date();
+        const date = prepay.day ? new Date(prepay.day) : now;
+        if(date > now) throw fieldError("day", "A data do pagamento não pode ser futura!");
+
+        const outstanding = purchase.spendings.filter(spending => spending.day > now);
+        if(outstanding.length == 0) throw new ConflictError("A compra não tem parcelas em aberto!");
+
+        let values = outstanding.map(spending => toCents(spending.value));
+        const prepaidValue = parseMoney(prepay.value);
+        if(prepaidValue != null && !prepaidValue.greaterThan(0)) throw fieldError("value", "O valor deve ser maior que zero!");
+        if(prepaidValue != null) values = allocateCents(toCents(prepaidValue), values);
+
+        const prepaid = outstanding.map((spending, index) => ({...spending, day: date, value: fromCents(values[index])}));
+
+        await prisma.$transaction([
+            ...prepaid.map(spending => prisma.spending.update({
+                where: {id: spending.id},
+                data: {
+                    day: spending.day,
+                    value: spending.value
+                }
+            })),
+            ...outstanding.map((spending, index) => auditSpending(req.loggedUser.id, "UPDATE", spending, prepaid[index])),
+            prisma.installmentPurchase.update({
+                where: {id: purchaseID},
+                data: {status: "PREPAID"}
+            })
+        ]);
+        for(const [index, spending] of outstanding.entries()) await emitSpendingEvent("spending.updated", spending, prepaid[index]);
+        notifyGroupActivity(...outstanding.map(spending => spending.groupId));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Parcelas antecipadas com sucesso!",
+            data: {
+                id: purchaseID,
+                prepaidInstallments: outstanding.length,
+                value: fromCents(values.reduce((sum, value) => sum + value, 0))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
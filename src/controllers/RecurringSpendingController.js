@@ -0,0 +1,514 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { findUserCategory } from "../services/categories.js";
+import { parseCurrency, findBaseCurrency } from "../services/currencies.js";
+import { parseMoney } from "../services/money.js";
+import { occurrencesBetween, sameDay } from "../services/recurrence.js";
+import { materializeRecurringSpending } from "../jobs/recurringSpendings.js";
+import { validate } from "../middleware/validate.js";
+import {
+    recurringSpendingParams, upcomingQuery, createRecurringSpendingBody, updateRecurringSpendingBody, skipOccurrenceBody
+} from "../schemas/recurringSpendings.js";
+import { NotFoundError, ConflictError, fieldError } from "../errors.js";
+
+const router = express.Router();
+
+// Busca uma recorrência garantindo que ela pertence ao usuário informado
+async function findUserRecurringSpending(userId, recurringId) {
+    const recurring = await prisma.recurringSpending.findUnique({where: {id: recurringId}});
+
+    if(recurring == null || recurring.userId != userId) return null;
+
+    return recurring;
+}
+
+// Confere os dados de criação/atualização de uma recorrência (o formato é validado pelo esquema)
+async function validateRecurringSpending(userId, data) {
+    const value = parseMoney(data.value);
+    if(value == null || value.isZero()) throw fieldError("value", "O valor não pode ser zero!");
+
+    const frequency = data.frequency;
+    const interval = data.interval;
+
+    const startDate = new Date(data.startDate);
+    const endDate = data.endDate ? new Date(data.endDate) : null;
+    if(endDate != null && endDate < startDate) throw fieldError("endDate", "A data de término deve ser posterior à data de início!");
+
+    if(data.categoryId) {
+        const category = await findUserCategory(userId, data.categoryId);
+        if(category == null) throw fieldError("categoryId", "Categoria não encontrada!");
+    }
+
+    return {
+        name: data.name,
+        value: value,
+        // Sem moeda informada, a criação usa a moeda base do usuário e a atualização mantém a atual
+        currency: data.currency ? parseCurrency(data.currency) : undefined,
+        frequency: frequency,
+        interval: interval,
+        dayOfMonth: frequency == "MONTHLY" ? data.dayOfMonth || null : null,
+        startDate: startDate,
+        endDate: endDate,
+        categoryId: data.categoryId || null
+    };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Recurring Spendings
+ *     description: Gastos recorrentes (aluguel, assinaturas, contas) gerados automaticamente
+ */
+
+/**
+ * @swagger
+ * /recurring-spending:
+ *   get:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Obtém os gastos recorrentes do usuário logado
+ *     description: Retorna as recorrências cadastradas, com a data da próxima ocorrência.
+ *     responses:
+ *       200:
+ *         description: Lista de recorrências obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Gastos recorrentes obtidos com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       value:
+ *                         type: number
+ *                         multipleOf: 0.01
+ *                       frequency:
+ *                         type: string
+ *                         enum: [DAILY, WEEKLY, MONTHLY, YEARLY]
+ *                       interval:
+ *                         type: integer
+ *                       dayOfMonth:
+ *                         type: integer
+ *                         nullable: true
+ *                       startDate:
+ *                         type: string
+ *                         format: date
+ *                       endDate:
+ *                         type: string
+ *                         format: date
+ *                         nullable: true
+ *                       paused:
+ *                         type: boolean
+ *                       categoryId:
+ *                         type: integer
+ *                         nullable: true
+ *                       nextOccurrence:
+ *                         type: string
+ *                         format: date
+ *                         nullable: true
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/recurring-spending", auth, async (req, res, next) => {
+    try {
+        const recurringSpendings = await prisma.recurringSpending.findMany({
+            where: {userId: req.loggedUser.id},
+            orderBy: {name: "asc"}
+        });
+
+        const now = new Date();
+        const farFuture = new Date(Date.UTC(now.getUTCFullYear() + 100, 0, 1));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Gastos recorrentes obtidos com sucesso!",
+            data: recurringSpendings.map(recurring => ({
+                ...recurring,
+                nextOccurrence: recurring.paused ? null : occurrencesBetween(recurring, now, farFuture, 1)[0] || null
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending/upcoming:
+ *   get:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Lista as próximas ocorrências
+ *     description: >
+ *       Retorna as próximas ocorrências dos gastos recorrentes ativos do usuário logado, em ordem de data,
+ *       indicando as que foram puladas. A data limite pode ser de até um ano a partir de hoje.
+ *     responses:
+ *       200:
+ *         description: Próximas ocorrências obtidas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Próximas ocorrências obtidas com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       recurringSpendingId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       value:
+ *                         type: number
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       skipped:
+ *                         type: boolean
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/recurring-spending/upcoming", auth, validate({query: upcomingQuery}), async (req, res, next) => {
+    try {
+        const now = new Date();
+        const until = req.query.until
+            ? new Date(req.query.until)
+            : new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+        const maxUntil = new Date(now);
+        maxUntil.setUTCFullYear(now.getUTCFullYear() + 1);
+        if(until > maxUntil) throw fieldError("until", "A data limite deve ser de até um ano a partir de hoje!", "query");
+
+        const where = {userId: req.loggedUser.id, paused: false};
+        if(req.query.recurringSpendingId) where.id = req.query.recurringSpendingId;
+
+        const recurringSpendings = await prisma.recurringSpending.findMany({
+            where: where,
+            include: {
+                skips: {select: {occurrenceDate: true}}
+            }
+        });
+
+        const upcoming = recurringSpendings.flatMap(recurring => {
+            const skipped = recurring.skips.map(skip => skip.occurrenceDate.getTime());
+
+            return occurrencesBetween(recurring, now, until).map(date => ({
+                recurringSpendingId: recurring.id,
+                name: recurring.name,
+                value: recurring.value,
+                currency: recurring.currency,
+                categoryId: recurring.categoryId,
+                date: date,
+                skipped: skipped.includes(date.getTime())
+            }));
+        });
+        upcoming.sort((a, b) => a.date - b.date);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Próximas ocorrências obtidas com sucesso!",
+            data: upcoming
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending:
+ *   post:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Cria um gasto recorrente
+ *     description: >
+ *       Cadastra um gasto que se repete a cada "interval" dias, semanas, meses ou anos a partir de "startDate".
+ *       Os gastos são criados automaticamente quando cada ocorrência vence. Na recorrência mensal,
+ *       "dayOfMonth" define o dia do mês; nos meses mais curtos é usado o último dia do mês.
+ *     responses:
+ *       201:
+ *         description: Gasto recorrente cadastrado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Gasto recorrente cadastrado com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *       400:
+ *         description: Valor com mais de duas casas decimais
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/recurring-spending", auth, validate({body: createRecurringSpendingBody}), async (req, res, next) => {
+    try {
+        const data = await validateRecurringSpending(req.loggedUser.id, req.body);
+
+        const recurring = await prisma.recurringSpending.create({
+            data: {
+                ...data,
+                currency: data.currency || await findBaseCurrency({userId: req.loggedUser.id}),
+                userId: req.loggedUser.id
+            }
+        });
+
+        await materializeRecurringSpending(recurring);
+
+        res.statusCode = 201;
+        res.send({
+            message: "Gasto recorrente cadastrado com sucesso!",
+            data: {
+                id: recurring.id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending/{id}:
+ *   put:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Atualiza as próximas ocorrências de um gasto recorrente
+ *     description: >
+ *       Altera a recorrência para todas as ocorrências futuras. Os gastos já gerados não são alterados.
+ *     responses:
+ *       200:
+ *         description: Gasto recorrente atualizado com sucesso
+ *       400:
+ *         description: Valor com mais de duas casas decimais
+ *       404:
+ *         description: Gasto recorrente não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/recurring-spending/:id", auth, validate({params: recurringSpendingParams, body: updateRecurringSpendingBody}), async (req, res, next) => {
+    try {
+        const recurringID = req.params.id;
+
+        const recurring = await findUserRecurringSpending(req.loggedUser.id, recurringID);
+        if(recurring == null) throw new NotFoundError("Gasto recorrente não encontrado!");
+
+        const data = await validateRecurringSpending(req.loggedUser.id, req.body);
+
+        // As ocorrências que já venceram continuam como estão; a nova regra vale a partir de agora
+        const updated = await prisma.recurringSpending.update({
+            where: {id: recurringID},
+            data: {
+                ...data,
+                materializedUntil: recurring.materializedUntil || new Date()
+            }
+        });
+
+        await materializeRecurringSpending(updated);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Gasto recorrente atualizado com sucesso!",
+            data: {
+                id: recurringID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending/{id}/pause:
+ *   post:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Pausa um gasto recorrente
+ *     description: Enquanto pausada, a recorrência não gera novos gastos.
+ *     responses:
+ *       200:
+ *         description: Gasto recorrente pausado com sucesso
+ *       404:
+ *         description: Gasto recorrente não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/recurring-spending/:id/pause", auth, validate({params: recurringSpendingParams}), async (req, res, next) => {
+    try {
+        const recurringID = req.params.id;
+
+        const recurring = await findUserRecurringSpending(req.loggedUser.id, recurringID);
+        if(recurring == null) throw new NotFoundError("Gasto recorrente não encontrado!");
+
+        await prisma.recurringSpending.update({
+            where: {id: recurringID},
+            data: {paused: true}
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Gasto recorrente pausado com sucesso!",
+            data: {
+                id: recurringID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending/{id}/resume:
+ *   post:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Retoma um gasto recorrente pausado
+ *     description: As ocorrências que venceram durante a pausa não são geradas.
+ *     responses:
+ *       200:
+ *         description: Gasto recorrente retomado com sucesso
+ *       404:
+ *         description: Gasto recorrente não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/recurring-spending/:id/resume", auth, validate({params: recurringSpendingParams}), async (req, res, next) => {
+    try {
+        const recurringID = req.params.id;
+
+        const recurring = await findUserRecurringSpending(req.loggedUser.id, recurringID);
+        if(recurring == null) throw new NotFoundError("Gasto recorrente não encontrado!");
+
+        await prisma.recurringSpending.update({
+            where: {id: recurringID},
+            data: {
+                paused: false,
+                materializedUntil: recurring.paused ? new Date() : recurring.materializedUntil
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Gasto recorrente retomado com sucesso!",
+            data: {
+                id: recurringID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending/{id}/skip:
+ *   post:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Pula uma ocorrência de um gasto recorrente
+ *     description: A ocorrência do dia informado não gera gasto. As demais ocorrências continuam normalmente.
+ *     responses:
+ *       200:
+ *         description: Ocorrência pulada com sucesso
+ *       404:
+ *         description: Gasto recorrente não encontrado
+ *       409:
+ *         description: O gasto dessa ocorrência já foi gerado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/recurring-spending/:id/skip", auth, validate({params: recurringSpendingParams, body: skipOccurrenceBody}), async (req, res, next) => {
+    try {
+        const recurringID = req.params.id;
+
+        const recurring = await findUserRecurringSpending(req.loggedUser.id, recurringID);
+        if(recurring == null) throw new NotFoundError("Gasto recorrente não encontrado!");
+
+        const date = new Date(req.body.date);
+
+        const dayStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000 - 1);
+        const occurrence = occurrencesBetween(recurring, dayStart, dayEnd).find(o => sameDay(o, date));
+        if(!occurrence) throw fieldError("date", "Não há ocorrência nessa data!");
+        if(recurring.materializedUntil && occurrence <= recurring.materializedUntil) throw new ConflictError("O gasto dessa ocorrência já foi gerado!");
+
+        await prisma.recurringSpendingSkip.upsert({
+            where: {
+                recurringSpendingId_occurrenceDate: {recurringSpendingId: recurringID, occurrenceDate: occurrence}
+            },
+            update: {},
+            create: {recurringSpendingId: recurringID, occurrenceDate: occurrence}
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Ocorrência pulada com sucesso!",
+            data: {
+                id: recurringID,
+                date: occurrence
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /recurring-spending/{id}:
+ *   delete:
+ *     tags:
+ *       - Recurring Spendings
+ *     summary: Deleta um gasto recorrente
+ *     description: Remove a recorrência. Os gastos já gerados são mantidos.
+ *     responses:
+ *       200:
+ *         description: Gasto recorrente deletado com sucesso
+ *       404:
+ *         description: Gasto recorrente não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/recurring-spending/:id", auth, validate({params: recurringSpendingParams}), async (req, res, next) => {
+    try {
+        const recurringID = req.params.id;
+
+        const recurring = await findUserRecurringSpending(req.loggedUser.id, recurringID);
+        if(recurring == null) throw new NotFoundError("Gasto recorrente não encontrado!");
+
+        await prisma.recurringSpending.delete({where: {id: recurringID}});
+
+        res.statusCode = 200;
+        res.send({
+            message: "Gasto recorrente deletado com sucesso!",
+            data: {
+                id: recurringID
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,364 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import { isGroupMember } from "../services/groups.js";
+import { parseCurrency, findBaseCurrency } from "../services/currencies.js";
+import { periodEnd } from "../services/spendings.js";
+import {
+    reportScope,
+    summaryReport,
+    periodReport,
+    categoryReport,
+    memberReport,
+    comparisonReport
+} from "../services/reports.js";
+import { validate } from "../middleware/validate.js";
+import { reportQuery, periodReportQuery, memberReportQuery, comparisonReportQuery } from "../schemas/reports.js";
+import { ForbiddenError } from "../errors.js";
+
+const router = express.Router();
+
+// Lê os filtros comuns dos relatórios (from, to, groupId e currency) e verifica o acesso ao grupo
+async function parseReportQuery(req) {
+    const params = {userId: req.loggedUser.id};
+
+    if(req.query.from) params.from = new Date(req.query.from);
+    if(req.query.to) params.to = periodEnd(req.query.to);
+
+    if(req.query.groupId) {
+        params.groupId = req.query.groupId;
+
+        const isMember = await isGroupMember(req.loggedUser.id, params.groupId);
+        if(!isMember) throw new ForbiddenError("Usuário não pertence ao grupo!");
+    }
+
+    // Sem moeda informada, vale a moeda base do grupo ou do usuário
+    params.currency = req.query.currency
+        ? parseCurrency(req.query.currency)
+        : await findBaseCurrency(params);
+
+    return params;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reports
+ *     description: Relatórios com totais, médias e quantidades de gastos
+ *
+ * components:
+ *   schemas:
+ *     ReportAggregate:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: number
+ *         average:
+ *           type: number
+ *         count:
+ *           type: integer
+ *         min:
+ *           type: number
+ *           nullable: true
+ *         max:
+ *           type: number
+ *           nullable: true
+ *         missingRates:
+ *           type: integer
+ *           description: Gastos sem cotação para a moeda do relatório, que ficaram fora dos valores
+ */
+
+/**
+ * @swagger
+ * /reports/summary:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Resumo dos gastos
+ *     description: Retorna total, média, quantidade, menor e maior gasto no intervalo.
+ *     responses:
+ *       200:
+ *         description: Resumo obtido com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Resumo obtido com sucesso!
+ *                 currency:
+ *                   type: string
+ *                   description: Moeda dos valores do relatório
+ *                 data:
+ *                   $ref: '#/components/schemas/ReportAggregate'
+ *       403:
+ *         description: Usuário não pertence ao grupo informado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/reports/summary", auth, validate({query: reportQuery}), async (req, res, next) => {
+    try {
+        const params = await parseReportQuery(req);
+        const summary = await summaryReport(reportScope(params));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Resumo obtido com sucesso!",
+            currency: params.currency,
+            data: summary
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /reports/period:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Gastos agrupados por período
+ *     description: Retorna total, média e quantidade de gastos por dia, semana (começando na segunda-feira), mês ou ano.
+ *     responses:
+ *       200:
+ *         description: Relatório obtido com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Relatório obtido com sucesso!
+ *                 currency:
+ *                   type: string
+ *                   description: Moeda dos valores do relatório
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: string
+ *                         format: date
+ *                         description: Início do período
+ *                       total:
+ *                         type: number
+ *                       average:
+ *                         type: number
+ *                       count:
+ *                         type: integer
+ *       403:
+ *         description: Usuário não pertence ao grupo informado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/reports/period", auth, validate({query: periodReportQuery}), async (req, res, next) => {
+    try {
+        const params = await parseReportQuery(req);
+
+        const report = await periodReport(reportScope(params), req.query.groupBy);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Relatório obtido com sucesso!",
+            currency: params.currency,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /reports/category:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Gastos agrupados por categoria
+ *     description: Retorna os totais de cada categoria, do maior para o menor. Gastos sem categoria aparecem com "categoryId" nulo.
+ *     responses:
+ *       200:
+ *         description: Relatório obtido com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Relatório obtido com sucesso!
+ *                 currency:
+ *                   type: string
+ *                   description: Moeda dos valores do relatório
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ReportAggregate'
+ *                       - type: object
+ *                         properties:
+ *                           categoryId:
+ *                             type: integer
+ *                             nullable: true
+ *                           category:
+ *                             type: object
+ *                             nullable: true
+ *       403:
+ *         description: Usuário não pertence ao grupo informado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/reports/category", auth, validate({query: reportQuery}), async (req, res, next) => {
+    try {
+        const params = await parseReportQuery(req);
+        const report = await categoryReport(reportScope(params));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Relatório obtido com sucesso!",
+            currency: params.currency,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /reports/member:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Gastos agrupados por membro do grupo
+ *     description: Retorna os totais dos gastos marcados com o grupo de cada membro, do maior para o menor.
+ *     responses:
+ *       200:
+ *         description: Relatório obtido com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Relatório obtido com sucesso!
+ *                 currency:
+ *                   type: string
+ *                   description: Moeda dos valores do relatório
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/ReportAggregate'
+ *                       - type: object
+ *                         properties:
+ *                           userId:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           nickname:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Apelido do membro no grupo
+ *                           email:
+ *                             type: string
+ *       403:
+ *         description: Usuário não pertence ao grupo informado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/reports/member", auth, validate({query: memberReportQuery}), async (req, res, next) => {
+    try {
+        const params = await parseReportQuery(req);
+        const report = await memberReport(reportScope(params), params.groupId);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Relatório obtido com sucesso!",
+            currency: params.currency,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /reports/comparison:
+ *   get:
+ *     tags:
+ *       - Reports
+ *     summary: Compara períodos
+ *     description: >
+ *       Compara o total gasto no período que contém "date" com o período anterior (ex.: este mês contra o mês passado)
+ *       e com o mesmo período do ano anterior.
+ *     responses:
+ *       200:
+ *         description: Comparação obtida com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Comparação obtida com sucesso!
+ *                 currency:
+ *                   type: string
+ *                   description: Moeda dos valores do relatório
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                     current:
+ *                       $ref: '#/components/schemas/ReportAggregate'
+ *                     previous:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ReportAggregate'
+ *                         - type: object
+ *                           properties:
+ *                             difference:
+ *                               type: number
+ *                             percentageChange:
+ *                               type: number
+ *                               nullable: true
+ *                     lastYear:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ReportAggregate'
+ *                         - type: object
+ *                           properties:
+ *                             difference:
+ *                               type: number
+ *                             percentageChange:
+ *                               type: number
+ *                               nullable: true
+ *       403:
+ *         description: Usuário não pertence ao grupo informado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/reports/comparison", auth, validate({query: comparisonReportQuery}), async (req, res, next) => {
+    try {
+        const {userId, groupId, currency} = await parseReportQuery(req);
+
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        const report = await comparisonReport({userId, groupId, currency}, req.query.period, date);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Comparação obtida com sucesso!",
+            currency: currency,
+            data: report
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,223 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { refreshSession, findUserSessions, revokeSession, revokeUserSessions } from "../services/sessions.js";
+import { validate } from "../middleware/validate.js";
+import { sessionParams, refreshTokenBody, logoutAllBody } from "../schemas/sessions.js";
+import { NotFoundError } from "../errors.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Sessions
+ *     description: Renovação de tokens, logout e sessões ativas
+ */
+
+/**
+ * @swagger
+ * /token/refresh:
+ *   post:
+ *     tags:
+ *       - Sessions
+ *     summary: Renova o token de acesso
+ *     description: >
+ *       Troca um refresh token válido por um novo token de acesso e um novo refresh token.
+ *       O refresh token enviado deixa de valer; reutilizá-lo encerra a sessão.
+ *     responses:
+ *       200:
+ *         description: Tokens renovados com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token renovado com sucesso!
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     sessionId:
+ *                       type: integer
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Refresh token inválido, expirado ou sessão encerrada
+ */
+router.post("/token/refresh", validate({body: refreshTokenBody}), async (req, res, next) => {
+    try {
+        const tokens = await refreshSession(req.body.refreshToken, req);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Token renovado com sucesso!",
+            data: tokens
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     tags:
+ *       - Sessions
+ *     summary: Encerra a sessão atual
+ *     description: Encerra a sessão do token usado na requisição. O token de acesso e o refresh token dela deixam de valer.
+ *     responses:
+ *       200:
+ *         description: Logout efetuado com sucesso
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/logout", auth, async (req, res, next) => {
+    try {
+        await revokeSession(req.loggedUser.sessionId);
+
+        res.statusCode = 200;
+        res.send({message: "Logout efetuado com sucesso!"});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /logout/all:
+ *   post:
+ *     tags:
+ *       - Sessions
+ *     summary: Encerra todas as sessões do usuário
+ *     description: >
+ *       Faz logout em todos os dispositivos. Com "keepCurrent" igual a true a sessão usada na requisição é mantida.
+ *     responses:
+ *       200:
+ *         description: Sessões encerradas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       description: Quantidade de sessões encerradas
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/logout/all", auth, validate({body: logoutAllBody}), async (req, res, next) => {
+    try {
+        const revoked = await revokeUserSessions(req.loggedUser.id, req.body.keepCurrent ? req.loggedUser.sessionId : null);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Sessões encerradas com sucesso!",
+            data: {revoked}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /sessions:
+ *   get:
+ *     tags:
+ *       - Sessions
+ *     summary: Lista as sessões ativas do usuário logado
+ *     responses:
+ *       200:
+ *         description: Sessões obtidas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       userAgent:
+ *                         type: string
+ *                         nullable: true
+ *                       ip:
+ *                         type: string
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: Indica a sessão usada na requisição
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/sessions", auth, async (req, res, next) => {
+    try {
+        const sessions = await findUserSessions(req.loggedUser.id);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Sessões obtidas com sucesso!",
+            data: sessions.map(session => ({...session, current: session.id == req.loggedUser.sessionId}))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /sessions/{id}:
+ *   delete:
+ *     tags:
+ *       - Sessions
+ *     summary: Encerra uma sessão do usuário logado
+ *     responses:
+ *       204:
+ *         description: Sessão encerrada com sucesso
+ *       404:
+ *         description: Sessão não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/sessions/:id", auth, validate({params: sessionParams}), async (req, res, next) => {
+    try {
+        const sessionID = req.params.id;
+
+        const session = await prisma.session.findUnique({where: {id: sessionID}});
+        if(session == null || session.userId != req.loggedUser.id) throw new NotFoundError("Sessão não encontrada!");
+
+        await revokeSession(sessionID);
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
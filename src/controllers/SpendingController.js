@@ -1,6 +1,16 @@
 import express from "express";
 import auth from "../middleware/auth.js";
 import prisma from "../database/prisma.js";
+import { findBudgetWarnings } from "../services/budgets.js";
+import {
+    parseSpendingListQuery, parseTrashQuery, searchSpendingIds, findSpendingPage, trashPurgeDate,
+    findActiveSpending, findTrashedSpending, createSpending, updateSpending, trashSpending, restoreSpending
+} from "../services/spendings.js";
+import { findBaseCurrency } from "../services/currencies.js";
+import { forbidden, canManageSpending, authorizeUserSpendingsRead, actAsLoggedUser } from "../middleware/policies.js";
+import { validate } from "../middleware/validate.js";
+import { spendingParams, userSpendingsParams, listSpendingsQuery, trashQuery, searchSpendingsQuery, createSpendingBody, updateSpendingBody } from "../schemas/spendings.js";
+import { NotFoundError } from "../errors.js";
 
 const router = express.Router();
 
@@ -13,22 +23,17 @@ const router = express.Router();
 
 /**
  * @swagger
- * /spending/{userId}:
+ * /spending/trash:
  *   get:
  *     tags:
  *       - Spendings
- *     summary: Obtém a lista de gastos de um usuário
- *     description: Retorna todos os gastos relacionados a um usuário específico, identificado pelo seu ID.
- *     parameters:
- *       - in: path
- *         name: userId
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID do usuário
+ *     summary: Lista os gastos na lixeira
+ *     description: >
+ *       Retorna os gastos removidos pelo usuário logado, do removido mais recentemente para o mais antigo,
+ *       com a data em que cada um será apagado de vez. Paginação por cursor como na listagem de gastos.
  *     responses:
  *       200:
- *         description: Lista de gastos obtida com sucesso
+ *         description: Lixeira obtida com sucesso
  *         content:
  *           application/json:
  *             schema:
@@ -36,7 +41,6 @@ const router = express.Router();
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Lista de gastos obtidas com sucesso!
  *                 data:
  *                   type: array
  *                   items:
@@ -48,40 +52,265 @@ const router = express.Router();
  *                         type: string
  *                       day:
  *                         type: string
- *                         format: date
+ *                         format: date-time
  *                       value:
  *                         type: number
- *                         format: float
- *                       userId:
- *                         type: integer
+ *                       currency:
+ *                         type: string
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       purgeAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Quando o gasto será apagado de vez
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: integer
+ *                       nullable: true
+ *     security:
+ *       - BearerAuth: []
+ */
+// Declarada antes de /spending/:userId para que "trash" não seja lido como ID de usuário
+router.get("/spending/trash", auth, validate({query: trashQuery}), async (req, res, next) => {
+    try {
+        const query = parseTrashQuery(req.loggedUser.id, req.query);
+
+        const [spendings, total] = await Promise.all([
+            prisma.spending.findMany({
+                where: query.where,
+                orderBy: [{deletedAt: "desc"}, {id: "desc"}],
+                take: query.limit + 1,
+                ...(query.cursor != null && {cursor: {id: query.cursor}, skip: 1}),
+                include: {
+                    category: {
+                        select: { id: true, name: true, color: true, icon: true }
+                    }
+                }
+            }),
+            prisma.spending.count({where: query.where})
+        ]);
+
+        const hasMore = spendings.length > query.limit;
+        if(hasMore) spendings.pop();
+
+        res.statusCode = 200;
+        res.send({
+            message: "Lixeira obtida com sucesso!",
+            data: spendings.map(spending => ({...spending, purgeAt: trashPurgeDate(spending.deletedAt)})),
+            meta: {
+                total: total,
+                limit: query.limit,
+                nextCursor: hasMore ? spendings[spendings.length - 1].id : null
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /spending/search:
+ *   get:
+ *     tags:
+ *       - Spendings
+ *     summary: Busca nos gastos do usuário logado
+ *     description: >
+ *       Busca textual no nome e nas observações dos gastos, em português e sem diferenciar acentos
+ *       ("cafe" encontra "Café", "viagens" encontra "viagem"). Aceita "frase exata", -palavra para excluir e "or".
+ *       Os resultados vêm do mais relevante para o menos relevante e podem ser combinados com filtros
+ *       de etiquetas, categoria, datas e valores. É preciso informar o texto ou ao menos uma etiqueta.
+ *     responses:
+ *       200:
+ *         description: Resultados da busca
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     description: Gasto, com a categoria, as etiquetas e a relevância ("rank")
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
  *       400:
- *         description: ID do usuário inválido
+ *         description: Texto da busca e etiquetas não informados ou etiqueta inválida
+ *     security:
+ *       - BearerAuth: []
+ */
+// Declarada antes de /spending/:userId para que "search" não seja lido como ID de usuário
+router.get("/spending/search", auth, validate({query: searchSpendingsQuery}), async (req, res, next) => {
+    try {
+        const result = await searchSpendingIds(req.loggedUser.id, req.query);
+
+        const spendings = await prisma.spending.findMany({
+            where: {id: {in: result.ids}},
+            include: {
+                category: {
+                    select: { id: true, name: true, color: true, icon: true }
+                },
+                tags: {
+                    select: { id: true, name: true, color: true },
+                    orderBy: { name: "asc" }
+                }
+            }
+        });
+        const byId = new Map(spendings.map(spending => [spending.id, spending]));
+
+        res.statusCode = 200;
+        res.send({
+            message: "Busca realizada com sucesso!",
+            data: result.ids.map(id => ({...byId.get(id), rank: result.ranks.get(id)})),
+            meta: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /spending/{userId}:
+ *   get:
+ *     tags:
+ *       - Spendings
+ *     summary: Obtém a lista de gastos de um usuário
+ *     description: >
+ *       Retorna os gastos de um usuário específico, identificado pelo seu ID, com filtros, ordenação e paginação por cursor.
+ *       Para obter a próxima página envie o "nextCursor" da resposta no parâmetro "cursor".
+ *       O próprio usuário vê todos os seus gastos; os membros dos grupos de que ele participa veem apenas
+ *       os gastos marcados com um grupo em comum.
+ *     responses:
+ *       200:
+ *         description: Lista de gastos obtida com sucesso
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 message:
  *                   type: string
- *                   example: ID do usuário inválido
+ *                   example: Lista de gastos obtidas com sucesso!
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       day:
+ *                         type: string
+ *                         format: date
+ *                       value:
+ *                         type: number
+ *                         multipleOf: 0.01
+ *                       currency:
+ *                         type: string
+ *                         example: BRL
+ *                       userId:
+ *                         type: integer
+ *                       categoryId:
+ *                         type: integer
+ *                         nullable: true
+ *                       groupId:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Grupo a que o gasto pertence
+ *                       notes:
+ *                         type: string
+ *                         nullable: true
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Tag'
+ *                       category:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           name:
+ *                             type: string
+ *                           color:
+ *                             type: string
+ *                           icon:
+ *                             type: string
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       description: Quantidade de gastos que atendem aos filtros
+ *                     totalValue:
+ *                       type: number
+ *                       description: >
+ *                         Soma dos valores dos gastos que atendem aos filtros, convertidos para a moeda base do usuário
+ *                         pela cotação do dia de cada gasto
+ *                     currency:
+ *                       type: string
+ *                       description: Moeda base do usuário, usada em totalValue
+ *                     missingRates:
+ *                       type: integer
+ *                       description: Gastos sem cotação para a moeda base, que ficaram fora de totalValue
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Cursor da próxima página (null na última página)
+ *       403:
+ *         description: O usuário logado não é o dono dos gastos nem participa de um grupo em comum com ele
  *     security:
  *       - BearerAuth: []
  */
-router.get("/spending/:userId", auth, async (req, res) => {
-    if(!isNaN(req.params.userId)){
-        let userId = parseInt(req.params.userId);
-        
-        const spendings = await prisma.spending.findMany({where: { userId: userId }})
+router.get("/spending/:userId", auth, validate({params: userSpendingsParams, query: listSpendingsQuery}), authorizeUserSpendingsRead(), async (req, res, next) => {
+    try {
+        const userId = req.params.userId;
+        const query = await parseSpendingListQuery(userId, req.query, req.loggedUser.id);
+        const {spendings, ...meta} = await findSpendingPage(query, await findBaseCurrency({userId}), {
+            category: {
+                select: { id: true, name: true, color: true, icon: true }
+            },
+            tags: {
+                select: { id: true, name: true, color: true },
+                orderBy: { name: "asc" }
+            }
+        });
 
-        res.statusCode = 200
+        res.statusCode = 200;
         res.send({
             message: "Lista de gastos obtidas com sucesso!",
-            data: spendings
-        })
-    }else{
-        res.sendStatus(400);
+            data: spendings,
+            meta: meta
+        });
+    } catch (error) {
+        next(error);
     }
-})
+});
 
 /**
  * @swagger
@@ -90,33 +319,7 @@ router.get("/spending/:userId", auth, async (req, res) => {
  *     tags:
  *       - Spendings
  *     summary: Cria um novo gasto
- *     description: Adiciona um novo gasto relacionado a um usuário específico.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - day
- *               - value
- *             properties:
- *               userId:
- *                 type: integer
- *                 description: ID do usuário ao qual o gasto pertence
- *               name:
- *                 type: string
- *                 description: Nome para identificar o gasto
- *               day:
- *                 type: string
- *                 description: >
- *                   Dia do gasto. Deve estar no formato ISO 8601, por exemplo: "2024-09-03T12:34:56Z"
- *                 example: "2024-09-03T12:34:56Z"
- *               value:
- *                 type: number
- *                 format: float
- *                 description: Valor do gasto
+ *     description: Adiciona um novo gasto para o usuário logado.
  *     responses:
  *       201:
  *         description: Gasto cadastrado com sucesso
@@ -133,51 +336,51 @@ router.get("/spending/:userId", auth, async (req, res) => {
  *                   properties:
  *                     id:
  *                       type: integer
+ *                 warnings:
+ *                   type: array
+ *                   description: >
+ *                     Avisos de orçamentos que ultrapassaram um limite de aviso (BUDGET_WARNING_THRESHOLDS) com este gasto.
+ *                     Presente apenas quando houver algum aviso.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       budgetId:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       threshold:
+ *                         type: number
+ *                         example: 80
+ *                       limit:
+ *                         type: number
+ *                       spent:
+ *                         type: number
+ *                       percentage:
+ *                         type: number
+ *                       message:
+ *                         type: string
+ *                         example: Orçamento Mercado atingiu 80% do limite!
  *       400:
- *         description: Erro ao cadastrar gasto (dados inválidos)
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Um gasto deve estar relacionado a um usuário!
+ *         description: Valor com mais de duas casas decimais, moeda ou etiqueta inválida
+ *       403:
+ *         description: O userId informado não é o do usuário logado ou o usuário não pertence ao grupo
  *     security:
  *       - BearerAuth: []
  */
-router.post("/spending", auth, async (req, res) => {
+router.post("/spending", auth, validate({body: createSpendingBody}), actAsLoggedUser, async (req, res, next) => {
     try {
-        let newSpending = req.body;
-
-        if(!newSpending.userId || newSpending.userId == 0) throw Error("Um gasto deve estar relacionado a um usuário!");
-        if(!newSpending.day || newSpending.day == "") throw Error("Dia é obrigatório!");
-        if(!newSpending.value || newSpending.value == 0) throw Error("Valor é obrigatório!");
-
-        // Parsing the date
-        const date = new Date(newSpending.day);
-        if (isNaN(date.getTime())) {
-            throw Error("Formato de data inválido!");
-        }
-
-        const spending = await prisma.spending.create({
-            data: {
-                name: newSpending.name,
-                day: date,
-                value: newSpending.value,
-                userId: newSpending.userId
-            }
-        })
+        const spending = await createSpending(req.loggedUser.id, req.body);
+        const warnings = await findBudgetWarnings(spending);
 
         res.status(201).send({
             message: "Gasto cadastrado com sucesso!",
             data: {
                 id: spending.id
-            }
+            },
+            ...(warnings.length > 0 && { warnings })
         });
-        
     } catch (error) {
-        res.status(400).send({ error: error.message });
+        next(error);
     }
 });
 
@@ -188,100 +391,32 @@ router.post("/spending", auth, async (req, res) => {
  *     tags:
  *       - Spendings
  *     summary: Atualiza um gasto existente
- *     description: Atualiza um gasto relacionado a um usuário específico, identificado pelo ID.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID do gasto a ser atualizado
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - day
- *               - value
- *             properties:
- *               userId:
- *                 type: integer
- *                 description: ID do usuário ao qual o gasto pertence
- *               name:
- *                 type: string
- *                 description: Nome para identificar o gasto
- *               day:
- *                 type: string
- *                 description: >
- *                   Dia do gasto. Deve estar no formato ISO 8601, por exemplo: "2024-09-03T12:34:56Z"
- *                 example: "2024-09-03T12:34:56Z"
- *               value:
- *                 type: number
- *                 format: float
- *                 description: Valor atualizado do gasto
+ *     description: Atualiza um gasto do usuário logado, identificado pelo ID.
  *     responses:
  *       204:
  *         description: Gasto atualizado com sucesso
  *       400:
- *         description: Dados inválidos fornecidos
+ *         description: Valor com mais de duas casas decimais, moeda ou etiqueta inválida
+ *       403:
+ *         description: O gasto não pertence ao usuário logado ou o usuário não pertence ao grupo
  *       404:
  *         description: Gasto não encontrado
  *     security:
  *       - BearerAuth: []
  */
-router.put("/spending/:id", auth, async (req, res) => {
+router.put("/spending/:id", auth, validate({params: spendingParams, body: updateSpendingBody}), actAsLoggedUser, async (req, res, next) => {
     try {
-        if(!isNaN(req.params.id)){
-            let spendingID = parseInt(req.params.id);
-            let updateSpending = req.body;
-
-            // Validação dos dados
-            if(!spendingID || spendingID == 0) throw Error("ID de gasto inválido!");
-            if(!updateSpending.userId || updateSpending.userId == 0) throw Error("Um gasto deve estar relacionado a um usuário!");
-            if(!updateSpending.day || updateSpending.day == "") throw Error("Dia é obrigatório!");
-            if(!updateSpending.value || updateSpending.value == 0) throw Error("Valor é obrigatório!"); // Corrigido para 'value' em vez de 'password'
-
-            // Conversão da data
-            const date = new Date(updateSpending.day);
-            if (isNaN(date.getTime())) {
-                throw Error("Formato de data inválido!");
-            }
-
-            // Verifica se o gasto existe no banco de dados
-            const spendingExist = await prisma.spending.findUnique({ where: { id: spendingID } });
-            if (spendingExist == null) {
-                res.statusCode = 404;
-                res.send({ error: "Gasto não encontrado!" });
-            } else {
-                // Atualização do gasto
-                const spending = await prisma.spending.update({
-                    where: { id: spendingID },
-                    data: {
-                        name: updateSpending.name,
-                        day: date,
-                        value: updateSpending.value,
-                        userId: updateSpending.userId
-                    }
-                });
-        
-                res.statusCode = 204;
-                res.send({
-                    message: "Gasto atualizado com sucesso!",
-                    data: {
-                        id: spending.id
-                    }
-                });
-            }
-        } else {
-            res.sendStatus(400);
-            res.send({ error: "Id inválido" });
+        const spendingExist = await findActiveSpending(req.params.id);
+        if(spendingExist == null) throw new NotFoundError("Gasto não encontrado!");
+        if(!canManageSpending(req.loggedUser.id, spendingExist)) {
+            forbidden(res, "Você não tem permissão para alterar este gasto!");
+            return;
         }
+
+        await updateSpending(req.loggedUser.id, spendingExist, req.body);
+        res.sendStatus(204);
     } catch (error) {
-        res.statusCode = 400;
-        res.send({ error: error.message });
+        next(error);
     }
 });
 
@@ -292,51 +427,75 @@ router.put("/spending/:id", auth, async (req, res) => {
  *     tags:
  *       - Spendings
  *     summary: Deleta um gasto
- *     description: Remove um gasto identificado pelo ID.
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID do gasto a ser deletado
+ *     description: >
+ *       Move o gasto identificado pelo ID para a lixeira. Ele deixa de aparecer nas listagens e nos totais
+ *       e pode ser restaurado em POST /spending/{id}/restore até ser apagado de vez, junto com seus anexos,
+ *       após o período de retenção (TRASH_RETENTION_DAYS).
  *     responses:
  *       204:
  *         description: Gasto deletado com sucesso
- *       400:
- *         description: ID de gasto inválido
+ *       403:
+ *         description: O gasto não pertence ao usuário logado
  *       404:
  *         description: Gasto não encontrado
  *     security:
  *       - BearerAuth: []
  */
-router.delete("/spending/:id", async (req, res) => {
+router.delete("/spending/:id", auth, validate({params: spendingParams}), async (req, res, next) => {
     try {
-        if(!isNaN(req.params.id)){
-            let spendingID = parseInt(req.params.id);
-            if(!spendingID || spendingID == 0) throw Error("ID de gasto inválido!");
+        const spendingExist = await findActiveSpending(req.params.id);
+        if(spendingExist == null) throw new NotFoundError("Gasto não encontrado!");
+        if(!canManageSpending(req.loggedUser.id, spendingExist)) {
+            forbidden(res, "Você não tem permissão para remover este gasto!");
+            return;
+        }
 
-            const spendingExist = await prisma.spending.findUnique({where: {id: spendingID}});
-            if(spendingExist == null) {
-                res.statusCode = 404;
-                res.send({error: "Gasto não encontrado!"})
-            } else {
-                const spending = await prisma.spending.delete({where: {id: spendingID}});
-                res.statusCode = 204;
-                res.send({
-                    message: "Gasto atualizado com sucesso!",
-                    data: {
-                        id: spending.id
-                    }
-                });
-            }
-        } else{
-            res.sendStatus(400);
+        await trashSpending(req.loggedUser.id, spendingExist);
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /spending/{id}/restore:
+ *   post:
+ *     tags:
+ *       - Spendings
+ *     summary: Restaura um gasto da lixeira
+ *     description: Devolve o gasto às listagens e aos totais, com os mesmos dados e anexos de antes da remoção.
+ *     responses:
+ *       200:
+ *         description: Gasto restaurado com sucesso
+ *       403:
+ *         description: O gasto não pertence ao usuário logado
+ *       404:
+ *         description: Gasto não encontrado na lixeira
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/spending/:id/restore", auth, validate({params: spendingParams}), async (req, res, next) => {
+    try {
+        const trashed = await findTrashedSpending(req.params.id);
+        if(trashed == null) throw new NotFoundError("Gasto não encontrado na lixeira!");
+        if(!canManageSpending(req.loggedUser.id, trashed)) {
+            forbidden(res, "Você não tem permissão para restaurar este gasto!");
+            return;
         }
+
+        const spending = await restoreSpending(req.loggedUser.id, trashed);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Gasto restaurado com sucesso!",
+            data: {
+                id: spending.id
+            }
+        });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({error: error.message});
+        next(error);
     }
-})
+});
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,301 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { forbidden, canManageSpending } from "../middleware/policies.js";
+import { normalizeTagName, parseTagNames, findUserTag, ensureUserTags } from "../services/tags.js";
+import { auditSpending } from "../services/audit.js";
+import { emitSpendingEvent } from "../services/webhooks.js";
+import { notifyGroupActivity } from "../services/groupStream.js";
+import { validate } from "../middleware/validate.js";
+import { tagParams, createTagBody, updateTagBody, spendingTagsBody } from "../schemas/tags.js";
+import { spendingParams } from "../schemas/spendings.js";
+import { NotFoundError, ConflictError } from "../errors.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Tags
+ *     description: >
+ *       Etiquetas livres dos gastos (ex.: "viagem-rio", "reembolsavel"), além da categoria. Os nomes são guardados
+ *       sem o "#", em minúsculas e com hífens no lugar dos espaços. Cada usuário tem suas etiquetas.
+ *
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           example: viagem-rio
+ *         color:
+ *           type: string
+ *           nullable: true
+ *           example: "#FF9800"
+ */
+
+/**
+ * @swagger
+ * /tag:
+ *   get:
+ *     tags:
+ *       - Tags
+ *     summary: Lista as etiquetas do usuário logado
+ *     description: Retorna as etiquetas em ordem alfabética, com a quantidade de gastos de cada uma (fora da lixeira).
+ *     responses:
+ *       200:
+ *         description: Etiquetas obtidas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Tag'
+ *                       - type: object
+ *                         properties:
+ *                           totalSpendings:
+ *                             type: integer
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/tag", auth, async (req, res, next) => {
+    try {
+        const tags = await prisma.tag.findMany({
+            where: {userId: req.loggedUser.id},
+            orderBy: {name: "asc"},
+            include: {
+                _count: {
+                    select: {spendings: {where: {deletedAt: null}}}
+                }
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Etiquetas obtidas com sucesso!",
+            data: tags.map(({_count, ...tag}) => ({
+                ...tag,
+                totalSpendings: _count.spendings
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /tag:
+ *   post:
+ *     tags:
+ *       - Tags
+ *     summary: Cria uma etiqueta
+ *     description: As etiquetas também são criadas ao serem usadas em um gasto; aqui é possível criá-las com uma cor.
+ *     responses:
+ *       201:
+ *         description: Etiqueta cadastrada com sucesso
+ *       400:
+ *         description: Nome inválido
+ *       409:
+ *         description: Já existe uma etiqueta com esse nome
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/tag", auth, validate({body: createTagBody}), async (req, res, next) => {
+    try {
+        const userId = req.loggedUser.id;
+        const name = normalizeTagName(req.body.name);
+
+        const existTag = await prisma.tag.findUnique({where: {userId_name: {userId: userId, name: name}}});
+        if(existTag != null) throw new ConflictError("Já existe uma etiqueta com esse nome!");
+
+        const tag = await prisma.tag.create({
+            data: {
+                name: name,
+                color: req.body.color || null,
+                userId: userId
+            }
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Etiqueta cadastrada com sucesso!",
+            data: {
+                id: tag.id,
+                name: tag.name
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /tag/{id}:
+ *   put:
+ *     tags:
+ *       - Tags
+ *     summary: Altera uma etiqueta
+ *     description: Renomeia a etiqueta ou altera sua cor. Os gastos marcados continuam com a etiqueta.
+ *     responses:
+ *       200:
+ *         description: Etiqueta atualizada com sucesso
+ *       400:
+ *         description: Nome inválido
+ *       404:
+ *         description: Etiqueta não encontrada
+ *       409:
+ *         description: Já existe uma etiqueta com esse nome
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/tag/:id", auth, validate({params: tagParams, body: updateTagBody}), async (req, res, next) => {
+    try {
+        const tagID = req.params.id;
+        const userId = req.loggedUser.id;
+
+        const tag = await findUserTag(userId, tagID);
+        if(tag == null) throw new NotFoundError("Etiqueta não encontrada!");
+
+        const name = req.body.name !== undefined ? normalizeTagName(req.body.name) : undefined;
+        if(name) {
+            const existTag = await prisma.tag.findUnique({where: {userId_name: {userId: userId, name: name}}});
+            if(existTag != null && existTag.id != tagID) throw new ConflictError("Já existe uma etiqueta com esse nome!");
+        }
+
+        const updated = await prisma.tag.update({
+            where: {id: tagID},
+            data: {
+                name: name,
+                color: req.body.color === undefined ? undefined : (req.body.color || null)
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Etiqueta atualizada com sucesso!",
+            data: {
+                id: updated.id,
+                name: updated.name,
+                color: updated.color
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /tag/{id}:
+ *   delete:
+ *     tags:
+ *       - Tags
+ *     summary: Remove uma etiqueta
+ *     description: Remove a etiqueta de todos os gastos e a exclui. Os gastos não são alterados de outra forma.
+ *     responses:
+ *       204:
+ *         description: Etiqueta removida com sucesso
+ *       404:
+ *         description: Etiqueta não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/tag/:id", auth, validate({params: tagParams}), async (req, res, next) => {
+    try {
+        const tagID = req.params.id;
+
+        const tag = await findUserTag(req.loggedUser.id, tagID);
+        if(tag == null) throw new NotFoundError("Etiqueta não encontrada!");
+
+        await prisma.tag.delete({where: {id: tagID}});
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /spending/{id}/tags:
+ *   put:
+ *     tags:
+ *       - Tags
+ *     summary: Define as etiquetas de um gasto
+ *     description: >
+ *       Substitui as etiquetas do gasto pelas informadas (lista vazia remove todas). As etiquetas
+ *       que ainda não existem são criadas. Apenas o dono do gasto pode alterá-las.
+ *     responses:
+ *       200:
+ *         description: Etiquetas do gasto atualizadas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Etiquetas inválidas
+ *       403:
+ *         description: O gasto não pertence ao usuário logado
+ *       404:
+ *         description: Gasto não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/spending/:id/tags", auth, validate({params: spendingParams, body: spendingTagsBody}), async (req, res, next) => {
+    try {
+        const spendingID = req.params.id;
+
+        const names = parseTagNames(req.body.tags);
+
+        const spendingExist = await prisma.spending.findFirst({
+            where: {id: spendingID, deletedAt: null},
+            include: {tags: {select: {name: true}}}
+        });
+        if(spendingExist == null) throw new NotFoundError("Gasto não encontrado!");
+        if(!canManageSpending(req.loggedUser.id, spendingExist)) {
+            forbidden(res, "Você não tem permissão para alterar este gasto!");
+            return;
+        }
+
+        const spending = await prisma.$transaction(async (tx) => {
+            const tags = await ensureUserTags(spendingExist.userId, names, tx);
+            const spending = await tx.spending.update({
+                where: {id: spendingID},
+                data: {tags: {set: tags}},
+                include: {tags: {select: {id: true, name: true, color: true}, orderBy: {name: "asc"}}}
+            });
+            await auditSpending(req.loggedUser.id, "UPDATE", spendingExist, spending, tx);
+
+            return spending;
+        });
+        await emitSpendingEvent("spending.updated", spendingExist, spending);
+        notifyGroupActivity(spending.groupId);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Etiquetas do gasto atualizadas com sucesso!",
+            data: spending.tags
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,8 +1,17 @@
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import JWTsecret from "../middleware/JWTsecret.js";
+import auth from "../middleware/auth.js";
+import { createSession } from "../services/sessions.js";
+import { lockoutRemaining, registerFailure, registerSuccess, loginKeys } from "../services/loginAttempts.js";
+import { tooManyRequests } from "../middleware/rateLimit.js";
+import { DEFAULT_CURRENCY, parseCurrency } from "../services/currencies.js";
+import { sendVerificationEmail, sendPasswordResetEmail, verifyEmail, resetPassword } from "../services/emailTokens.js";
 import prisma from "../database/prisma.js";
+import { validate } from "../middleware/validate.js";
+import {
+    registerBody, loginBody, verifyEmailBody, forgotPasswordBody, resetPasswordBody, baseCurrencyBody
+} from "../schemas/users.js";
+import { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } from "../errors.js";
 
 const router = express.Router();
 
@@ -20,27 +29,9 @@ const router = express.Router();
  *     tags:
  *       - Users
  *     summary: Cria um novo usuário
- *     description: Cria um novo usuário com nome, email e senha. A senha é criptografada antes de ser armazenada.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *             properties:
- *               name:
- *                 type: string
- *                 example: João Silva
- *               email:
- *                 type: string
- *                 example: joao.silva@example.com
- *               password:
- *                 type: string
- *                 example: senha123
+ *     description: >
+ *       Cria um novo usuário com nome, email e senha. A senha é criptografada antes de ser armazenada
+ *       e um link de confirmação é enviado para o email informado.
  *     responses:
  *       201:
  *         description: Usuário cadastrado com sucesso
@@ -61,57 +52,50 @@ const router = express.Router();
  *                       type: string
  *                     email:
  *                       type: string
- *       400:
- *         description: Erro ao cadastrar usuário (nome, email ou senha inválidos)
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Nome é obrigatório!
+ *       409:
+ *         description: Já existe um usuário com esse email
  */
-router.post("/user", async (req, res) => {
+router.post("/user", validate({body: registerBody}), async (req, res, next) => {
     try {
         let newUser = req.body;
 
-        if(!newUser.name || newUser.name == "") throw Error("Nome é obrigatório!");
-        if(!newUser.email || newUser.email == "") throw Error("Email é obrigatório!");
-        if(!newUser.password || newUser.password == "") throw Error("Senha é obrigatória!");
+        const baseCurrency = parseCurrency(newUser.baseCurrency, DEFAULT_CURRENCY);
 
-        const existUser = prisma.user.findUnique({
+        const existUser = await prisma.user.findUnique({
             where: {
                 email: newUser.email
             }
         });
+        if(existUser != null) throw new ConflictError("Já existe um usuário com esse email!");
 
-        if(existUser != null) {
-            let salt = bcrypt.genSaltSync(10);
-            let hash = bcrypt.hashSync(newUser.password, salt);
+        let salt = bcrypt.genSaltSync(10);
+        let hash = bcrypt.hashSync(newUser.password, salt);
 
-            const user = await prisma.user.create({
-                data: {
-                    name: newUser.name,
-                    email: newUser.email,
-                    password: hash
-                }
-            });
+        const user = await prisma.user.create({
+            data: {
+                name: newUser.name,
+                email: newUser.email,
+                password: hash,
+                baseCurrency: baseCurrency
+            }
+        });
 
-            res.statusCode = 201;
-            res.send({
-                message: "Usuário cadastrado com sucesso!",
-                data: {
-                    id: user.id
-                }
-            });
-        } else {
-            res.statusCode = 400;
-            res.send({error: "Email já"});
+        // Uma falha no envio não impede o cadastro; o usuário pode pedir o reenvio depois
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error("Erro ao enviar o email de verificação:", error);
         }
+
+        res.statusCode = 201;
+        res.send({
+            message: "Usuário cadastrado com sucesso!",
+            data: {
+                id: user.id
+            }
+        });
     } catch (error) {
-        res.statusCode = 400;
-        res.send({error: error.message});
+        next(error);
     }
 });
 
@@ -122,23 +106,9 @@ router.post("/user", async (req, res) => {
  *     tags:
  *       - Users
  *     summary: Realiza login de um usuário
- *     description: Realiza o login de um usuário com email e senha, retornando um token JWT se bem-sucedido.
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 example: joao.silva@example.com
- *               password:
- *                 type: string
- *                 example: senha123
+ *     description: >
+ *       Realiza o login de um usuário com email e senha, abrindo uma sessão. Retorna um token de acesso JWT
+ *       de curta duração e um refresh token para renová-lo.
  *     responses:
  *       200:
  *         description: Login efetuado com sucesso
@@ -156,60 +126,286 @@ router.post("/user", async (req, res) => {
  *                     userId:
  *                       type: int
  *                       example: 123
+ *                     emailVerified:
+ *                       type: boolean
  *                     token:
  *                       type: string
+ *                       description: Token de acesso, de curta duração (ACCESS_TOKEN_EXPIRES_IN)
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
- *       400:
- *         description: Email ou senha inválidos
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Email ou senha inválidos
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Token usado em /token/refresh para obter um novo token de acesso
+ *                     sessionId:
+ *                       type: integer
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Email ou senha incorretos
  *       404:
  *         description: Usuário não encontrado
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: Usuário não encontrado!
+ *       429:
+ *         description: >
+ *           Muitas tentativas erradas para a conta ou o IP. A cada novo bloqueio a espera dobra;
+ *           o cabeçalho Retry-After informa em quantos segundos tentar de novo.
  */
-router.post("/login", async (req, res) => {
+router.post("/login", validate({body: loginBody}), async (req, res, next) => {
     try {
         let userLogin = req.body;
 
-        if(!userLogin.email || userLogin.email == "" || !userLogin.password || userLogin.password == "") throw Error("Email ou senha inválidos");
-        
+        const attemptKeys = loginKeys(req, userLogin.email);
+        const retryAfter = await lockoutRemaining(attemptKeys);
+        if(retryAfter > 0) {
+            tooManyRequests(res, retryAfter, "Muitas tentativas de login! Tente novamente mais tarde.");
+            return;
+        }
+
         const user = await prisma.user.findUnique({where: {email: userLogin.email}})
         
         if(user != null) {
             let isCorrectPassword = bcrypt.compareSync(userLogin.password, user.password)
             
-            if(!isCorrectPassword) throw Error("Email ou senha incorretos!");
-            
-            jwt.sign({id: user.id, email: user.email}, JWTsecret, {expiresIn: '15d'}, (err, token) => {
-                if(err) res.sendStatus(500);
-                else {
-                    res.statusCode = 200;
-                    res.json({message: "Login efetuado com sucesso!", data: {
-                        userId: user.id,
-                        token
-                    }})
-                }
-            })
+            if(!isCorrectPassword) {
+                await registerFailure(attemptKeys);
+                throw new UnauthorizedError("Email ou senha incorretos!");
+            }
+
+            await registerSuccess(attemptKeys);
+            const tokens = await createSession(user, req);
+
+            res.statusCode = 200;
+            res.json({message: "Login efetuado com sucesso!", data: {
+                userId: user.id,
+                emailVerified: user.emailVerifiedAt != null,
+                ...tokens
+            }})
         } else {
-            res.statusCode = 404
-            res.send({error: "Usuário não encontrado!"});
+            await registerFailure(attemptKeys);
+            throw new NotFoundError("Usuário não encontrado!");
         }
     } catch (error) {
-        res.statusCode = 400;
-        res.send({error: error.message});
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /user/verify-email:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Confirma o email do usuário
+ *     description: Confirma o email usando o token enviado no cadastro. Cada token pode ser usado uma única vez.
+ *     responses:
+ *       200:
+ *         description: Email confirmado com sucesso
+ *       400:
+ *         description: Token inválido, expirado ou já utilizado
+ */
+router.post("/user/verify-email", validate({body: verifyEmailBody}), async (req, res, next) => {
+    try {
+        const verified = await verifyEmail(req.body.token);
+        if(!verified) throw new BadRequestError("Token inválido ou expirado!");
+
+        res.statusCode = 200;
+        res.send({message: "Email confirmado com sucesso!"});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /user/verify-email/resend:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Reenvia o email de confirmação
+ *     description: Envia um novo link de confirmação para o email do usuário logado. Os links anteriores deixam de valer.
+ *     responses:
+ *       200:
+ *         description: Email de confirmação reenviado
+ *       409:
+ *         description: O email já foi confirmado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/user/verify-email/resend", auth, async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({where: {id: req.loggedUser.id}});
+        if(user == null) throw new NotFoundError("Usuário não encontrado!");
+        if(user.emailVerifiedAt != null) throw new ConflictError("O email já foi confirmado!");
+
+        await sendVerificationEmail(user);
+
+        res.statusCode = 200;
+        res.send({message: "Email de confirmação reenviado!"});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /password/forgot:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Solicita a redefinição de senha
+ *     description: >
+ *       Envia um link para redefinir a senha, caso exista um usuário com o email informado.
+ *       A resposta é a mesma em ambos os casos, para não revelar quais emails estão cadastrados.
+ *     responses:
+ *       200:
+ *         description: Pedido recebido
+ */
+router.post("/password/forgot", validate({body: forgotPasswordBody}), async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({where: {email: req.body.email}});
+        if(user != null) await sendPasswordResetEmail(user);
+
+        res.statusCode = 200;
+        res.send({message: "Se o email estiver cadastrado, você receberá um link para redefinir a senha."});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /password/reset:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Redefine a senha
+ *     description: >
+ *       Define uma nova senha usando o token recebido por email. O token só pode ser usado uma vez
+ *       e todas as sessões do usuário são encerradas.
+ *     responses:
+ *       200:
+ *         description: Senha redefinida com sucesso
+ *       400:
+ *         description: Token inválido, expirado ou já utilizado
+ */
+router.post("/password/reset", validate({body: resetPasswordBody}), async (req, res, next) => {
+    try {
+        const {token, password} = req.body;
+
+        const reset = await resetPassword(token, password);
+        if(!reset) throw new BadRequestError("Token inválido ou expirado!");
+
+        res.statusCode = 200;
+        res.send({message: "Senha redefinida com sucesso!"});
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /user/me/currency:
+ *   put:
+ *     tags:
+ *       - Users
+ *     summary: Altera a moeda base do usuário logado
+ *     description: Define a moeda padrão dos novos gastos e dos relatórios do usuário.
+ *     responses:
+ *       200:
+ *         description: Moeda base alterada com sucesso
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/user/me/currency", auth, validate({body: baseCurrencyBody}), async (req, res, next) => {
+    try {
+        const currency = parseCurrency(req.body.currency);
+
+        await prisma.user.update({where: {id: req.loggedUser.id}, data: {baseCurrency: currency}});
+
+        res.statusCode = 200;
+        res.send({
+            message: "Moeda base alterada com sucesso!",
+            data: {id: req.loggedUser.id, baseCurrency: currency}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /user/me/groups:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Lista os grupos do usuário logado
+ *     description: Retorna os grupos de que o usuário logado participa, com o papel, o apelido e a data de entrada em cada um.
+ *     responses:
+ *       200:
+ *         description: Grupos obtidos com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: ID do grupo
+ *                       name:
+ *                         type: string
+ *                       baseCurrency:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [OWNER, ADMIN, MEMBER]
+ *                       nickname:
+ *                         type: string
+ *                         nullable: true
+ *                       joinedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       memberCount:
+ *                         type: integer
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/user/me/groups", auth, async (req, res, next) => {
+    try {
+        const memberships = await prisma.groupMember.findMany({
+            where: {userId: req.loggedUser.id},
+            orderBy: {joinedAt: "asc"},
+            select: {
+                role: true,
+                nickname: true,
+                joinedAt: true,
+                group: {
+                    select: {
+                        id: true,
+                        name: true,
+                        baseCurrency: true,
+                        _count: {select: {members: true}}
+                    }
+                }
+            }
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Grupos obtidos com sucesso!",
+            data: memberships.map(({group: {_count, ...group}, ...membership}) => ({
+                ...group,
+                ...membership,
+                memberCount: _count.members
+            }))
+        });
+    } catch (error) {
+        next(error);
     }
 });
 
@@ -0,0 +1,467 @@
+import express from "express";
+import auth from "../middleware/auth.js";
+import prisma from "../database/prisma.js";
+import { forbidden } from "../middleware/policies.js";
+import { isGroupAdmin } from "../services/groups.js";
+import {
+    generateWebhookSecret, parseWebhookUrl, parseWebhookEvents,
+    formatWebhook, formatDelivery, findDeliveryPage, pingWebhook
+} from "../services/webhooks.js";
+import { validate } from "../middleware/validate.js";
+import {
+    webhookParams, deliveryParams, listWebhooksQuery, createWebhookBody, updateWebhookBody, deliveriesQuery
+} from "../schemas/webhooks.js";
+import { NotFoundError } from "../errors.js";
+
+const router = express.Router();
+
+// O webhook do usuário é gerenciado só por ele; o do grupo, pelo dono e pelos administradores
+async function canManageWebhook(actorId, webhook) {
+    if(webhook.groupId != null) return isGroupAdmin(actorId, webhook.groupId);
+
+    return webhook.userId == actorId;
+}
+
+/**
+ * Middleware que carrega o webhook do parâmetro de rota "id" em req.webhook, respondendo 404 se ele
+ * não existir e 403 se o usuário logado não puder gerenciá-lo.
+ */
+async function loadWebhook(req, res, next) {
+    try {
+        const webhook = await prisma.webhook.findUnique({where: {id: req.params.id}});
+        if(webhook == null) throw new NotFoundError("Webhook não encontrado!");
+        if(!(await canManageWebhook(req.loggedUser.id, webhook))) {
+            return forbidden(res, "Você não tem permissão para gerenciar este webhook!");
+        }
+
+        req.webhook = webhook;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Webhooks
+ *     description: >
+ *       Envio dos eventos de gastos e grupos para URLs externas. Cada evento é enviado com POST e corpo JSON
+ *       ({id, event, createdAt, data}) e os cabeçalhos X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp
+ *       e X-Webhook-Signature ("sha256=" seguido do HMAC-SHA256 de "<timestamp>.<corpo>" com o segredo do webhook).
+ *       Respostas fora da faixa 2xx são tentadas novamente com espera crescente. Webhooks do usuário recebem
+ *       os eventos dos seus gastos; webhooks de grupo recebem os eventos do grupo e dos gastos marcados com ele.
+ *
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           example: https://example.com/hooks/spendings
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [spending.created, spending.updated, spending.deleted, spending.restored, group.updated, group.member_joined, group.member_left]
+ *         active:
+ *           type: boolean
+ *         userId:
+ *           type: integer
+ *           nullable: true
+ *         groupId:
+ *           type: integer
+ *           nullable: true
+ *         createdById:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         webhookId:
+ *           type: integer
+ *         event:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PENDING, SUCCEEDED, FAILED]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         responseStatus:
+ *           type: integer
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         payload:
+ *           type: object
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     tags:
+ *       - Webhooks
+ *     summary: Lista os webhooks
+ *     description: Retorna os webhooks do usuário logado e os dos grupos que ele administra.
+ *     responses:
+ *       200:
+ *         description: Webhooks obtidos com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/webhooks", auth, validate({query: listWebhooksQuery}), async (req, res, next) => {
+    try {
+        const userId = req.loggedUser.id;
+        const adminGroups = {members: {some: {userId: userId, role: {in: ["OWNER", "ADMIN"]}}}};
+
+        let where = {OR: [{userId: userId}, {group: adminGroups}]};
+        if(req.query.groupId) where = {groupId: req.query.groupId, group: adminGroups};
+
+        const webhooks = await prisma.webhook.findMany({where: where, orderBy: {id: "asc"}});
+
+        res.statusCode = 200;
+        res.send({
+            message: "Webhooks obtidos com sucesso!",
+            data: webhooks.map(formatWebhook)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     tags:
+ *       - Webhooks
+ *     summary: Cadastra um webhook
+ *     description: >
+ *       Cadastra a URL que vai receber os eventos escolhidos. Sem "groupId", o webhook é do usuário logado;
+ *       com "groupId", é do grupo e só pode ser criado pelo dono ou por um administrador.
+ *       O segredo usado nas assinaturas só é mostrado nesta resposta.
+ *     responses:
+ *       201:
+ *         description: Webhook cadastrado com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Webhook'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *       400:
+ *         description: URL ou eventos inválidos, ou destino que não é um endereço público
+ *       403:
+ *         description: O usuário não administra o grupo
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/webhooks", auth, validate({body: createWebhookBody}), async (req, res, next) => {
+    try {
+        const url = await parseWebhookUrl(req.body.url);
+        const events = parseWebhookEvents(req.body.events);
+
+        const groupId = req.body.groupId || null;
+        if(groupId != null && !(await isGroupAdmin(req.loggedUser.id, groupId))) {
+            forbidden(res, "Apenas o dono e os administradores podem cadastrar webhooks do grupo!");
+            return;
+        }
+
+        const webhook = await prisma.webhook.create({
+            data: {
+                url: url,
+                events: events,
+                secret: generateWebhookSecret(),
+                userId: groupId == null ? req.loggedUser.id : null,
+                groupId: groupId,
+                createdById: req.loggedUser.id
+            }
+        });
+
+        res.statusCode = 201;
+        res.send({
+            message: "Webhook cadastrado com sucesso!",
+            data: {...formatWebhook(webhook), secret: webhook.secret}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   put:
+ *     tags:
+ *       - Webhooks
+ *     summary: Altera um webhook
+ *     description: Altera a URL, os eventos ou desativa o webhook. Webhooks inativos não recebem novos eventos.
+ *     responses:
+ *       200:
+ *         description: Webhook atualizado com sucesso
+ *       400:
+ *         description: Dados inválidos
+ *       403:
+ *         description: O usuário não pode gerenciar o webhook
+ *       404:
+ *         description: Webhook não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.put("/webhooks/:id", auth, validate({params: webhookParams, body: updateWebhookBody}), loadWebhook, async (req, res, next) => {
+    try {
+        const data = {};
+        if(req.body.url !== undefined) data.url = await parseWebhookUrl(req.body.url);
+        if(req.body.events !== undefined) data.events = parseWebhookEvents(req.body.events);
+        if(req.body.active !== undefined) data.active = req.body.active;
+
+        const webhook = await prisma.webhook.update({where: {id: req.webhook.id}, data: data});
+
+        res.statusCode = 200;
+        res.send({
+            message: "Webhook atualizado com sucesso!",
+            data: formatWebhook(webhook)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     tags:
+ *       - Webhooks
+ *     summary: Remove um webhook
+ *     description: Remove o webhook com o registro de entregas. As entregas pendentes são descartadas.
+ *     responses:
+ *       204:
+ *         description: Webhook removido com sucesso
+ *       403:
+ *         description: O usuário não pode gerenciar o webhook
+ *       404:
+ *         description: Webhook não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.delete("/webhooks/:id", auth, validate({params: webhookParams}), loadWebhook, async (req, res, next) => {
+    try {
+        await prisma.webhook.delete({where: {id: req.webhook.id}});
+        res.sendStatus(204);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/secret:
+ *   post:
+ *     tags:
+ *       - Webhooks
+ *     summary: Troca o segredo do webhook
+ *     description: Gera um novo segredo para as assinaturas. O anterior deixa de valer imediatamente.
+ *     responses:
+ *       200:
+ *         description: Segredo trocado com sucesso
+ *       403:
+ *         description: O usuário não pode gerenciar o webhook
+ *       404:
+ *         description: Webhook não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/webhooks/:id/secret", auth, validate({params: webhookParams}), loadWebhook, async (req, res, next) => {
+    try {
+        const webhook = await prisma.webhook.update({
+            where: {id: req.webhook.id},
+            data: {secret: generateWebhookSecret()}
+        });
+
+        res.statusCode = 200;
+        res.send({
+            message: "Segredo do webhook trocado com sucesso!",
+            data: {id: webhook.id, secret: webhook.secret}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/ping:
+ *   post:
+ *     tags:
+ *       - Webhooks
+ *     summary: Testa a entrega do webhook
+ *     description: >
+ *       Envia na hora um evento "ping", assinado como os demais, e retorna o resultado da entrega
+ *       (que também fica no registro de entregas). O teste não é repetido em caso de falha.
+ *     responses:
+ *       200:
+ *         description: Resultado da entrega de teste
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         description: O usuário não pode gerenciar o webhook
+ *       404:
+ *         description: Webhook não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/webhooks/:id/ping", auth, validate({params: webhookParams}), loadWebhook, async (req, res, next) => {
+    try {
+        const delivery = await pingWebhook(req.webhook);
+
+        res.statusCode = 200;
+        res.send({
+            message: delivery.status == "SUCCEEDED" ? "Teste entregue com sucesso!" : "Falha na entrega do teste!",
+            data: formatDelivery(delivery)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     tags:
+ *       - Webhooks
+ *     summary: Lista as entregas do webhook
+ *     description: Registro das entregas, da mais recente para a mais antiga, com paginação por cursor.
+ *     responses:
+ *       200:
+ *         description: Entregas obtidas com sucesso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: integer
+ *                       nullable: true
+ *       400:
+ *         description: Parâmetros inválidos
+ *       403:
+ *         description: O usuário não pode gerenciar o webhook
+ *       404:
+ *         description: Webhook não encontrado
+ *     security:
+ *       - BearerAuth: []
+ */
+router.get("/webhooks/:id/deliveries", auth, validate({params: webhookParams, query: deliveriesQuery}), loadWebhook, async (req, res, next) => {
+    try {
+        const page = await findDeliveryPage(req.webhook.id, req.query);
+
+        res.statusCode = 200;
+        res.send({
+            message: "Entregas obtidas com sucesso!",
+            ...page
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries/{deliveryId}/retry:
+ *   post:
+ *     tags:
+ *       - Webhooks
+ *     summary: Reenvia uma entrega
+ *     description: Coloca a entrega de volta na fila para ser enviada na próxima verificação, com as tentativas zeradas.
+ *     responses:
+ *       200:
+ *         description: Entrega colocada na fila
+ *       403:
+ *         description: O usuário não pode gerenciar o webhook
+ *       404:
+ *         description: Entrega não encontrada
+ *     security:
+ *       - BearerAuth: []
+ */
+router.post("/webhooks/:id/deliveries/:deliveryId/retry", auth, validate({params: deliveryParams}), loadWebhook, async (req, res, next) => {
+    try {
+        const {count} = await prisma.webhookDelivery.updateMany({
+            where: {id: req.params.deliveryId, webhookId: req.webhook.id},
+            data: {status: "PENDING", attempts: 0, nextAttemptAt: new Date()}
+        });
+        if(count == 0) throw new NotFoundError("Entrega não encontrada!");
+
+        res.statusCode = 200;
+        res.send({
+            message: "Entrega colocada na fila!",
+            data: {id: req.params.deliveryId}
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
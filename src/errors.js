@@ -0,0 +1,67 @@
+/**
+ * Erros da API, com o status HTTP e o código enviados na resposta. As rotas e os serviços lançam estes
+ * erros e o tratador de erros (middleware/errorHandler.js) responde no formato {error, code, fields}.
+ * Um Error comum continua valendo como requisição inválida (400), com a mensagem em "error".
+ */
+export class HttpError extends Error {
+    constructor(status, code, message, fields = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+    }
+}
+
+export class BadRequestError extends HttpError {
+    constructor(message = "Requisição inválida!", code = "BAD_REQUEST") {
+        super(400, code, message);
+    }
+}
+
+export class UnauthorizedError extends HttpError {
+    constructor(message = "Não autenticado!", code = "UNAUTHORIZED") {
+        super(401, code, message);
+    }
+}
+
+export class ForbiddenError extends HttpError {
+    constructor(message = "Acesso negado!") {
+        super(403, "FORBIDDEN", message);
+    }
+}
+
+export class NotFoundError extends HttpError {
+    constructor(message = "Registro não encontrado!") {
+        super(404, "NOT_FOUND", message);
+    }
+}
+
+// O pedido conflita com o estado atual, como um nome já usado ou uma ação já feita
+export class ConflictError extends HttpError {
+    constructor(message) {
+        super(409, "CONFLICT", message);
+    }
+}
+
+/**
+ * Dados que não passaram na validação. "fields" lista os problemas de cada campo:
+ * {location: "body" | "query" | "params", field, message}.
+ */
+export class ValidationError extends HttpError {
+    constructor(fields = [], message = "Dados inválidos!") {
+        super(422, "VALIDATION_ERROR", message, fields);
+    }
+}
+
+// Erro de um único campo, com a mensagem do campo também como mensagem principal
+export function fieldError(field, message, location = "body") {
+    return new ValidationError([{location, field, message}], message);
+}
+
+export class TooManyRequestsError extends HttpError {
+    constructor(message = "Muitas requisições! Tente novamente mais tarde.", retryAfterSeconds = null) {
+        super(429, "TOO_MANY_REQUESTS", message);
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
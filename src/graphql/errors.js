@@ -0,0 +1,30 @@
+import { GraphQLError } from "graphql";
+import { toHttpError } from "../middleware/errorHandler.js";
+
+/**
+ * Formata os erros lançados nos resolvers como os erros da API REST: a mensagem, o código e o status
+ * ficam em "extensions" ({code, status, fields} e, nos bloqueios, retryAfter em segundos). Erros
+ * inesperados são registrados no log e respondidos sem detalhes. Erros da própria consulta GraphQL
+ * (sintaxe, campos) seguem como estão.
+ */
+export function formatGraphQLError(error) {
+    const original = error.originalError;
+    if(!(error instanceof GraphQLError) || original == null || original instanceof GraphQLError || error.path == null) return error;
+
+    const httpError = toHttpError(original);
+    if(httpError == null) {
+        console.error(`Erro em ${error.path.join(".")}:`, original);
+    }
+
+    const {status, code, message, fields, retryAfterSeconds} = httpError || {status: 500, code: "INTERNAL_ERROR", message: "Erro interno do servidor!"};
+
+    return new GraphQLError(message, {
+        nodes: error.nodes,
+        path: error.path,
+        extensions: {
+            code, status,
+            ...(fields && {fields}),
+            ...(retryAfterSeconds != null && {retryAfter: Math.max(Math.ceil(retryAfterSeconds), 1)})
+        }
+    });
+}
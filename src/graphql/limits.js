@@ -0,0 +1,124 @@
+import { GraphQLError, Kind, getNamedType, getNullableType, isListType } from "graphql";
+
+/**
+ * Regras de validação que recusam consultas caras antes de executá-las: profundidade máxima
+ * e custo estimado. O custo soma um por campo, multiplicado nas listas pelo "limit" informado
+ * (ou por MAX_LIST_SIZE se ele vier de uma variável) ou, sem "limit", por DEFAULT_LIST_SIZE.
+ * Os campos de introspecção (__schema, __type...) não entram na conta.
+ */
+
+export const MAX_DEPTH = 6;
+export const MAX_COST = 10000;
+
+const DEFAULT_LIST_SIZE = 10;
+const MAX_LIST_SIZE = 200;
+
+// Campos da seleção, expandindo os fragmentos, com o tipo em que cada um é lido
+function collectFields(context, selectionSet, parentType, visited = new Set()) {
+    const fields = [];
+    for(const selection of selectionSet.selections) {
+        if(selection.kind == Kind.FIELD) {
+            if(!selection.name.value.startsWith("__")) fields.push({node: selection, parentType});
+            continue;
+        }
+
+        let fragment = selection;
+        if(selection.kind == Kind.FRAGMENT_SPREAD) {
+            if(visited.has(selection.name.value)) continue;
+            visited.add(selection.name.value);
+            fragment = context.getFragment(selection.name.value);
+            if(fragment == null) continue;
+        }
+
+        const type = fragment.typeCondition
+            ? context.getSchema().getType(fragment.typeCondition.name.value)
+            : parentType;
+        fields.push(...collectFields(context, fragment.selectionSet, type || parentType, visited));
+    }
+
+    return fields;
+}
+
+// Valor do argumento "limit" do campo: o número informado, MAX_LIST_SIZE se vier de variável ou null
+function limitArgument(node) {
+    const argument = node.arguments?.find(argument => argument.name.value == "limit");
+    if(argument == null) return null;
+    if(argument.value.kind == Kind.INT) return Math.min(Number(argument.value.value), MAX_LIST_SIZE);
+
+    return MAX_LIST_SIZE;
+}
+
+function fieldType(parentType, node) {
+    return parentType?.getFields?.()[node.name.value]?.type || null;
+}
+
+// A contagem para logo depois de MAX_DEPTH, o que também encerra os ciclos entre fragmentos
+function selectionDepth(context, selectionSet, parentType, level = 1) {
+    if(level > MAX_DEPTH + 1) return 0;
+
+    let depth = 0;
+    for(const {node, parentType: type} of collectFields(context, selectionSet, parentType)) {
+        const childType = getNamedType(fieldType(type, node));
+        const childDepth = node.selectionSet ? selectionDepth(context, node.selectionSet, childType, level + 1) : 0;
+        depth = Math.max(depth, 1 + childDepth);
+    }
+
+    return depth;
+}
+
+// "pageSize" é o "limit" de um campo paginado (como spendings), aplicado à lista de itens logo abaixo dele
+function selectionCost(context, selectionSet, parentType, pageSize = null, level = 1) {
+    if(level > MAX_DEPTH + 1) return 0;
+
+    let cost = 0;
+    for(const {node, parentType: type} of collectFields(context, selectionSet, parentType)) {
+        const outputType = fieldType(type, node);
+        const limit = limitArgument(node);
+        const isList = outputType != null && isListType(getNullableType(outputType));
+
+        const size = isList ? (limit ?? pageSize ?? DEFAULT_LIST_SIZE) : 1;
+        const childCost = node.selectionSet
+            ? selectionCost(context, node.selectionSet, getNamedType(outputType), isList ? null : limit, level + 1)
+            : 0;
+
+        cost += size * (1 + childCost);
+    }
+
+    return cost;
+}
+
+function rootType(context, operation) {
+    const schema = context.getSchema();
+
+    return operation.operation == "mutation" ? schema.getMutationType()
+        : operation.operation == "subscription" ? schema.getSubscriptionType()
+        : schema.getQueryType();
+}
+
+export function depthLimitRule(context) {
+    return {
+        OperationDefinition(operation) {
+            const depth = selectionDepth(context, operation.selectionSet, rootType(context, operation));
+            if(depth > MAX_DEPTH) {
+                context.reportError(new GraphQLError(
+                    `A consulta tem profundidade ${depth}; o máximo é ${MAX_DEPTH}!`,
+                    {nodes: [operation], extensions: {code: "QUERY_TOO_DEEP"}}
+                ));
+            }
+        }
+    };
+}
+
+export function costLimitRule(context) {
+    return {
+        OperationDefinition(operation) {
+            const cost = selectionCost(context, operation.selectionSet, rootType(context, operation));
+            if(cost > MAX_COST) {
+                context.reportError(new GraphQLError(
+                    `A consulta tem custo estimado ${cost}; o máximo é ${MAX_COST}! Reduza os campos ou o "limit" das listas.`,
+                    {nodes: [operation], extensions: {code: "QUERY_TOO_COMPLEX"}}
+                ));
+            }
+        }
+    };
+}
@@ -0,0 +1,76 @@
+import DataLoader from "dataloader";
+import prisma from "../database/prisma.js";
+import { groupMemberTotals } from "../services/reports.js";
+
+const USER_SELECT = {id: true, name: true, email: true, baseCurrency: true};
+const GROUP_SELECT = {id: true, name: true, baseCurrency: true};
+const TAG_SELECT = {id: true, name: true, color: true};
+
+// Registros na ordem das chaves pedidas (null para as que não existem), como o DataLoader espera
+function byId(ids, rows) {
+    const map = new Map(rows.map(row => [row.id, row]));
+
+    return ids.map(id => map.get(id) ?? null);
+}
+
+// Lista de registros de cada chave, agrupados pelo campo "field"
+function groupedBy(keys, rows, field) {
+    const map = new Map(keys.map(key => [key, []]));
+    for(const row of rows) map.get(row[field])?.push(row);
+
+    return keys.map(key => map.get(key));
+}
+
+/**
+ * Loaders de uma requisição GraphQL: juntam as buscas feitas pelos resolvers de uma mesma etapa
+ * em uma consulta por tipo (WHERE id IN (...)), evitando uma consulta ao banco para cada item das listas.
+ * São criados por requisição, então os dados em cache não passam de um usuário para outro.
+ */
+export function createLoaders() {
+    const loaders = {
+        users: new DataLoader(async (ids) => byId(ids, await prisma.user.findMany({
+            where: {id: {in: [...ids]}},
+            select: USER_SELECT
+        }))),
+
+        groups: new DataLoader(async (ids) => byId(ids, await prisma.group.findMany({
+            where: {id: {in: [...ids]}},
+            select: GROUP_SELECT
+        }))),
+
+        categories: new DataLoader(async (ids) => byId(ids, await prisma.category.findMany({
+            where: {id: {in: [...ids]}}
+        }))),
+
+        // Gastos fora da lixeira
+        spendings: new DataLoader(async (ids) => byId(ids, await prisma.spending.findMany({
+            where: {id: {in: [...ids]}, deletedAt: null}
+        }))),
+
+        tagsBySpending: new DataLoader(async (spendingIds) => {
+            const spendings = await prisma.spending.findMany({
+                where: {id: {in: [...spendingIds]}},
+                select: {id: true, tags: {select: TAG_SELECT, orderBy: {name: "asc"}}}
+            });
+
+            return byId(spendingIds, spendings).map(spending => spending ? spending.tags : []);
+        }),
+
+        membersByGroup: new DataLoader(async (groupIds) => groupedBy(groupIds, await prisma.groupMember.findMany({
+            where: {groupId: {in: [...groupIds]}},
+            orderBy: {joinedAt: "asc"}
+        }), "groupId")),
+
+        membershipsByUser: new DataLoader(async (userIds) => groupedBy(userIds, await prisma.groupMember.findMany({
+            where: {userId: {in: [...userIds]}},
+            orderBy: {joinedAt: "asc"}
+        }), "userId")),
+
+        // Total dos gastos de cada membro no grupo (Map userId => {total, missingRates}), na moeda base do grupo
+        memberTotals: new DataLoader(async (groupIds) => Promise.all(groupIds.map(async (groupId) => (
+            groupMemberTotals(await loaders.groups.load(groupId))
+        ))))
+    };
+
+    return loaders;
+}
@@ -0,0 +1,224 @@
+import { Prisma } from "@prisma/client";
+import { findBudgetWarnings } from "../services/budgets.js";
+import { findBaseCurrency } from "../services/currencies.js";
+import { GROUP_ROLES, removeGroupMember, deleteGroup, createGroup, renameGroup } from "../services/groups.js";
+import { joinGroup } from "../services/groupJoin.js";
+import {
+    parseSpendingListQuery, findSpendingPage, findActiveSpending, findTrashedSpending,
+    createSpending, updateSpending, trashSpending, restoreSpending
+} from "../services/spendings.js";
+import {
+    canReadUserSpendings, canManageSpending, assertGroupRole,
+    GROUP_ADMIN_ROLES, GROUP_ADMIN_MESSAGE, GROUP_OWNER_MESSAGE
+} from "../middleware/policies.js";
+import { assertValid } from "../middleware/validate.js";
+import { listSpendingsQuery, createSpendingBody, updateSpendingBody } from "../schemas/spendings.js";
+import { createGroupBody, renameGroupBody, joinGroupBody } from "../schemas/groups.js";
+import { NotFoundError, ForbiddenError } from "../errors.js";
+
+/**
+ * Resolvers da API GraphQL. Seguem as mesmas regras de acesso e validações das rotas REST
+ * (middleware/policies.js e src/schemas) e leem as relações pelos loaders da requisição (loaders.js).
+ */
+
+// IDs dos grupos do usuário logado
+async function viewerGroupIds({loggedUser, loaders}) {
+    const memberships = await loaders.membershipsByUser.load(loggedUser.id);
+
+    return memberships.map(membership => membership.groupId);
+}
+
+// Mesma regra de canReadSpending, usando as participações já carregadas do usuário logado
+async function canSeeSpending(context, spending) {
+    if(spending.userId == context.loggedUser.id) return true;
+
+    return spending.groupId != null && (await viewerGroupIds(context)).includes(spending.groupId);
+}
+
+async function findGroup(context, groupId) {
+    const group = await context.loaders.groups.load(groupId);
+    if(group == null) throw new NotFoundError("Grupo não encontrado!");
+
+    if(!(await viewerGroupIds(context)).includes(groupId)) throw new ForbiddenError("Usuário não pertence ao grupo!");
+
+    return group;
+}
+
+// Página dos gastos de "userId", com os argumentos validados pelo mesmo esquema da query string da rota REST
+async function spendingPage(context, userId, args) {
+    if(!(await canReadUserSpendings(context.loggedUser.id, userId))) {
+        throw new ForbiddenError("Você não tem permissão para ver os gastos deste usuário!");
+    }
+
+    const query = await parseSpendingListQuery(userId, assertValid(listSpendingsQuery, {...args}, "query"), context.loggedUser.id);
+    const {spendings, ...page} = await findSpendingPage(query, await findBaseCurrency({userId}));
+
+    return {items: spendings, ...page};
+}
+
+async function findManagedSpending(context, spendingId, message) {
+    const spending = await findActiveSpending(spendingId);
+    if(spending == null) throw new NotFoundError("Gasto não encontrado!");
+    if(!canManageSpending(context.loggedUser.id, spending)) throw new ForbiddenError(message);
+
+    return spending;
+}
+
+export const resolvers = {
+    DateTime: {
+        serialize: (value) => new Date(value).toISOString()
+    },
+
+    Money: {
+        serialize: (value) => Prisma.Decimal.isDecimal(value) ? value.toNumber() : Number(value)
+    },
+
+    Query: {
+        me: (parent, args, {loggedUser, loaders}) => loaders.users.load(loggedUser.id),
+
+        user: async (parent, {id}, context) => {
+            const user = await context.loaders.users.load(id);
+            if(user == null) throw new NotFoundError("Usuário não encontrado!");
+
+            if(!(await canReadUserSpendings(context.loggedUser.id, id))) {
+                throw new ForbiddenError("Você não tem permissão para ver este usuário!");
+            }
+
+            return user;
+        },
+
+        groups: async (parent, args, context) => context.loaders.groups.loadMany(await viewerGroupIds(context)),
+
+        group: (parent, {id}, context) => findGroup(context, id),
+
+        spending: async (parent, {id}, context) => {
+            const spending = await context.loaders.spendings.load(id);
+            if(spending == null) throw new NotFoundError("Gasto não encontrado!");
+            if(!(await canSeeSpending(context, spending))) throw new ForbiddenError("Você não tem permissão para ver este gasto!");
+
+            return spending;
+        },
+
+        spendings: (parent, {userId, ...args}, context) => spendingPage(context, userId ?? context.loggedUser.id, args)
+    },
+
+    Mutation: {
+        createSpending: async (parent, {input}, {loggedUser}) => {
+            const data = assertValid(createSpendingBody, {...input});
+            const spending = await createSpending(loggedUser.id, {...data, userId: loggedUser.id});
+
+            return {spending, warnings: await findBudgetWarnings(spending)};
+        },
+
+        updateSpending: async (parent, {id, input}, context) => {
+            const current = await findManagedSpending(context, id, "Você não tem permissão para alterar este gasto!");
+            const data = assertValid(updateSpendingBody, {...input});
+
+            return updateSpending(context.loggedUser.id, current, {...data, userId: context.loggedUser.id});
+        },
+
+        deleteSpending: async (parent, {id}, context) => {
+            const current = await findManagedSpending(context, id, "Você não tem permissão para remover este gasto!");
+            await trashSpending(context.loggedUser.id, current);
+
+            return true;
+        },
+
+        restoreSpending: async (parent, {id}, {loggedUser}) => {
+            const trashed = await findTrashedSpending(id);
+            if(trashed == null) throw new NotFoundError("Gasto não encontrado na lixeira!");
+            if(!canManageSpending(loggedUser.id, trashed)) throw new ForbiddenError("Você não tem permissão para restaurar este gasto!");
+
+            return restoreSpending(loggedUser.id, trashed);
+        },
+
+        createGroup: async (parent, {input}, {loggedUser, loaders}) => {
+            const group = await createGroup(loggedUser.id, assertValid(createGroupBody, {...input}));
+            loaders.membershipsByUser.clear(loggedUser.id);
+
+            return group;
+        },
+
+        renameGroup: async (parent, {id, name}, {loggedUser}) => {
+            await assertGroupRole(loggedUser.id, id, GROUP_ADMIN_ROLES, GROUP_ADMIN_MESSAGE);
+            const data = assertValid(renameGroupBody, {name});
+
+            return renameGroup(loggedUser.id, id, data.name);
+        },
+
+        joinGroup: async (parent, args, context) => {
+            const data = assertValid(joinGroupBody, {...args});
+            const groupId = await joinGroup(context.req, context.loggedUser.id, data);
+            context.loaders.membershipsByUser.clear(context.loggedUser.id);
+
+            return findGroup(context, groupId);
+        },
+
+        leaveGroup: async (parent, {id}, {loggedUser}) => {
+            await assertGroupRole(loggedUser.id, id, GROUP_ROLES);
+            await removeGroupMember(loggedUser.id, id);
+
+            return true;
+        },
+
+        deleteGroup: async (parent, {id}, {loggedUser}) => {
+            await assertGroupRole(loggedUser.id, id, ["OWNER"], GROUP_OWNER_MESSAGE);
+            await deleteGroup(id, loggedUser.id);
+
+            return true;
+        }
+    },
+
+    User: {
+        baseCurrency: (user, args, {loggedUser}) => user.id == loggedUser.id ? user.baseCurrency : null,
+
+        groups: async (user, args, context) => {
+            const viewerGroups = await viewerGroupIds(context);
+            const memberships = await context.loaders.membershipsByUser.load(user.id);
+
+            return context.loaders.groups.loadMany(
+                memberships.map(membership => membership.groupId).filter(groupId => viewerGroups.includes(groupId))
+            );
+        },
+
+        spendings: (user, args, context) => spendingPage(context, user.id, args)
+    },
+
+    Group: {
+        myRole: async (group, args, {loggedUser, loaders}) => {
+            const memberships = await loaders.membershipsByUser.load(loggedUser.id);
+
+            return memberships.find(membership => membership.groupId == group.id).role;
+        },
+
+        members: (group, args, {loaders}) => loaders.membersByGroup.load(group.id)
+    },
+
+    GroupMember: {
+        user: (member, args, {loaders}) => loaders.users.load(member.userId),
+
+        spendings: (member, args, context) => spendingPage(context, member.userId, {...args, group: String(member.groupId)}),
+
+        totalSpendings: async (member, args, {loaders}) => {
+            const totals = await loaders.memberTotals.load(member.groupId);
+
+            return totals.get(member.userId)?.total ?? 0;
+        },
+
+        missingRates: async (member, args, {loaders}) => {
+            const totals = await loaders.memberTotals.load(member.groupId);
+
+            return totals.get(member.userId)?.missingRates ?? 0;
+        }
+    },
+
+    Spending: {
+        user: (spending, args, {loaders}) => loaders.users.load(spending.userId),
+
+        category: (spending, args, {loaders}) => spending.categoryId ? loaders.categories.load(spending.categoryId) : null,
+
+        group: (spending, args, {loaders}) => spending.groupId ? loaders.groups.load(spending.groupId) : null,
+
+        tags: (spending, args, {loaders}) => loaders.tagsBySpending.load(spending.id)
+    }
+};
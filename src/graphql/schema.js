@@ -0,0 +1,237 @@
+import { buildSchema, GraphQLScalarType } from "graphql";
+import { resolvers } from "./resolvers.js";
+
+const typeDefs = /* GraphQL */ `
+    "Data e hora no formato ISO 8601"
+    scalar DateTime
+
+    "Valor em dinheiro, com até duas casas decimais"
+    scalar Money
+
+    enum GroupRole {
+        OWNER
+        ADMIN
+        MEMBER
+    }
+
+    enum SpendingSort {
+        day
+        value
+        name
+    }
+
+    enum SortOrder {
+        asc
+        desc
+    }
+
+    type User {
+        id: Int!
+        name: String!
+        email: String!
+        "Moeda base do usuário (apenas a do usuário logado)"
+        baseCurrency: String
+        "Grupos do usuário de que o usuário logado também participa"
+        groups: [Group!]!
+        "Gastos do usuário que o usuário logado pode ver, com os mesmos filtros e paginação de GET /spending/{userId}"
+        spendings(
+            category: String
+            group: String
+            from: String
+            to: String
+            minValue: Float
+            maxValue: Float
+            search: String
+            sort: SpendingSort
+            order: SortOrder
+            limit: Int
+            cursor: Int
+        ): SpendingPage!
+    }
+
+    type Group {
+        id: Int!
+        name: String!
+        baseCurrency: String!
+        "Papel do usuário logado no grupo"
+        myRole: GroupRole!
+        members: [GroupMember!]!
+    }
+
+    type GroupMember {
+        user: User!
+        role: GroupRole!
+        nickname: String
+        joinedAt: DateTime!
+        "Gastos do membro marcados com o grupo, com os filtros e a paginação de User.spendings"
+        spendings(
+            category: String
+            from: String
+            to: String
+            minValue: Float
+            maxValue: Float
+            search: String
+            sort: SpendingSort
+            order: SortOrder
+            limit: Int
+            cursor: Int
+        ): SpendingPage!
+        "Soma dos gastos do membro marcados com o grupo, na moeda base do grupo"
+        totalSpendings: Float!
+        "Gastos sem cotação para a moeda base do grupo, que ficaram fora de totalSpendings"
+        missingRates: Int!
+    }
+
+    type Spending {
+        id: Int!
+        name: String!
+        day: DateTime!
+        value: Money!
+        currency: String!
+        notes: String
+        user: User!
+        category: Category
+        group: Group
+        tags: [Tag!]!
+    }
+
+    type Category {
+        id: Int!
+        name: String!
+        color: String
+        icon: String
+        parentId: Int
+    }
+
+    type Tag {
+        id: Int!
+        name: String!
+        color: String
+    }
+
+    "Página de gastos, com paginação por cursor: envie nextCursor em cursor para obter a próxima"
+    type SpendingPage {
+        items: [Spending!]!
+        "Quantidade de gastos que atendem aos filtros"
+        total: Int!
+        "Soma dos gastos que atendem aos filtros, na moeda base do usuário"
+        totalValue: Float!
+        currency: String!
+        missingRates: Int!
+        limit: Int!
+        nextCursor: Int
+    }
+
+    type BudgetWarning {
+        budgetId: Int!
+        name: String
+        threshold: Float!
+        limit: Money!
+        currency: String!
+        spent: Float!
+        percentage: Float!
+        message: String!
+    }
+
+    type CreateSpendingPayload {
+        spending: Spending!
+        "Avisos dos orçamentos que passaram de um limite de aviso com este gasto"
+        warnings: [BudgetWarning!]!
+    }
+
+    input CreateSpendingInput {
+        name: String
+        "Dia do gasto (data ou data e hora ISO 8601)"
+        day: String!
+        value: Float!
+        currency: String
+        categoryId: Int
+        groupId: Int
+        notes: String
+        tags: [String!]
+    }
+
+    "Campos omitidos mantêm o valor atual; null remove a categoria, o grupo ou as observações"
+    input UpdateSpendingInput {
+        name: String
+        day: String!
+        value: Float!
+        currency: String
+        categoryId: Int
+        groupId: Int
+        notes: String
+        tags: [String!]
+    }
+
+    input CreateGroupInput {
+        name: String!
+        password: String!
+        baseCurrency: String
+    }
+
+    type Query {
+        "Usuário logado"
+        me: User!
+        "O próprio usuário ou um membro de um grupo em comum"
+        user(id: Int!): User!
+        "Grupos do usuário logado"
+        groups: [Group!]!
+        group(id: Int!): Group!
+        spending(id: Int!): Spending!
+        "Gastos de um usuário (padrão é o usuário logado), como em GET /spending/{userId}"
+        spendings(
+            userId: Int
+            category: String
+            group: String
+            from: String
+            to: String
+            minValue: Float
+            maxValue: Float
+            search: String
+            sort: SpendingSort
+            order: SortOrder
+            limit: Int
+            cursor: Int
+        ): SpendingPage!
+    }
+
+    """
+    Alterações de gastos e grupos. A administração dos grupos (papéis e remoção de membros, transferência
+    de dono, senha, moeda, apelidos e convites) e os demais recursos (orçamentos, categorias, anexos,
+    importações, exportações, gastos recorrentes, parcelamentos e webhooks) ficam só na API REST.
+    """
+    type Mutation {
+        createSpending(input: CreateSpendingInput!): CreateSpendingPayload!
+        updateSpending(id: Int!, input: UpdateSpendingInput!): Spending!
+        "Move o gasto para a lixeira"
+        deleteSpending(id: Int!): Boolean!
+        restoreSpending(id: Int!): Spending!
+        createGroup(input: CreateGroupInput!): Group!
+        renameGroup(id: Int!, name: String!): Group!
+        "Entra no grupo pelo código do convite ou pelo ID e senha, como em POST /group/join"
+        joinGroup(groupId: Int, password: String, code: String): Group!
+        leaveGroup(id: Int!): Boolean!
+        deleteGroup(id: Int!): Boolean!
+    }
+`;
+
+// Liga os resolvers aos campos do esquema e as funções de conversão aos escalares
+function attachResolvers(schema, resolvers) {
+    for(const [typeName, fields] of Object.entries(resolvers)) {
+        const type = schema.getType(typeName);
+
+        if(type instanceof GraphQLScalarType) {
+            Object.assign(type, fields);
+            continue;
+        }
+
+        const typeFields = type.getFields();
+        for(const [fieldName, resolve] of Object.entries(fields)) {
+            typeFields[fieldName].resolve = resolve;
+        }
+    }
+
+    return schema;
+}
+
+export const schema = attachResolvers(buildSchema(typeDefs), resolvers);
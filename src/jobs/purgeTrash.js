@@ -0,0 +1,68 @@
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { findSpendingsAttachments, deleteAttachmentFiles } from "../services/attachments.js";
+
+const BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * Apaga de vez os gastos que estão na lixeira há mais de TRASH_RETENTION_DAYS, junto com os arquivos
+ * dos anexos, e retorna quantos foram apagados. Processa em lotes para não carregar a lixeira inteira.
+ */
+export async function purgeTrash(now = new Date()) {
+    const limit = new Date(now.getTime() - config.trashRetentionDays * 24 * 60 * 60 * 1000);
+
+    let purged = 0;
+    while(true) {
+        const batch = await prisma.spending.findMany({
+            where: {deletedAt: {not: null, lte: limit}},
+            select: {id: true},
+            take: BATCH_SIZE
+        });
+        if(batch.length == 0) return purged;
+
+        const ids = batch.map(spending => spending.id);
+        const attachments = await findSpendingsAttachments(ids);
+
+        // A condição é repetida para não apagar um gasto restaurado entre a busca e a remoção
+        const {count} = await prisma.spending.deleteMany({
+            where: {id: {in: ids}, deletedAt: {not: null, lte: limit}}
+        });
+
+        // Os arquivos só são removidos para os gastos que foram de fato apagados
+        const kept = await prisma.spending.findMany({where: {id: {in: ids}}, select: {id: true}});
+        const keptIds = kept.map(spending => spending.id);
+        await deleteAttachmentFiles(attachments.filter(attachment => !keptIds.includes(attachment.spendingId)));
+
+        purged += count;
+        if(batch.length < BATCH_SIZE) return purged;
+    }
+}
+
+async function run() {
+    if(running) return;
+    running = true;
+
+    try {
+        const purged = await purgeTrash();
+        if(purged > 0) console.log(`Gastos apagados da lixeira: ${purged}`);
+    } catch (error) {
+        console.error("Erro ao limpar a lixeira:", error.message);
+    } finally {
+        running = false;
+    }
+}
+
+export function startPurgeTrashJob() {
+    if(timer != null) return;
+
+    run();
+    timer = setInterval(run, config.trashPurgeIntervalMinutes * 60 * 1000);
+}
+
+export function stopPurgeTrashJob() {
+    clearInterval(timer);
+    timer = null;
+}
@@ -0,0 +1,99 @@
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { occurrencesBetween } from "../services/recurrence.js";
+import { insertSpendings, announceCreatedSpendings } from "../services/spendings.js";
+
+let timer = null;
+let running = false;
+
+/**
+ * Cria os gastos da recorrência cujas ocorrências já venceram até "now" e retorna quantos foram criados.
+ *
+ * É idempotente: cada gasto gerado guarda a data da ocorrência e o índice único
+ * (recurringSpendingId, occurrenceDate) impede que a mesma ocorrência seja criada duas vezes,
+ * mesmo que a geração rode novamente ou em paralelo. "materializedUntil" marca até onde a
+ * recorrência já foi gerada, para que gastos removidos pelo usuário não sejam recriados.
+ */
+export async function materializeRecurringSpending(recurring, now = new Date()) {
+    if(recurring.paused) return 0;
+
+    const skips = await prisma.recurringSpendingSkip.findMany({
+        where: {recurringSpendingId: recurring.id},
+        select: {occurrenceDate: true}
+    });
+    const skipped = skips.map(skip => skip.occurrenceDate.getTime());
+
+    const from = recurring.materializedUntil
+        ? new Date(recurring.materializedUntil.getTime() + 1)
+        : new Date(recurring.startDate);
+    const due = occurrencesBetween(recurring, from, now);
+    if(due.length == 0) return 0;
+
+    const occurrences = due.filter(date => !skipped.includes(date.getTime()));
+
+    // Gastos gerados pelo job ficam no histórico sem autor
+    const spendings = await prisma.$transaction(async (tx) => {
+        const spendings = await insertSpendings(tx, null, occurrences.map(date => ({
+            name: recurring.name,
+            day: date,
+            value: recurring.value,
+            currency: recurring.currency,
+            userId: recurring.userId,
+            categoryId: recurring.categoryId,
+            recurringSpendingId: recurring.id,
+            occurrenceDate: date
+        })), {skipDuplicates: true});
+        await tx.recurringSpending.update({
+            where: {id: recurring.id},
+            data: {materializedUntil: due[due.length - 1]}
+        });
+
+        return spendings;
+    });
+    await announceCreatedSpendings(spendings);
+
+    return spendings.length;
+}
+
+// Gera os gastos vencidos de todas as recorrências ativas
+export async function materializeRecurringSpendings(now = new Date()) {
+    const recurringSpendings = await prisma.recurringSpending.findMany({
+        where: {
+            paused: false,
+            startDate: {lte: now}
+        }
+    });
+
+    let created = 0;
+    for(const recurring of recurringSpendings) {
+        created += await materializeRecurringSpending(recurring, now);
+    }
+
+    return created;
+}
+
+async function run() {
+    if(running) return;
+    running = true;
+
+    try {
+        const created = await materializeRecurringSpendings();
+        if(created > 0) console.log(`Gastos recorrentes gerados: ${created}`);
+    } catch (error) {
+        console.error("Erro ao gerar gastos recorrentes:", error.message);
+    } finally {
+        running = false;
+    }
+}
+
+export function startRecurringSpendingsJob() {
+    if(timer != null) return;
+
+    run();
+    timer = setInterval(run, config.recurringSpendingsIntervalMinutes * 60 * 1000);
+}
+
+export function stopRecurringSpendingsJob() {
+    clearInterval(timer);
+    timer = null;
+}
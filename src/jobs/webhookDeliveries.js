@@ -0,0 +1,65 @@
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { attemptDelivery } from "../services/webhooks.js";
+
+const BATCH_SIZE = 20;
+
+let timer = null;
+let running = false;
+
+/**
+ * Envia as entregas pendentes cujo horário já chegou e retorna quantas foram tentadas.
+ *
+ * Antes de enviar, cada entrega é reservada adiando "nextAttemptAt" para depois do tempo máximo da requisição,
+ * com uma atualização condicionada ao valor lido: se outra instância da API já a reservou, ela é ignorada.
+ * Se o processo cair no meio do envio, a entrega volta para a fila quando a reserva vence.
+ */
+export async function processWebhookDeliveries(now = new Date()) {
+    const due = await prisma.webhookDelivery.findMany({
+        where: {status: "PENDING", nextAttemptAt: {lte: now}, webhook: {active: true}},
+        orderBy: {nextAttemptAt: "asc"},
+        take: BATCH_SIZE,
+        include: {webhook: true}
+    });
+
+    let attempted = 0;
+    for(const delivery of due) {
+        const lease = new Date(Date.now() + (config.webhookTimeoutSeconds + 30) * 1000);
+        const {count} = await prisma.webhookDelivery.updateMany({
+            where: {id: delivery.id, status: "PENDING", nextAttemptAt: delivery.nextAttemptAt},
+            data: {nextAttemptAt: lease}
+        });
+        if(count == 0) continue;
+
+        await attemptDelivery(delivery, delivery.webhook);
+        attempted++;
+    }
+
+    return attempted;
+}
+
+async function run() {
+    if(running) return;
+    running = true;
+
+    try {
+        // Continua enquanto houver lotes cheios, para não esperar o próximo intervalo com a fila acumulada
+        while(await processWebhookDeliveries() == BATCH_SIZE);
+    } catch (error) {
+        console.error("Erro ao entregar os webhooks:", error.message);
+    } finally {
+        running = false;
+    }
+}
+
+export function startWebhookDeliveriesJob() {
+    if(timer != null) return;
+
+    run();
+    timer = setInterval(run, config.webhookPollIntervalSeconds * 1000);
+}
+
+export function stopWebhookDeliveriesJob() {
+    clearInterval(timer);
+    timer = null;
+}
@@ -1,3 +0,0 @@
-const JWTsecret = "MMsEBmPHMcMMsEBmPHMcMMsEBmPHMcMMsEBmPHMc";
-
-export default JWTsecret;
\ No newline at end of file
@@ -1,28 +1,40 @@
-import jwt from "jsonwebtoken";
-import JWTsecret from "./JWTsecret.js";
+import { verifyAccessToken, findActiveSession } from "../services/sessions.js";
+import { UnauthorizedError } from "../errors.js";
 
-function auth(req, res, next){
+async function auth(req, res, next){
     const authToken = req.headers["authorization"];
     if(authToken != undefined){
         const token = authToken.split(" ")[1];
 
-        jwt.verify(token, JWTsecret, (err, data) => {
-            if(err){
-                res.statusCode = 401;
-                res.json({err: "Token inválido!"});
-            }else{
-                req.loggedUser = {
-                    id: data.id,
-                    email: data.email
-                }
+        let data;
+        try {
+            data = verifyAccessToken(token);
+        } catch (error) {
+            return next(new UnauthorizedError("Token inválido!", "INVALID_TOKEN"));
+        }
 
-                next();
-            }
-        });
+        // O token só vale enquanto a sessão que o gerou estiver ativa (logout encerra a sessão)
+        let session = null;
+        try {
+            if(data.sid) session = await findActiveSession(data.sid);
+        } catch (error) {
+            return next(error);
+        }
+
+        if(session == null || session.userId != data.id){
+            return next(new UnauthorizedError("Sessão encerrada!", "SESSION_ENDED"));
+        }
+
+        req.loggedUser = {
+            id: data.id,
+            email: data.email,
+            sessionId: data.sid
+        }
+
+        next();
     }else{
-        res.statusCode = 401;
-        res.json({err: "Token não existente!"});
+        next(new UnauthorizedError("Token não existente!"));
     }
 }
 
-export default auth;
\ No newline at end of file
+export default auth;
@@ -0,0 +1,64 @@
+import { Prisma } from "@prisma/client";
+import { HttpError, BadRequestError, NotFoundError, ConflictError } from "../errors.js";
+
+// Erros do banco que correspondem a situações esperadas (registro inexistente, duplicado ou em uso)
+const PRISMA_ERRORS = {
+    P2025: () => new NotFoundError("Registro não encontrado!"),
+    P2002: () => new ConflictError("Já existe um registro com esses dados!"),
+    P2003: () => new ConflictError("O registro está ligado a outros dados!")
+};
+
+// Converte o erro recebido no erro respondido ao cliente, ou null para erros inesperados (500)
+export function toHttpError(error) {
+    if(error instanceof HttpError) return error;
+
+    if(error instanceof Prisma.PrismaClientKnownRequestError && PRISMA_ERRORS[error.code]) {
+        return PRISMA_ERRORS[error.code]();
+    }
+    if(error instanceof Prisma.PrismaClientValidationError) return new BadRequestError("Dados inválidos!");
+
+    // Erros do body-parser ao ler o corpo da requisição
+    if(error.type == "entity.parse.failed") return new BadRequestError("JSON inválido!", "INVALID_JSON");
+    if(error.type == "entity.too.large") return new HttpError(413, "PAYLOAD_TOO_LARGE", "Corpo da requisição muito grande!");
+
+    // Validações das rotas e dos serviços feitas com throw Error("...")
+    if(error.constructor === Error) return new BadRequestError(error.message);
+
+    return null;
+}
+
+// Envia a resposta de erro no formato padrão: {error, code, fields}
+export function sendError(res, error) {
+    if(error.retryAfterSeconds != null) {
+        res.set("Retry-After", String(Math.max(Math.ceil(error.retryAfterSeconds), 1)));
+    }
+
+    res.statusCode = error.status;
+    res.send({
+        error: error.message,
+        code: error.code,
+        ...(error.fields && {fields: error.fields})
+    });
+}
+
+// Rotas inexistentes respondem 404 no mesmo formato dos demais erros
+export function notFoundHandler(req, res) {
+    sendError(res, new NotFoundError(`Rota não encontrada: ${req.method} ${req.path}`));
+}
+
+/**
+ * Tratador de erros do Express: responde os erros passados para next(error) ou lançados nos middlewares.
+ * Erros inesperados são registrados no log e respondidos com 500, sem expor detalhes ao cliente.
+ */
+export function errorHandler(error, req, res, next) {
+    if(res.headersSent) return next(error);
+
+    const httpError = toHttpError(error);
+    if(httpError == null) {
+        console.error(`Erro em ${req.method} ${req.originalUrl}:`, error);
+        sendError(res, new HttpError(500, "INTERNAL_ERROR", "Erro interno do servidor!"));
+        return;
+    }
+
+    sendError(res, httpError);
+}
@@ -0,0 +1,125 @@
+import { isGroupMember, shareGroup, groupExists, findGroupRole } from "../services/groups.js";
+import { ForbiddenError, NotFoundError } from "../errors.js";
+import { sendError } from "./errorHandler.js";
+import config from "../config.js";
+
+/**
+ * Regras de acesso: o usuário logado (req.loggedUser) gerencia apenas os próprios dados
+ * e pode consultar, sem editar, os gastos que os membros dos seus grupos marcaram com um grupo em comum.
+ * Cada grupo é gerenciado pelo dono e pelos administradores.
+ */
+
+// Resposta padrão para acesso negado
+export function forbidden(res, message = "Acesso negado!") {
+    sendError(res, new ForbiddenError(message));
+}
+
+// O próprio usuário ou alguém de um grupo em comum pode ler os gastos (os visíveis são filtrados na consulta)
+export async function canReadUserSpendings(actorId, userId) {
+    if(actorId == userId) return true;
+
+    return shareGroup(actorId, userId);
+}
+
+// Só o próprio usuário pode criar, alterar ou remover dados em seu nome
+export function canManageUserData(actorId, userId) {
+    return actorId == userId;
+}
+
+export function canManageSpending(actorId, spending) {
+    return spending.userId == actorId;
+}
+
+// Mesma regra da listagem de gastos: o dono, ou quem participa do grupo com que o gasto está marcado
+export async function canReadSpending(actorId, spending) {
+    if(spending.userId == actorId) return true;
+    if(spending.groupId == null) return false;
+
+    return isGroupMember(actorId, spending.groupId);
+}
+
+export async function canReadGroup(actorId, groupId) {
+    return isGroupMember(actorId, groupId);
+}
+
+// As cotações são compartilhadas por todos os usuários, então só os administradores de EXCHANGE_RATE_ADMINS as alteram
+export function canManageExchangeRates(user) {
+    return config.exchangeRateAdmins.includes(String(user.email).toLowerCase());
+}
+
+// Middleware que bloqueia com 403 as alterações de cotações por quem não está em EXCHANGE_RATE_ADMINS
+export function requireExchangeRateAdmin(req, res, next) {
+    if(!canManageExchangeRates(req.loggedUser)) return forbidden(res, "Apenas os administradores podem alterar as cotações!");
+
+    next();
+}
+
+/**
+ * Middleware que bloqueia com 403 o acesso aos gastos do usuário informado no parâmetro de rota "param"
+ * quando ele não é o usuário logado nem participa de um grupo em comum com ele. Vem depois de validate,
+ * que converte o parâmetro em número.
+ */
+export function authorizeUserSpendingsRead(param = "userId") {
+    return async (req, res, next) => {
+        try {
+            const allowed = await canReadUserSpendings(req.loggedUser.id, req.params[param]);
+            if(!allowed) return forbidden(res, "Você não tem permissão para ver os gastos deste usuário!");
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Retorna o papel de "actorId" no grupo, lançando NotFoundError se o grupo não existir
+ * e ForbiddenError se o papel não estiver em "roles".
+ */
+export async function assertGroupRole(actorId, groupId, roles, message) {
+    const role = await findGroupRole(actorId, groupId);
+
+    if(role == null && !(await groupExists(groupId))) throw new NotFoundError("Grupo não encontrado!");
+    if(role == null) throw new ForbiddenError("Usuário não pertence ao grupo!");
+    if(!roles.includes(role)) throw new ForbiddenError(message);
+
+    return role;
+}
+
+/**
+ * Middleware das rotas que gerenciam o grupo do parâmetro de rota "id": responde 404 se o grupo não existir
+ * e 403 se o papel do usuário logado nele não estiver em "roles". O papel fica em req.groupRole.
+ * Também vem depois de validate.
+ */
+export function authorizeGroupRoles(roles, message) {
+    return async (req, res, next) => {
+        try {
+            req.groupRole = await assertGroupRole(req.loggedUser.id, req.params.id, roles, message);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export const GROUP_ADMIN_ROLES = ["OWNER", "ADMIN"];
+export const GROUP_ADMIN_MESSAGE = "Apenas o dono e os administradores podem gerenciar o grupo!";
+export const GROUP_OWNER_MESSAGE = "Apenas o dono do grupo pode fazer isso!";
+
+export const requireGroupAdmin = authorizeGroupRoles(GROUP_ADMIN_ROLES, GROUP_ADMIN_MESSAGE);
+export const requireGroupOwner = authorizeGroupRoles(["OWNER"], GROUP_OWNER_MESSAGE);
+
+/**
+ * Middleware que garante que o "userId" enviado no corpo, quando existir, é o do usuário logado,
+ * e o preenche com ele quando omitido.
+ */
+export function actAsLoggedUser(req, res, next) {
+    if(req.body == null) req.body = {};
+
+    if(req.body.userId != null && !canManageUserData(req.loggedUser.id, req.body.userId)) {
+        return forbidden(res, "Não é permitido agir em nome de outro usuário!");
+    }
+
+    req.body.userId = req.loggedUser.id;
+    next();
+}
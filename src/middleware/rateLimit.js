@@ -0,0 +1,54 @@
+import config from "../config.js";
+import store from "../services/rateLimitStore.js";
+import { TooManyRequestsError } from "../errors.js";
+import { sendError } from "./errorHandler.js";
+
+// Resposta padrão quando o limite é atingido, informando em quantos segundos tentar de novo
+export function tooManyRequests(res, retryAfterSeconds, message) {
+    sendError(res, new TooManyRequestsError(message, retryAfterSeconds));
+}
+
+/**
+ * Middleware que limita a "max" requisições a cada "windowMs" por chave (por padrão, o IP do cliente).
+ * Se o armazenamento falhar a requisição segue normalmente, para que o limite não derrube a API.
+ */
+export function rateLimit({name, max, windowMs, key = (req) => req.ip}) {
+    return async (req, res, next) => {
+        let entry;
+        try {
+            entry = await store.increment(`rate:${name}:${key(req)}`, windowMs);
+        } catch (error) {
+            console.error("Erro ao verificar o limite de requisições:", error.message);
+            return next();
+        }
+
+        res.set("X-RateLimit-Limit", String(max));
+        res.set("X-RateLimit-Remaining", String(Math.max(max - entry.count, 0)));
+
+        if(entry.count > max) {
+            return tooManyRequests(res, (entry.resetAt.getTime() - Date.now()) / 1000);
+        }
+
+        next();
+    };
+}
+
+const windowMs = config.rateLimitWindowSeconds * 1000;
+
+const generalLimit = rateLimit({name: "api", max: config.rateLimitMax, windowMs});
+
+const routeLimits = config.rateLimitRoutes.map(rule => ({
+    ...rule,
+    limit: rateLimit({name: `${rule.method} ${rule.path}`, max: rule.max, windowMs})
+}));
+
+// Aplica o limite geral e, em seguida, os limites configurados para a rota da requisição
+export function apiRateLimit(req, res, next) {
+    const limits = routeLimits
+        .filter(rule => (rule.method == "*" || rule.method == req.method) && req.path.startsWith(rule.path))
+        .map(rule => rule.limit);
+
+    const run = ([limit, ...rest]) => limit ? limit(req, res, () => run(rest)) : next();
+
+    run([generalLimit, ...limits]);
+}
@@ -0,0 +1,43 @@
+import multer from "multer";
+import { BadRequestError, HttpError } from "../errors.js";
+
+const MULTER_ERRORS = {
+    LIMIT_FILE_COUNT: "Quantidade de arquivos excedida!",
+    LIMIT_UNEXPECTED_FILE: "Campo de arquivo inesperado!"
+};
+
+/**
+ * Recebe arquivos enviados como multipart/form-data no campo "field", mantendo-os em memória
+ * (req.file ou, com "maxCount" maior que 1, req.files). Arquivos maiores que "maxSize" bytes
+ * são recusados com 413 e arquivos com tipo fora de "types" (extensões, ex.: [".csv", ".ofx"]), com 400.
+ */
+function upload(field, {maxSize = 5 * 1024 * 1024, maxCount = 1, types} = {}) {
+    const handler = multer({
+        storage: multer.memoryStorage(),
+        limits: {fileSize: maxSize, files: maxCount},
+        fileFilter: (req, file, callback) => {
+            const extension = "." + file.originalname.split(".").pop().toLowerCase();
+
+            if(types && !types.includes(extension) && !types.includes(file.mimetype)) {
+                callback(Error(`Tipo de arquivo não permitido! Use: ${types.join(", ")}`));
+            } else {
+                callback(null, true);
+            }
+        }
+    });
+    const middleware = maxCount > 1 ? handler.array(field, maxCount) : handler.single(field);
+
+    return (req, res, next) => {
+        middleware(req, res, (err) => {
+            if(err && err.code == "LIMIT_FILE_SIZE") {
+                next(new HttpError(413, "PAYLOAD_TOO_LARGE", "Arquivo muito grande!"));
+            } else if(err) {
+                next(new BadRequestError(MULTER_ERRORS[err.code] || err.message));
+            } else {
+                next();
+            }
+        });
+    };
+}
+
+export default upload;
@@ -0,0 +1,109 @@
+import Ajv from "ajv";
+import { ValidationError } from "../errors.js";
+
+/**
+ * Validação das requisições com JSON Schema (no subconjunto aceito pelo OpenAPI 3.0, para que os mesmos
+ * esquemas gerem a documentação em services/openapi.js). Parâmetros de caminho e de consulta chegam
+ * como texto e são convertidos para o tipo do esquema; os valores padrão (default) são preenchidos.
+ */
+const ajv = new Ajv({allErrors: true, coerceTypes: true, useDefaults: true, allowUnionTypes: true});
+
+ajv.addVocabulary(["example"]);
+
+// "date" aceita a data (AAAA-MM-DD) ou a data com hora, como as rotas já aceitavam
+ajv.addFormat("date", (value) => /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime()));
+ajv.addFormat("date-time", (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(new Date(value).getTime()));
+ajv.addFormat("email", /^[^\s@]+@[^\s@]+\.[^\s@]+$/);
+ajv.addFormat("uri", (value) => URL.canParse(value));
+
+const TYPE_NAMES = {
+    integer: "um número inteiro",
+    number: "um número",
+    string: "um texto",
+    boolean: "verdadeiro ou falso",
+    array: "uma lista",
+    object: "um objeto",
+    null: "nulo"
+};
+
+const FORMAT_MESSAGES = {
+    date: "deve ser uma data (AAAA-MM-DD)",
+    "date-time": "deve ser uma data e hora (ISO 8601)",
+    email: "deve ser um email válido",
+    uri: "deve ser uma URL válida"
+};
+
+// Mensagem de cada tipo de erro do Ajv
+function errorMessage({keyword, params, message}) {
+    switch(keyword) {
+        case "required": return "é obrigatório";
+        case "type": return `deve ser ${params.type.split(",").map(type => TYPE_NAMES[type] || type).join(" ou ")}`;
+        case "minimum": return `deve ser maior ou igual a ${params.limit}`;
+        case "maximum": return `deve ser menor ou igual a ${params.limit}`;
+        case "minLength": return params.limit == 1 ? "não pode ficar vazio" : `deve ter no mínimo ${params.limit} caracteres`;
+        case "maxLength": return `deve ter no máximo ${params.limit} caracteres`;
+        case "minItems": return params.limit == 1 ? "deve ter ao menos um item" : `deve ter no mínimo ${params.limit} itens`;
+        case "maxItems": return `deve ter no máximo ${params.limit} itens`;
+        case "uniqueItems": return "não pode ter itens repetidos";
+        case "enum": return `deve ser um destes valores: ${params.allowedValues.join(", ")}`;
+        case "format": return FORMAT_MESSAGES[params.format] || "formato inválido";
+        case "pattern": return "formato inválido";
+        case "additionalProperties": return "campo não permitido";
+        default: return message;
+    }
+}
+
+// Caminho do campo com problema, com os níveis separados por "." (ex.: "shares.0.userId")
+function fieldPath(error) {
+    const path = error.instancePath.split("/").slice(1);
+    if(error.keyword == "required") path.push(error.params.missingProperty);
+    if(error.keyword == "additionalProperties") path.push(error.params.additionalProperty);
+
+    return path.join(".");
+}
+
+// Validadores compilados por esquema, para os esquemas usados fora das rotas (como na API GraphQL)
+const compiled = new WeakMap();
+
+function fieldErrors(check, location) {
+    return check.errors.map(error => ({location, field: fieldPath(error), message: errorMessage(error)}));
+}
+
+/**
+ * Valida "data" com o esquema, aplicando as conversões e os valores padrão, e lança ValidationError
+ * com os campos inválidos. "location" identifica a origem dos dados nos erros.
+ */
+export function assertValid(schema, data, location = "body") {
+    if(!compiled.has(schema)) compiled.set(schema, ajv.compile(schema));
+
+    const check = compiled.get(schema);
+    if(!check(data)) throw new ValidationError(fieldErrors(check, location));
+
+    return data;
+}
+
+/**
+ * Middleware que valida as partes da requisição com os esquemas informados ({params, query, body}) e,
+ * se algum campo for inválido, responde 422 com a lista dos campos (ValidationError). Os esquemas ficam
+ * em middleware.schemas para a documentação.
+ */
+export function validate(schemas) {
+    const validators = ["params", "query", "body"]
+        .filter(location => schemas[location])
+        .map(location => [location, ajv.compile(schemas[location])]);
+
+    const middleware = (req, res, next) => {
+        const fields = [];
+        for(const [location, check] of validators) {
+            if(req[location] == null) req[location] = {};
+            if(!check(req[location])) {
+                fields.push(...fieldErrors(check, location));
+            }
+        }
+
+        next(fields.length > 0 ? new ValidationError(fields) : undefined);
+    };
+    middleware.schemas = schemas;
+
+    return middleware;
+}
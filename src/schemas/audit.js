@@ -0,0 +1,14 @@
+import { AUDIT_ENTITIES } from "../services/audit.js";
+import { object, pageQuery } from "./common.js";
+
+export const historyQuery = object(pageQuery);
+
+export const activityQuery = object({
+    ...pageQuery,
+    entity: {type: "string", enum: AUDIT_ENTITIES, description: "Filtra pelo tipo de registro"}
+});
+
+export const streamQuery = object({
+    access_token: {type: "string", description: "Token de acesso, para clientes que não enviam o cabeçalho Authorization (como o EventSource)"},
+    lastEventId: {type: "integer", minimum: 0, description: "ID do último evento recebido, usado quando o cabeçalho Last-Event-ID não é enviado"}
+});
@@ -0,0 +1,26 @@
+import { BUDGET_PERIODS } from "../services/budgets.js";
+import { id, money, date, object, idParams } from "./common.js";
+
+const budgetFields = {
+    name: {type: "string", maxLength: 255, nullable: true, description: "Nome do orçamento", example: "Mercado do mês"},
+    limit: {...money, minimum: 0.01, description: "Valor limite para o período, na moeda base do usuário ou do grupo"},
+    period: {type: "string", enum: BUDGET_PERIODS, default: "MONTHLY"}
+};
+
+export const budgetParams = idParams({id: "ID do orçamento"});
+
+export const createBudgetBody = object({
+    ...budgetFields,
+    categoryId: {...id, nullable: true, description: "ID da categoria do orçamento"},
+    groupId: {...id, nullable: true, description: "ID do grupo do orçamento"}
+}, ["limit"]);
+
+export const updateBudgetBody = object({
+    ...budgetFields,
+    categoryId: {...id, nullable: true, description: "ID da categoria do orçamento (null para considerar todas)"}
+}, ["limit"]);
+
+export const budgetStatusQuery = object({
+    date: {...date, description: "Data usada para escolher o período (padrão é hoje)"},
+    budgetId: {...id, description: "Retorna apenas a situação deste orçamento"}
+});
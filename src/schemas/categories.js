@@ -0,0 +1,23 @@
+import { id, name, color, object, idParams } from "./common.js";
+
+const categoryFields = {
+    name: {...name, description: "Nome da categoria", example: "Mercado"},
+    color: {...color, nullable: true, description: "Cor usada para exibir a categoria"},
+    icon: {type: "string", maxLength: 50, nullable: true, description: "Ícone usado para exibir a categoria", example: "shopping-cart"}
+};
+
+export const categoryParams = idParams({id: "ID da categoria"});
+
+export const createCategoryBody = object({
+    ...categoryFields,
+    parentId: {...id, nullable: true, description: "ID da categoria pai"}
+}, ["name"]);
+
+export const updateCategoryBody = object({
+    ...categoryFields,
+    parentId: {...id, nullable: true, description: "ID da nova categoria pai (null para tornar a categoria raiz)"}
+}, ["name"]);
+
+export const deleteCategoryQuery = object({
+    reassignTo: {...id, description: "ID da categoria que receberá os gastos e os orçamentos da categoria removida"}
+});
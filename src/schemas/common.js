@@ -0,0 +1,38 @@
+/**
+ * Esquemas (JSON Schema, no subconjunto do OpenAPI 3.0) reutilizados na validação das rotas
+ * e na documentação gerada a partir delas.
+ */
+
+export const id = {type: "integer", minimum: 1};
+
+// Objeto com as propriedades informadas; "required" lista as obrigatórias
+export function object(properties, required = []) {
+    return {type: "object", properties, ...(required.length > 0 && {required})};
+}
+
+// Parâmetros de caminho com IDs numéricos, com a descrição de cada um: idParams({id: "ID do gasto"})
+export function idParams(descriptions) {
+    const properties = Object.fromEntries(
+        Object.entries(descriptions).map(([name, description]) => [name, {...id, description}])
+    );
+
+    return object(properties, Object.keys(descriptions));
+}
+
+export const name = {type: "string", minLength: 1, maxLength: 255};
+
+// Valores monetários, como número ou texto ("25,90"): o formato, até duas casas decimais e o limite
+// são conferidos por parseMoney. Texto não passa por minimum, então o sinal é conferido nas rotas
+export const money = {type: ["number", "string"], example: 25.9};
+
+export const date = {type: "string", format: "date", example: "2024-05-01"};
+
+export const currency = {type: "string", pattern: "^[A-Za-z]{3}$", description: "Código ISO 4217 da moeda", example: "BRL"};
+
+export const color = {type: "string", maxLength: 30, example: "#4caf50"};
+
+// Paginação por cursor, como na listagem de gastos e no histórico
+export const pageQuery = {
+    limit: {type: "integer", minimum: 1, maximum: 200, default: 50, description: "Quantidade de registros da página"},
+    cursor: {...id, description: "ID do último registro da página anterior (o \"nextCursor\" da resposta)"}
+};
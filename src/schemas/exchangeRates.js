@@ -0,0 +1,21 @@
+import { date, currency, object, idParams } from "./common.js";
+
+export const rateParams = idParams({id: "ID da cotação"});
+
+export const listRatesQuery = object({
+    currency: {...currency, description: "Filtra pela moeda cotada"},
+    base: {...currency, description: "Filtra pela moeda base", example: "USD"},
+    from: {...date, description: "Data inicial (inclusiva)"},
+    to: {...date, description: "Data final (inclusiva)"}
+});
+
+export const createRateBody = object({
+    day: {...date, description: "Dia da cotação"},
+    currency: {...currency, description: "Moeda cotada", example: "USD"},
+    base: {...currency, description: "Moeda base da cotação (padrão é a moeda base do usuário)"},
+    rate: {type: "number", exclusiveMinimum: 0, description: "Quanto 1 unidade de \"currency\" vale em \"base\"", example: 5.43}
+}, ["day", "currency", "rate"]);
+
+export const importRatesBody = object({
+    base: {...currency, description: "Moeda base das linhas sem a coluna base (padrão é a moeda base do usuário)"}
+});
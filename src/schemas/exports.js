@@ -0,0 +1,14 @@
+import { EXPORT_FORMATS } from "../services/exports.js";
+import { date, object } from "./common.js";
+
+export const exportQuery = object({
+    format: {
+        type: "string",
+        enum: EXPORT_FORMATS,
+        default: "csv",
+        description: "Formato do arquivo. \"excel\" gera um CSV que o Excel em português abre direto (\";\" e vírgula decimal) e \"html\" gera um extrato pronto para imprimir."
+    },
+    from: {...date, description: "Data inicial (inclusiva)"},
+    to: {...date, description: "Data final (inclusiva)"},
+    category: {type: "string", pattern: "^(none|[1-9][0-9]*)$", description: "ID da categoria (inclui as subcategorias) ou \"none\" para os gastos sem categoria"}
+});
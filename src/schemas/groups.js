@@ -0,0 +1,96 @@
+import { MAX_EXPIRES_IN_HOURS } from "../services/groupInvites.js";
+import { SPLIT_TYPES } from "../services/splits.js";
+import { GROUP_ROLES } from "../services/groups.js";
+import { id, name, money, date, currency, object, idParams } from "./common.js";
+
+// Preenchido com o usuário logado quando omitido (actAsLoggedUser)
+const userId = {...id, description: "ID do usuário logado"};
+const password = {type: "string", minLength: 1, example: "senha123"};
+
+export const groupParams = idParams({id: "ID do grupo"});
+
+export const memberParams = idParams({id: "ID do grupo", userId: "ID do membro"});
+
+export const createGroupBody = object({
+    userId: userId,
+    name: {...name, example: "Casa"},
+    password: password,
+    baseCurrency: {...currency, description: "Moeda base do grupo, usada nos totais (código ISO 4217, padrão BRL)"}
+}, ["name", "password"]);
+
+export const joinGroupBody = object({
+    userId: userId,
+    groupId: {...id, description: "ID do grupo (com a senha, quando não há convite)"},
+    password: {...password, description: "Senha do grupo"},
+    code: {type: "string", minLength: 1, description: "Código do convite (dispensa o grupo e a senha)"}
+});
+
+export const leaveGroupBody = object({
+    userId: userId,
+    groupId: {...id, description: "ID do grupo"}
+}, ["groupId"]);
+
+export const groupCurrencyBody = object({
+    currency: {...currency, example: "USD"}
+}, ["currency"]);
+
+export const renameGroupBody = object({
+    name: {...name, description: "Novo nome do grupo"}
+}, ["name"]);
+
+export const groupPasswordBody = object({
+    password: {...password, description: "Nova senha do grupo"}
+}, ["password"]);
+
+export const memberRoleBody = object({
+    role: {type: "string", enum: GROUP_ROLES.filter(role => role != "OWNER"), description: "Novo papel do membro (para passar a propriedade do grupo, use PUT /group/{id}/owner)"}
+}, ["role"]);
+
+export const transferOwnerBody = object({
+    userId: {...id, description: "ID do membro que será o novo dono"}
+}, ["userId"]);
+
+export const nicknameBody = object({
+    nickname: {type: "string", maxLength: 50, nullable: true, description: "Apelido no grupo (vazio ou null para remover)", example: "Ju"}
+});
+
+export const inviteParams = idParams({id: "ID do grupo", inviteId: "ID do convite"});
+
+export const createInviteBody = object({
+    expiresInHours: {
+        type: "number",
+        exclusiveMinimum: 0,
+        maximum: MAX_EXPIRES_IN_HOURS,
+        description: `Validade do convite em horas (padrão em GROUP_INVITE_EXPIRES_IN_HOURS, máximo de ${MAX_EXPIRES_IN_HOURS})`,
+        example: 48
+    },
+    maxUses: {type: "integer", minimum: 1, description: "Quantidade máxima de entradas (sem limite se omitido)", example: 5}
+});
+
+export const expenseParams = idParams({id: "ID do grupo", expenseId: "ID da despesa"});
+
+export const createExpenseBody = object({
+    name: {...name, minLength: 0, description: "Nome para identificar a despesa"},
+    day: {...date, description: "Dia da despesa", example: "2024-09-03T12:34:56Z"},
+    value: {...money, exclusiveMinimum: 0, description: "Valor total da despesa"},
+    payerId: {...id, description: "ID do membro que pagou (padrão é o usuário logado; outro membro apenas para o dono e os administradores)"},
+    splitType: {type: "string", enum: SPLIT_TYPES, default: "EQUAL"},
+    participants: {
+        type: "array",
+        minItems: 1,
+        description: "Participantes da despesa (em EQUAL, padrão é todos os membros)",
+        items: object({
+            userId: id,
+            value: {...money, minimum: 0, description: "Valor exato do participante (EXACT)"},
+            percentage: {type: "number", minimum: 0, maximum: 100, description: "Porcentagem do participante (PERCENTAGE)"},
+            shares: {type: "number", minimum: 0, description: "Quantidade de partes do participante (SHARES)"}
+        }, ["userId"])
+    }
+}, ["day", "value"]);
+
+export const createSettlementBody = object({
+    fromUserId: {...id, description: "ID do membro que pagou (padrão é o usuário logado; outro membro apenas para quem recebeu, o dono e os administradores)"},
+    toUserId: {...id, description: "ID do membro que recebeu"},
+    value: {...money, exclusiveMinimum: 0, description: "Valor pago"},
+    day: {...date, description: "Dia do pagamento (padrão é agora)"}
+}, ["toUserId", "value"]);
@@ -0,0 +1,29 @@
+import { IMPORT_FORMATS, DATE_FORMATS } from "../services/statementImport.js";
+import { id, currency, object } from "./common.js";
+
+// Campos do formulário multipart/form-data enviados junto com o extrato
+export const importStatementBody = object({
+    format: {type: "string", enum: IMPORT_FORMATS, description: "Formato do arquivo (padrão é a extensão do arquivo)"},
+    mapping: {
+        type: "string",
+        description: "JSON com a coluna (nome do cabeçalho ou índice começando em 0) de cada campo, " +
+            "ex.: {\"day\": \"Data\", \"value\": \"Valor\", \"name\": \"Descrição\", \"category\": \"Categoria\"}. " +
+            "Sem mapeamento, as colunas são identificadas pelos nomes mais comuns.",
+        example: "{\"day\": \"Data\", \"value\": \"Valor\", \"name\": \"Descrição\"}"
+    },
+    header: {type: "boolean", default: true, description: "Indica se a primeira linha do CSV é o cabeçalho"},
+    delimiter: {type: "string", maxLength: 1, description: "Separador de colunas do CSV (padrão é detectar entre \";\", \",\" e tabulação)"},
+    decimal: {type: "string", enum: [",", "."], description: "Separador decimal dos valores (padrão é detectar)"},
+    dateFormat: {type: "string", enum: DATE_FORMATS, description: "Formato das datas (padrão é aceitar datas ISO, AAAA-MM-DD, e DD/MM/AAAA)"},
+    encoding: {type: "string", enum: ["utf8", "latin1"], description: "Codificação do arquivo (padrão utf8; no OFX é lida do cabeçalho)"},
+    categoryId: {...id, description: "Categoria usada nas linhas sem categoria"},
+    currency: {...currency, description: "Moeda dos lançamentos (código ISO 4217). Por padrão, a moeda base do usuário"},
+    dryRun: {type: "boolean", default: false, description: "Apenas retorna a prévia, sem cadastrar os gastos"},
+    rows: {
+        type: "string",
+        pattern: "^\\s*[0-9]+(\\s*,\\s*[0-9]+)*\\s*$",
+        description: "Números das linhas aceitas, separados por vírgula (padrão é todas)",
+        example: "1,2,5"
+    },
+    importDuplicates: {type: "boolean", default: false, description: "Importa também as linhas identificadas como duplicadas"}
+});
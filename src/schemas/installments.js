@@ -0,0 +1,22 @@
+import { MAX_INSTALLMENTS } from "../services/installments.js";
+import { id, name, money, date, currency, object, idParams } from "./common.js";
+
+export const installmentParams = idParams({id: "ID da compra parcelada"});
+
+export const listInstallmentsQuery = object({
+    all: {type: "boolean", default: false, description: "Inclui as compras sem parcelas em aberto"}
+});
+
+export const createInstallmentBody = object({
+    name: {...name, example: "Geladeira"},
+    value: {...money, exclusiveMinimum: 0, description: "Valor total da compra", example: 1234.56},
+    day: {...date, description: "Dia da primeira parcela"},
+    installments: {type: "integer", minimum: 2, maximum: MAX_INSTALLMENTS, description: "Quantidade de parcelas", example: 10},
+    categoryId: {...id, nullable: true},
+    currency: {...currency, description: "Moeda da compra e das parcelas (código ISO 4217). Por padrão, a moeda base do usuário"}
+}, ["name", "value", "day", "installments"]);
+
+export const prepayInstallmentBody = object({
+    day: {...date, description: "Dia do pagamento (padrão é agora)"},
+    value: {...money, exclusiveMinimum: 0, description: "Valor pago pelas parcelas antecipadas (padrão é o valor em aberto)"}
+});
@@ -0,0 +1,36 @@
+import { FREQUENCIES } from "../services/recurrence.js";
+import { id, name, money, date, currency, object, idParams } from "./common.js";
+
+const recurringFields = {
+    name: {...name, example: "Aluguel"},
+    value: {...money, example: 1500},
+    frequency: {type: "string", enum: FREQUENCIES},
+    interval: {type: "integer", minimum: 1, default: 1, description: "Repete a cada N períodos"},
+    dayOfMonth: {type: "integer", minimum: 1, maximum: 31, nullable: true, description: "Dia do mês (apenas MONTHLY, padrão é o dia de \"startDate\")"},
+    startDate: {...date, example: "2024-09-05T12:00:00Z"},
+    endDate: {...date, nullable: true, description: "Data de término (opcional)"},
+    categoryId: {...id, nullable: true}
+};
+
+const required = ["name", "value", "frequency", "startDate"];
+
+export const recurringSpendingParams = idParams({id: "ID do gasto recorrente"});
+
+export const upcomingQuery = object({
+    until: {...date, description: "Data limite, de até um ano a partir de hoje (padrão é daqui a 30 dias)"},
+    recurringSpendingId: {...id, description: "Lista apenas as ocorrências desta recorrência"}
+});
+
+export const createRecurringSpendingBody = object({
+    ...recurringFields,
+    currency: {...currency, description: "Moeda (código ISO 4217). Por padrão, a moeda base do usuário"}
+}, required);
+
+export const updateRecurringSpendingBody = object({
+    ...recurringFields,
+    currency: {...currency, description: "Moeda (código ISO 4217). Se omitida, mantém a atual"}
+}, required);
+
+export const skipOccurrenceBody = object({
+    date: {...date, description: "Dia da ocorrência a ser pulada", example: "2024-10-05"}
+}, ["date"]);
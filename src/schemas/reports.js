@@ -0,0 +1,37 @@
+import { REPORT_UNITS } from "../services/reports.js";
+import { BUDGET_PERIODS } from "../services/budgets.js";
+import { id, date, currency, object } from "./common.js";
+
+const period = {
+    from: {...date, description: "Data inicial (inclusiva)"},
+    to: {...date, description: "Data final (inclusiva)"}
+};
+
+const scope = {
+    groupId: {...id, description: "Considera os gastos marcados com o grupo em vez dos gastos do usuário logado"},
+    currency: {
+        ...currency,
+        description: "Moeda do relatório (código ISO 4217). Por padrão é a moeda base do grupo ou do usuário. " +
+            "Cada gasto é convertido pela cotação do seu dia (ou a mais recente anterior)."
+    }
+};
+
+export const reportQuery = object({...period, ...scope});
+
+export const periodReportQuery = object({
+    groupBy: {type: "string", enum: REPORT_UNITS, default: "month", description: "Período usado no agrupamento"},
+    ...period,
+    ...scope
+});
+
+export const memberReportQuery = object({
+    ...period,
+    ...scope,
+    groupId: {...id, description: "ID do grupo"}
+}, ["groupId"]);
+
+export const comparisonReportQuery = object({
+    period: {type: "string", enum: BUDGET_PERIODS, default: "MONTHLY"},
+    date: {...date, description: "Data de referência (padrão é hoje)"},
+    ...scope
+});
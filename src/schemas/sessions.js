@@ -0,0 +1,11 @@
+import { object, idParams } from "./common.js";
+
+export const sessionParams = idParams({id: "ID da sessão"});
+
+export const refreshTokenBody = object({
+    refreshToken: {type: "string", minLength: 1}
+}, ["refreshToken"]);
+
+export const logoutAllBody = object({
+    keepCurrent: {type: "boolean", default: false, description: "Mantém a sessão atual ativa"}
+});
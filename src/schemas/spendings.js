@@ -0,0 +1,68 @@
+import { SPENDING_SORT_FIELDS } from "../services/spendings.js";
+import { id, money, date, currency, object, idParams, pageQuery } from "./common.js";
+
+// Filtro por ID ou "none" (sem categoria, sem grupo) das listagens
+const idOrNone = {type: "string", pattern: "^(none|[1-9][0-9]*)$"};
+
+const spendingFilters = {
+    category: {...idOrNone, description: "ID da categoria (inclui as subcategorias) ou \"none\" para gastos sem categoria"},
+    from: {...date, description: "Primeiro dia do período"},
+    to: {...date, description: "Último dia do período"},
+    minValue: {...money, description: "Valor mínimo"},
+    maxValue: {...money, description: "Valor máximo"}
+};
+
+export const spendingParams = idParams({id: "ID do gasto"});
+
+export const attachmentParams = idParams({id: "ID do anexo"});
+
+export const userSpendingsParams = idParams({userId: "ID do usuário"});
+
+export const listSpendingsQuery = object({
+    ...spendingFilters,
+    group: {...idOrNone, description: "ID do grupo ou \"none\" para gastos sem grupo"},
+    search: {type: "string", description: "Parte do nome do gasto (sem diferenciar maiúsculas)"},
+    sort: {type: "string", enum: SPENDING_SORT_FIELDS, default: "day", description: "Campo usado na ordenação"},
+    order: {type: "string", enum: ["asc", "desc"], default: "desc", description: "Direção da ordenação"},
+    ...pageQuery
+});
+
+export const trashQuery = object(pageQuery);
+
+export const searchSpendingsQuery = object({
+    q: {type: "string", description: "Texto da busca", example: "jantar aeroporto"},
+    tags: {type: "string", description: "Etiquetas separadas por vírgula; o gasto deve ter todas", example: "viagem-rio,reembolsavel"},
+    ...spendingFilters,
+    limit: pageQuery.limit,
+    offset: {type: "integer", minimum: 0, default: 0, description: "Quantidade de resultados a pular (paginação)"}
+});
+
+const spendingFields = {
+    userId: {...id, description: "ID do usuário ao qual o gasto pertence (deve ser o do usuário logado)"},
+    name: {type: "string", maxLength: 255, description: "Nome para identificar o gasto"},
+    day: {...date, description: "Dia do gasto (data ou data e hora ISO 8601)", example: "2024-09-03T12:34:56Z"},
+    value: {...money, description: "Valor do gasto, diferente de zero e com no máximo duas casas decimais", example: 12.34}
+};
+
+export const createSpendingBody = object({
+    ...spendingFields,
+    currency: {...currency, description: "Moeda do gasto (código ISO 4217). Por padrão, a moeda base do usuário"},
+    categoryId: {...id, nullable: true, description: "ID da categoria do gasto"},
+    groupId: {...id, nullable: true, description: "ID do grupo a que o gasto pertence. O usuário deve ser membro do grupo"},
+    notes: {type: "string", maxLength: 1000, nullable: true, description: "Observações, também usadas na busca"},
+    tags: {
+        type: "array",
+        items: {type: "string"},
+        description: "Etiquetas do gasto. As que ainda não existem são criadas",
+        example: ["viagem-rio", "reembolsavel"]
+    }
+}, ["day", "value"]);
+
+export const updateSpendingBody = object({
+    ...spendingFields,
+    currency: {...currency, description: "Moeda do gasto (código ISO 4217). Se omitida, mantém a atual"},
+    categoryId: {...id, nullable: true, description: "ID da categoria do gasto (null para remover a categoria)"},
+    groupId: {...id, nullable: true, description: "ID do grupo a que o gasto pertence (null para tirá-lo do grupo; se omitido, mantém o atual)"},
+    notes: {type: "string", maxLength: 1000, nullable: true, description: "Observações (null para remover; se omitido, mantém as atuais)"},
+    tags: {type: "array", items: {type: "string"}, description: "Etiquetas do gasto, substituindo as atuais (se omitido, mantém as atuais)"}
+}, ["day", "value"]);
@@ -0,0 +1,19 @@
+import { color, object, idParams } from "./common.js";
+
+const tagName = {type: "string", minLength: 1, maxLength: 60, example: "#viagem-rio"};
+
+export const tagParams = idParams({id: "ID da etiqueta"});
+
+export const createTagBody = object({
+    name: tagName,
+    color: {...color, nullable: true, example: "#FF9800"}
+}, ["name"]);
+
+export const updateTagBody = object({
+    name: {...tagName, description: "Novo nome (se omitido, mantém o atual)"},
+    color: {...color, nullable: true, description: "Nova cor (null para remover; se omitida, mantém a atual)"}
+});
+
+export const spendingTagsBody = object({
+    tags: {type: "array", items: {type: "string"}, example: ["viagem-rio", "reembolsavel"]}
+}, ["tags"]);
@@ -0,0 +1,32 @@
+import { name, currency, object } from "./common.js";
+
+const email = {type: "string", format: "email", maxLength: 255, example: "joao.silva@example.com"};
+const password = {type: "string", minLength: 1, example: "senha123"};
+const token = {type: "string", minLength: 1, description: "Token recebido por email"};
+
+export const registerBody = object({
+    name: {...name, example: "João Silva"},
+    email: email,
+    password: password,
+    baseCurrency: {...currency, description: "Moeda base do usuário, usada nos totais e relatórios (código ISO 4217, padrão BRL)"}
+}, ["name", "email", "password"]);
+
+export const loginBody = object({
+    email: {type: "string", minLength: 1, example: email.example},
+    password: password
+}, ["email", "password"]);
+
+export const verifyEmailBody = object({token}, ["token"]);
+
+export const forgotPasswordBody = object({
+    email: {type: "string", minLength: 1, example: email.example}
+}, ["email"]);
+
+export const resetPasswordBody = object({
+    token: token,
+    password: {...password, description: "Nova senha"}
+}, ["token", "password"]);
+
+export const baseCurrencyBody = object({
+    currency: {...currency, example: "USD"}
+}, ["currency"]);
@@ -0,0 +1,30 @@
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from "../services/webhooks.js";
+import { id, object, idParams, pageQuery } from "./common.js";
+
+const url = {type: "string", format: "uri", maxLength: 2048, description: "Endereço http ou https que recebe os eventos. Deve ser público: hosts que resolvem para endereços privados, de loopback ou link-local são recusados", example: "https://exemplo.com/webhooks/gastos"};
+const events = {type: "array", minItems: 1, items: {type: "string", enum: WEBHOOK_EVENTS}, example: ["spending.created", "spending.deleted"]};
+
+export const webhookParams = idParams({id: "ID do webhook"});
+
+export const deliveryParams = idParams({id: "ID do webhook", deliveryId: "ID da entrega"});
+
+export const listWebhooksQuery = object({
+    groupId: {...id, description: "Lista apenas os webhooks deste grupo"}
+});
+
+export const createWebhookBody = object({
+    url: url,
+    events: events,
+    groupId: {...id, nullable: true, description: "Grupo do webhook (se omitido, o webhook é do usuário logado)"}
+}, ["url", "events"]);
+
+export const updateWebhookBody = object({
+    url: url,
+    events: events,
+    active: {type: "boolean", description: "Ativa ou pausa o envio de eventos"}
+});
+
+export const deliveriesQuery = object({
+    ...pageQuery,
+    status: {type: "string", enum: DELIVERY_STATUSES, description: "Filtra pela situação da entrega"}
+});
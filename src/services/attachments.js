@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { putFile, deleteFile } from "./storage.js";
+
+// Tipos aceitos nos anexos e suas extensões
+export const ATTACHMENT_TYPES = {
+    "image/jpeg": [".jpg", ".jpeg"],
+    "image/png": [".png"],
+    "image/webp": [".webp"],
+    "image/gif": [".gif"],
+    "application/pdf": [".pdf"]
+};
+
+// Formatos detectados pelo sharp que correspondem aos tipos de imagem aceitos
+const IMAGE_FORMATS = {jpeg: "image/jpeg", png: "image/png", webp: "image/webp", gif: "image/gif"};
+
+const THUMBNAIL_SIZE = 256;
+export const THUMBNAIL_TYPE = "image/webp";
+
+// Extensões e tipos aceitos no envio (a conferência definitiva é feita pelo conteúdo)
+export const attachmentUploadTypes = Object.entries(ATTACHMENT_TYPES).flat(2);
+
+/**
+ * Descobre o tipo do arquivo pelo conteúdo (e não pelo nome ou pelo tipo informado pelo cliente)
+ * e gera a miniatura das imagens.
+ */
+async function inspectFile(file) {
+    if(file.buffer.subarray(0, 5).toString("latin1") == "%PDF-") {
+        return {contentType: "application/pdf", thumbnail: null};
+    }
+
+    try {
+        const image = sharp(file.buffer, {animated: false});
+        const {format} = await image.metadata();
+        if(!IMAGE_FORMATS[format]) throw Error();
+
+        const thumbnail = await image
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {fit: "inside", withoutEnlargement: true})
+            .webp()
+            .toBuffer();
+
+        return {contentType: IMAGE_FORMATS[format], thumbnail};
+    } catch {
+        throw Error(`O arquivo "${file.originalname}" não é uma imagem ou PDF válido!`);
+    }
+}
+
+export function formatAttachment(attachment) {
+    return {
+        id: attachment.id,
+        spendingId: attachment.spendingId,
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        downloadUrl: `/attachments/${attachment.id}/download`,
+        thumbnailUrl: attachment.thumbnailKey ? `/attachments/${attachment.id}/thumbnail` : null,
+        createdAt: attachment.createdAt
+    };
+}
+
+/**
+ * Remove os arquivos dos anexos do armazenamento. Os registros já foram (ou serão) apagados junto com o gasto,
+ * então uma falha aqui só deixa arquivos órfãos e não deve impedir a operação.
+ */
+export async function deleteAttachmentFiles(attachments) {
+    const keys = attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey].filter(Boolean));
+
+    for(const key of keys) {
+        try {
+            await deleteFile(key);
+        } catch (error) {
+            console.error("Erro ao remover o arquivo do anexo:", error.message);
+        }
+    }
+}
+
+// Anexos dos gastos informados, para remover os arquivos depois de apagar os gastos
+export function findSpendingsAttachments(spendingIds) {
+    return prisma.attachment.findMany({
+        where: {spendingId: {in: spendingIds}},
+        select: {spendingId: true, storageKey: true, thumbnailKey: true}
+    });
+}
+
+/**
+ * Guarda os arquivos enviados como anexos do gasto, respeitando a quantidade máxima de anexos por gasto.
+ * Se algum arquivo for recusado, nada é salvo.
+ */
+export async function saveAttachments(spendingId, files) {
+    if(!files || files.length == 0) throw Error("Envie ao menos um arquivo!");
+
+    const count = await prisma.attachment.count({where: {spendingId: spendingId}});
+    if(count + files.length > config.attachmentMaxFiles) {
+        throw Error(`O gasto pode ter no máximo ${config.attachmentMaxFiles} anexos!`);
+    }
+
+    const inspected = [];
+    for(const file of files) {
+        inspected.push({file, ...await inspectFile(file)});
+    }
+
+    const stored = [];
+    try {
+        for(const {file, contentType, thumbnail} of inspected) {
+            const key = `spendings/${spendingId}/${crypto.randomUUID()}`;
+            const attachment = {
+                spendingId: spendingId,
+                filename: file.originalname,
+                contentType: contentType,
+                size: file.size,
+                storageKey: key,
+                thumbnailKey: thumbnail ? `${key}-thumb` : null
+            };
+            stored.push(attachment);
+
+            await putFile(attachment.storageKey, file.buffer);
+            if(thumbnail) await putFile(attachment.thumbnailKey, thumbnail);
+        }
+
+        return await prisma.$transaction(stored.map(data => prisma.attachment.create({data})));
+    } catch (error) {
+        await deleteAttachmentFiles(stored);
+        throw error;
+    }
+}
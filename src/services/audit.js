@@ -0,0 +1,130 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../database/prisma.js";
+import { moneyJsonReplacer } from "./money.js";
+
+// Tipos de registro do histórico (enum AuditEntity)
+export const AUDIT_ENTITIES = ["SPENDING", "GROUP", "GROUP_MEMBER"];
+
+// Campos do gasto guardados no histórico
+export const SPENDING_AUDIT_FIELDS = ["name", "day", "value", "currency", "notes", "userId", "categoryId", "groupId", "tags"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Copia os campos do registro em um objeto JSON simples (valores como número, datas em ISO
+// e etiquetas pelo nome). Relações não carregadas no registro ficam como null
+export function snapshot(record, fields) {
+    const value = (field) => field == "tags" && Array.isArray(record.tags)
+        ? record.tags.map(tag => tag.name).sort()
+        : record[field];
+    const picked = Object.fromEntries(fields.map(field => [field, value(field) === undefined ? null : value(field)]));
+
+    return JSON.parse(JSON.stringify(picked, moneyJsonReplacer));
+}
+
+// Mantém apenas os campos que mudaram entre os dois estados
+function onlyChanges(before, after) {
+    const fields = Object.keys({...before, ...after})
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+    return {
+        before: Object.fromEntries(fields.map(field => [field, before[field] ?? null])),
+        after: Object.fromEntries(fields.map(field => [field, after[field] ?? null])),
+        changed: fields.length > 0
+    };
+}
+
+/**
+ * Registra uma alteração no histórico. Em atualizações com os dois estados, guarda só os campos alterados
+ * e não registra nada (retorna null) se nenhum campo mudou. Recebe o cliente da transação em "client"
+ * para que o registro seja gravado junto com a alteração.
+ */
+export function auditLog({entity, entityId, action, actorId = null, groupId = null, before = null, after = null}, client = prisma) {
+    if(action == "UPDATE" && before && after) {
+        const changes = onlyChanges(before, after);
+        if(!changes.changed) return null;
+
+        ({before, after} = changes);
+    }
+
+    // Campos JSON vazios são gravados como NULL no banco (o Prisma não aceita null nesses campos)
+    return client.auditLog.create({
+        data: {entity, entityId, action, actorId, groupId, before: before ?? Prisma.DbNull, after: after ?? Prisma.DbNull}
+    });
+}
+
+// Registra a criação, alteração ou remoção de um gasto. O registro fica no grupo do gasto
+// (o novo, se ele mudou de grupo), para aparecer na atividade do grupo
+export function auditSpending(actorId, action, before, after, client = prisma) {
+    const spending = after || before;
+
+    return auditLog({
+        entity: "SPENDING",
+        entityId: spending.id,
+        action: action,
+        actorId: actorId,
+        groupId: (after && after.groupId) ?? (before && before.groupId) ?? null,
+        before: before && snapshot(before, SPENDING_AUDIT_FIELDS),
+        after: after && snapshot(after, SPENDING_AUDIT_FIELDS)
+    }, client);
+}
+
+// Registra de uma vez a criação de vários gastos (importação de extratos, parcelas e recorrências)
+export function auditSpendingsCreated(actorId, spendings, client = prisma) {
+    return client.auditLog.createMany({
+        data: spendings.map(spending => ({
+            entity: "SPENDING",
+            entityId: spending.id,
+            action: "CREATE",
+            actorId: actorId,
+            groupId: spending.groupId ?? null,
+            before: Prisma.DbNull,
+            after: snapshot(spending, SPENDING_AUDIT_FIELDS)
+        }))
+    });
+}
+
+export function formatAuditEntry(entry) {
+    return {
+        id: entry.id,
+        entity: entry.entity,
+        entityId: entry.entityId,
+        action: entry.action,
+        actor: entry.actor || null,
+        groupId: entry.groupId,
+        before: entry.before,
+        after: entry.after,
+        createdAt: entry.createdAt
+    };
+}
+
+/**
+ * Busca uma página do histórico filtrado por "where", do registro mais recente para o mais antigo,
+ * com paginação por cursor (cursor, limit) como na listagem de gastos.
+ */
+export async function findAuditPage(where, query) {
+    const limit = query.limit ? Number(query.limit) : DEFAULT_LIMIT;
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw Error(`O limite deve ser entre 1 e ${MAX_LIMIT}!`);
+
+    const cursor = query.cursor ? Number(query.cursor) : null;
+    if(cursor != null && !Number.isInteger(cursor)) throw Error("Cursor inválido!");
+
+    const entries = await prisma.auditLog.findMany({
+        where: where,
+        orderBy: {id: "desc"},
+        take: limit + 1,
+        ...(cursor != null && {cursor: {id: cursor}, skip: 1}),
+        include: {actor: {select: {id: true, name: true}}}
+    });
+
+    const hasMore = entries.length > limit;
+    if(hasMore) entries.pop();
+
+    return {
+        data: entries.map(formatAuditEntry),
+        meta: {
+            limit: limit,
+            nextCursor: hasMore ? entries[entries.length - 1].id : null
+        }
+    };
+}
@@ -0,0 +1,159 @@
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { findCategoryTreeIds, findGroupCategoryTreeIds } from "./categories.js";
+import { toCents, fromCents } from "./money.js";
+import { findBaseCurrency, createConverter } from "./currencies.js";
+import { sumSpendingsInCurrency } from "./spendings.js";
+
+export const BUDGET_PERIODS = ["WEEKLY", "MONTHLY", "YEARLY"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Retorna o início (inclusivo) e o fim (exclusivo) do período que contém a data, em UTC.
+// As semanas começam na segunda-feira.
+export function periodRange(period, date) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    switch(period) {
+        case "WEEKLY": {
+            const today = Date.UTC(year, month, date.getUTCDate());
+            const weekday = (date.getUTCDay() + 6) % 7;
+            const start = new Date(today - weekday * DAY);
+
+            return {start, end: new Date(start.getTime() + 7 * DAY)};
+        }
+        case "MONTHLY":
+            return {start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1))};
+        case "YEARLY":
+            return {start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1))};
+        default:
+            throw Error("Período de orçamento inválido!");
+    }
+}
+
+// Monta o filtro de gastos considerados pelo orçamento (dono e categoria, sem o período), fora da lixeira
+async function budgetSpendingFilter(budget) {
+    const where = budget.groupId
+        ? {groupId: budget.groupId, deletedAt: null}
+        : {userId: budget.userId, deletedAt: null};
+
+    if(budget.categoryId) {
+        if(budget.groupId) {
+            where.categoryId = {in: await findGroupCategoryTreeIds(budget.groupId, budget.categoryId)};
+        } else {
+            where.categoryId = {in: await findCategoryTreeIds(budget.userId, budget.categoryId)};
+        }
+    }
+
+    return where;
+}
+
+// O limite do orçamento está na moeda base do dono (grupo ou usuário), então os gastos são convertidos para ela
+async function sumSpendings(where, currency) {
+    const {total} = await sumSpendingsInCurrency(where, currency);
+
+    return total;
+}
+
+const budgetCurrency = (budget) => findBaseCurrency({userId: budget.userId, groupId: budget.groupId});
+
+/**
+ * Calcula a situação do orçamento no período que contém "date": valor gasto, restante,
+ * porcentagem usada e projeção de gasto até o fim do período (mantido o ritmo atual).
+ */
+export async function computeBudgetStatus(budget, date = new Date()) {
+    const {start, end} = periodRange(budget.period, date);
+    const where = await budgetSpendingFilter(budget);
+    const currency = await budgetCurrency(budget);
+    const spent = await sumSpendings({...where, day: {gte: start, lt: end}}, currency);
+
+    const now = Date.now();
+    const elapsed = Math.min(Math.max(now - start.getTime(), 0), end - start);
+    const projected = elapsed == 0
+        ? spent
+        : spent * (end - start) / Math.max(elapsed, DAY);
+
+    const spentCents = toCents(spent);
+    const limitCents = toCents(budget.limit);
+
+    return {
+        budgetId: budget.id,
+        name: budget.name,
+        period: budget.period,
+        categoryId: budget.categoryId,
+        groupId: budget.groupId,
+        start: start,
+        end: end,
+        limit: budget.limit,
+        currency: currency,
+        spent: fromCents(spentCents),
+        remaining: fromCents(limitCents - spentCents),
+        percentage: limitCents > 0 ? Math.round(spentCents * 10000 / limitCents) / 100 : null,
+        projected: fromCents(toCents(projected)),
+        overspent: spentCents > limitCents
+    };
+}
+
+// Orçamentos do usuário e dos grupos de que ele participa
+export async function findUserBudgets(userId) {
+    return prisma.budget.findMany({
+        where: {
+            OR: [
+                {userId: userId},
+                {group: {members: {some: {userId: userId}}}}
+            ]
+        }
+    });
+}
+
+/**
+ * Verifica se o gasto recém cadastrado fez algum orçamento ultrapassar um dos limites de aviso
+ * configurados (BUDGET_WARNING_THRESHOLDS). Retorna um aviso por orçamento, com o maior limite ultrapassado.
+ */
+export async function findBudgetWarnings(spending) {
+    const budgets = await findUserBudgets(spending.userId);
+    const warnings = [];
+
+    for(const budget of budgets) {
+        // Os orçamentos de grupo só consideram os gastos marcados com o grupo
+        if(budget.groupId && budget.groupId != spending.groupId) continue;
+
+        const {start, end} = periodRange(budget.period, spending.day);
+        if(spending.day < start || spending.day >= end) continue;
+
+        const where = await budgetSpendingFilter(budget);
+        if(where.categoryId && !where.categoryId.in.includes(spending.categoryId)) continue;
+
+        const currency = await budgetCurrency(budget);
+        const spentCents = toCents(await sumSpendings({...where, day: {gte: start, lt: end}}, currency));
+        const limitCents = toCents(budget.limit);
+        if(limitCents <= 0) continue;
+
+        const convert = await createConverter(currency, [spending.currency]);
+        const value = convert(spending.value, spending.currency, spending.day) || 0;
+
+        const after = spentCents * 100 / limitCents;
+        const before = (spentCents - toCents(value)) * 100 / limitCents;
+        const crossed = config.budgetWarningThresholds.filter(threshold => before < threshold && after >= threshold);
+
+        if(crossed.length > 0) {
+            const threshold = crossed[crossed.length - 1];
+
+            warnings.push({
+                budgetId: budget.id,
+                name: budget.name,
+                threshold: threshold,
+                limit: budget.limit,
+                currency: currency,
+                spent: fromCents(spentCents),
+                percentage: Math.round(after * 100) / 100,
+                message: threshold >= 100
+                    ? `Orçamento ${budget.name || budget.id} estourado!`
+                    : `Orçamento ${budget.name || budget.id} atingiu ${threshold}% do limite!`
+            });
+        }
+    }
+
+    return warnings;
+}
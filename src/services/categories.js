@@ -0,0 +1,50 @@
+import prisma from "../database/prisma.js";
+
+// Busca uma categoria garantindo que ela pertence ao usuário informado
+export async function findUserCategory(userId, categoryId) {
+    const category = await prisma.category.findUnique({where: {id: categoryId}});
+
+    if(category == null || category.userId != userId) return null;
+
+    return category;
+}
+
+// Retorna o ID da categoria e de todas as suas subcategorias (em qualquer nível)
+export async function findCategoryTreeIds(userId, categoryId) {
+    const categories = await prisma.category.findMany({
+        where: {userId: userId},
+        select: {id: true, parentId: true}
+    });
+
+    const ids = [categoryId];
+    for(let i = 0; i < ids.length; i++) {
+        categories
+            .filter(category => category.parentId == ids[i])
+            .forEach(category => ids.push(category.id));
+    }
+
+    return ids;
+}
+
+// No grupo cada membro tem suas categorias, então vale a categoria de mesmo nome de cada membro
+// (e as subcategorias de cada uma)
+export async function findGroupCategoryTreeIds(groupId, categoryId) {
+    const category = await prisma.category.findUnique({where: {id: categoryId}});
+    if(category == null) return [];
+
+    const categories = await prisma.category.findMany({
+        where: {name: category.name, user: {memberships: {some: {groupId: groupId}}}},
+        select: {id: true, userId: true}
+    });
+
+    const trees = await Promise.all(categories.map(c => findCategoryTreeIds(c.userId, c.id)));
+
+    return trees.flat();
+}
+
+// Verifica se definir "parentId" como pai de "categoryId" criaria um ciclo
+export async function createsCategoryCycle(userId, categoryId, parentId) {
+    const treeIds = await findCategoryTreeIds(userId, categoryId);
+
+    return treeIds.includes(parentId);
+}
@@ -0,0 +1,67 @@
+// Detecta o separador pela primeira linha: ";" é o padrão das planilhas e bancos brasileiros
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const candidates = [";", ",", "\t"];
+
+    return candidates
+        .map(delimiter => ({delimiter, count: firstLine.split(delimiter).length}))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Converte um texto CSV em uma lista de linhas (listas de campos).
+ * Suporta campos entre aspas com separadores, quebras de linha e aspas escapadas ("").
+ * Linhas em branco são ignoradas.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for(let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if(quoted) {
+            if(char == '"' && text[i + 1] == '"') {
+                field += '"';
+                i++;
+            } else if(char == '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if(char == '"') {
+            quoted = true;
+        } else if(char == delimiter) {
+            row.push(field);
+            field = "";
+        } else if(char == "\n" || char == "\r") {
+            if(char == "\r" && text[i + 1] == "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() != ""));
+}
+
+// Monta uma linha CSV, colocando entre aspas os campos com separador, aspas ou quebra de linha
+export function toCsvLine(fields, delimiter = ",") {
+    return fields
+        .map(field => {
+            const value = field == null ? "" : String(field);
+
+            return /["\r\n]/.test(value) || value.includes(delimiter)
+                ? `"${value.replace(/"/g, '""')}"`
+                : value;
+        })
+        .join(delimiter) + "\r\n";
+}
@@ -0,0 +1,91 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../database/prisma.js";
+
+export const DEFAULT_CURRENCY = "BRL";
+
+// Valida um código de moeda ISO 4217 (ex.: "usd" -> "USD"). Sem valor, usa "fallback" quando informado.
+export function parseCurrency(value, fallback) {
+    if(value == null || value === "") {
+        if(fallback) return fallback;
+        throw Error("Moeda é obrigatória!");
+    }
+
+    const currency = String(value).trim().toUpperCase();
+    if(!/^[A-Z]{3}$/.test(currency)) throw Error("Moeda inválida! Use o código ISO 4217, por exemplo BRL, USD ou EUR.");
+
+    return currency;
+}
+
+// Moeda base do grupo, se informado, ou do usuário
+export async function findBaseCurrency({userId, groupId}) {
+    const owner = groupId
+        ? await prisma.group.findUnique({where: {id: groupId}, select: {baseCurrency: true}})
+        : await prisma.user.findUnique({where: {id: userId}, select: {baseCurrency: true}});
+
+    return owner ? owner.baseCurrency : DEFAULT_CURRENCY;
+}
+
+/**
+ * Expressão SQL com o valor do gasto (tabela com alias "s") convertido para "base", usando a cotação
+ * do dia do gasto ou, se não houver, a mais recente anterior a ele. A cotação direta (moeda -> base)
+ * tem preferência sobre a inversa (base -> moeda). O valor convertido é arredondado em centavos,
+ * e sem nenhuma cotação o resultado é NULL.
+ */
+export function convertedValueSql(base) {
+    return Prisma.sql`(CASE WHEN s."currency" = ${base} THEN s."value" ELSE ROUND(s."value" * COALESCE(
+        (SELECT r."rate"::numeric FROM "ExchangeRate" r
+            WHERE r."currency" = s."currency" AND r."base" = ${base} AND r."day" <= s."day"
+            ORDER BY r."day" DESC LIMIT 1),
+        (SELECT 1 / r."rate"::numeric FROM "ExchangeRate" r
+            WHERE r."currency" = ${base} AND r."base" = s."currency" AND r."day" <= s."day"
+            ORDER BY r."day" DESC LIMIT 1)
+    ), 2) END)`;
+}
+
+// Última cotação da lista (ordenada por dia) com dia igual ou anterior a "day"
+function rateOn(rates, day) {
+    let found = null;
+    for(const rate of rates) {
+        if(rate.day > day) break;
+        found = rate;
+    }
+
+    return found;
+}
+
+/**
+ * Carrega de uma vez as cotações necessárias para converter valores das moedas "currencies" para "base"
+ * e retorna uma função convert(value, currency, day), que devolve o valor convertido ou null se faltar cotação.
+ * Segue as mesmas regras de convertedValueSql.
+ */
+export async function createConverter(base, currencies) {
+    const others = [...new Set(currencies)].filter(currency => currency != base);
+
+    const rates = others.length == 0 ? [] : await prisma.exchangeRate.findMany({
+        where: {
+            OR: [
+                {currency: {in: others}, base: base},
+                {currency: base, base: {in: others}}
+            ]
+        },
+        orderBy: {day: "asc"}
+    });
+
+    const direct = (currency) => rates.filter(rate => rate.currency == currency && rate.base == base);
+    const inverse = (currency) => rates.filter(rate => rate.currency == base && rate.base == currency);
+    const byCurrency = new Map(others.map(currency => [currency, {direct: direct(currency), inverse: inverse(currency)}]));
+
+    return (value, currency, day) => {
+        if(currency == base) return value;
+
+        const pairs = byCurrency.get(currency) || {direct: [], inverse: []};
+
+        const rate = rateOn(pairs.direct, day);
+        if(rate) return new Prisma.Decimal(value).times(rate.rate).toDecimalPlaces(2);
+
+        const inverseRate = rateOn(pairs.inverse, day);
+        if(inverseRate) return new Prisma.Decimal(value).dividedBy(inverseRate.rate).toDecimalPlaces(2);
+
+        return null;
+    };
+}
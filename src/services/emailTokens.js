@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { sendMail } from "./mailer.js";
+import { revokeUserSessions } from "./sessions.js";
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Gera um token de uso único para o usuário. Só o hash é guardado no banco e os tokens
+ * do mesmo tipo ainda não usados são invalidados, então apenas o último link enviado funciona.
+ */
+async function createEmailToken(userId, type, expiresInMs) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await prisma.$transaction([
+        prisma.emailToken.updateMany({
+            where: {userId: userId, type: type, usedAt: null},
+            data: {usedAt: new Date()}
+        }),
+        prisma.emailToken.create({
+            data: {
+                userId: userId,
+                type: type,
+                tokenHash: hashToken(token),
+                expiresAt: new Date(Date.now() + expiresInMs)
+            }
+        })
+    ]);
+
+    return token;
+}
+
+// Marca o token como usado e retorna o registro, ou null se ele for inválido, já usado ou expirado
+async function consumeEmailToken(token, type) {
+    const emailToken = await prisma.emailToken.findUnique({where: {tokenHash: hashToken(token)}});
+    if(emailToken == null || emailToken.type != type || emailToken.usedAt != null) return null;
+    if(emailToken.expiresAt <= new Date()) return null;
+
+    // A condição em usedAt evita que duas requisições simultâneas usem o mesmo token
+    const result = await prisma.emailToken.updateMany({
+        where: {id: emailToken.id, usedAt: null},
+        data: {usedAt: new Date()}
+    });
+
+    return result.count == 1 ? emailToken : null;
+}
+
+export async function sendVerificationEmail(user) {
+    const token = await createEmailToken(user.id, "VERIFY_EMAIL", config.emailVerificationExpiresInHours * HOUR);
+
+    await sendMail({
+        to: user.email,
+        subject: "Confirme seu email",
+        text: `Olá, ${user.name}!\n\n`
+            + `Para confirmar seu email, acesse o link abaixo:\n${config.appUrl}/verify-email?token=${token}\n\n`
+            + `O link vale por ${config.emailVerificationExpiresInHours} horas.\n`
+            + "Se você não criou uma conta, ignore este email."
+    });
+}
+
+export async function sendPasswordResetEmail(user) {
+    const token = await createEmailToken(user.id, "RESET_PASSWORD", config.passwordResetExpiresInMinutes * MINUTE);
+
+    await sendMail({
+        to: user.email,
+        subject: "Redefinição de senha",
+        text: `Olá, ${user.name}!\n\n`
+            + `Recebemos um pedido para redefinir sua senha. Para criar uma nova, acesse o link abaixo:\n`
+            + `${config.appUrl}/reset-password?token=${token}\n\n`
+            + `O link vale por ${config.passwordResetExpiresInMinutes} minutos e só pode ser usado uma vez.\n`
+            + "Se você não pediu a redefinição, ignore este email. Sua senha continua a mesma."
+    });
+}
+
+// Confirma o email do dono do token. Retorna false se o token não for válido.
+export async function verifyEmail(token) {
+    const emailToken = await consumeEmailToken(token, "VERIFY_EMAIL");
+    if(emailToken == null) return false;
+
+    await prisma.user.update({
+        where: {id: emailToken.userId},
+        data: {emailVerifiedAt: new Date()}
+    });
+
+    return true;
+}
+
+/**
+ * Troca a senha do dono do token e encerra todas as sessões dele.
+ * Retorna false se o token não for válido.
+ */
+export async function resetPassword(token, password) {
+    const emailToken = await consumeEmailToken(token, "RESET_PASSWORD");
+    if(emailToken == null) return false;
+
+    let salt = bcrypt.genSaltSync(10);
+    let hash = bcrypt.hashSync(password, salt);
+
+    await prisma.user.update({
+        where: {id: emailToken.userId},
+        data: {password: hash}
+    });
+    await revokeUserSessions(emailToken.userId);
+
+    return true;
+}
@@ -0,0 +1,86 @@
+import prisma from "../database/prisma.js";
+import { parseCsv } from "./csv.js";
+import { parseAmount, parseDay } from "./statementImport.js";
+import { parseCurrency } from "./currencies.js";
+
+// Nomes de coluna reconhecidos no CSV de cotações
+const COLUMN_ALIASES = {
+    day: ["day", "date", "data", "dia"],
+    currency: ["currency", "moeda"],
+    base: ["base", "moeda base"],
+    rate: ["rate", "cotação", "cotacao", "taxa", "valor"]
+};
+
+// As cotações valem para o dia inteiro, então a data é guardada sem horário (meia-noite em UTC)
+export function toRateDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Valida uma cotação ({day, currency, base, rate}); "base" pode vir de "defaultBase"
+export function validateRate(data, defaultBase) {
+    const day = data.day instanceof Date ? data.day : parseDay(data.day);
+    if(day == null) throw Error("Data inválida!");
+
+    const currency = parseCurrency(data.currency);
+    const base = parseCurrency(data.base, defaultBase);
+    if(currency == base) throw Error("A moeda e a moeda base devem ser diferentes!");
+
+    const rate = typeof data.rate == "number" ? data.rate : parseAmount(data.rate);
+    if(isNaN(rate) || rate <= 0) throw Error("Cotação inválida!");
+
+    return {day: toRateDay(day), currency, base, rate};
+}
+
+function rowsFromCsv(text) {
+    const [header, ...lines] = parseCsv(text);
+    if(header == null) return [];
+
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES)
+        .map(([field, aliases]) => [field, names.findIndex(name => aliases.includes(name))]));
+
+    if(columns.day < 0 || columns.currency < 0 || columns.rate < 0) {
+        throw Error("O arquivo deve ter as colunas day, currency e rate (e opcionalmente base)!");
+    }
+
+    return lines.map(line => Object.fromEntries(Object.entries(columns)
+        .filter(([, index]) => index >= 0)
+        .map(([field, index]) => [field, line[index]])));
+}
+
+/**
+ * Lê um arquivo de cotações em CSV (com cabeçalho) ou JSON (lista de objetos), com os campos
+ * day, currency, rate e opcionalmente base. Retorna cada linha validada ou com a mensagem de erro.
+ */
+export function readRatesFile(buffer, filename, defaultBase) {
+    const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+    let rows;
+    if(filename.toLowerCase().endsWith(".json")) {
+        try {
+            rows = JSON.parse(text);
+        } catch (error) {
+            throw Error("JSON inválido!");
+        }
+        if(!Array.isArray(rows)) throw Error("O JSON deve ser uma lista de cotações!");
+    } else {
+        rows = rowsFromCsv(text);
+    }
+
+    return rows.map((row, index) => {
+        try {
+            return {row: index + 1, ...validateRate(row || {}, defaultBase), error: null};
+        } catch (error) {
+            return {row: index + 1, error: error.message};
+        }
+    });
+}
+
+// Grava as cotações, substituindo a de mesmo dia e par de moedas se já existir
+export async function saveRates(rates, source) {
+    return prisma.$transaction(rates.map(({day, currency, base, rate}) => prisma.exchangeRate.upsert({
+        where: {currency_base_day: {currency, base, day}},
+        create: {day, currency, base, rate, source},
+        update: {rate, source}
+    })));
+}
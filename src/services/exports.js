@@ -0,0 +1,189 @@
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import prisma from "../database/prisma.js";
+import { toCsvLine } from "./csv.js";
+import { toCents, fromCents, moneyJsonReplacer } from "./money.js";
+
+export const EXPORT_FORMATS = ["csv", "excel", "json", "html"];
+
+const BATCH_SIZE = 500;
+
+const formatters = new Map();
+const formatMoney = (value, currency) => {
+    if(!formatters.has(currency)) formatters.set(currency, new Intl.NumberFormat("pt-BR", {style: "currency", currency}));
+
+    return formatters.get(currency).format(value);
+};
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+const brDay = (date) => isoDay(date).split("-").reverse().join("/");
+
+function escapeHtml(value) {
+    return String(value == null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Textos que a planilha interpretaria como fórmula (começando com =, +, -, @, tabulação ou CR)
+// recebem um apóstrofo na frente para serem exibidos como texto
+function escapeFormula(value) {
+    return typeof value == "string" && /^[=+\-@\t\r]/.test(value) ? "'" + value : value;
+}
+
+/**
+ * Percorre os gastos do filtro em lotes, ordenados por dia, sem carregar todos em memória.
+ * Usa paginação por cursor (ID do último gasto do lote anterior).
+ */
+export async function* streamSpendings(where, batchSize = BATCH_SIZE) {
+    let cursor = null;
+
+    while(true) {
+        const batch = await prisma.spending.findMany({
+            where: where,
+            orderBy: [{day: "asc"}, {id: "asc"}],
+            take: batchSize,
+            ...(cursor != null && {cursor: {id: cursor}, skip: 1}),
+            include: {
+                category: {select: {name: true}},
+                user: {select: {name: true}}
+            }
+        });
+
+        yield* batch;
+
+        if(batch.length < batchSize) return;
+        cursor = batch[batch.length - 1].id;
+    }
+}
+
+// Formatos de saída: cabeçalho, uma linha por gasto e rodapé com o total
+const writers = {
+    csv: {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        start: ({includeMember}) => toCsvLine(["id", "day", "name", "value", "currency", "category", ...(includeMember ? ["member"] : [])]),
+        row: (spending, {includeMember}) => toCsvLine([
+            spending.id,
+            isoDay(spending.day),
+            escapeFormula(spending.name),
+            spending.value,
+            spending.currency,
+            escapeFormula(spending.category?.name),
+            ...(includeMember ? [escapeFormula(spending.user.name)] : [])
+        ]),
+        end: () => ""
+    },
+    // CSV no formato que o Excel em português abre direto: BOM, ";" e vírgula decimal
+    excel: {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        start: ({includeMember}) => "\uFEFF" + toCsvLine(["ID", "Data", "Descrição", "Valor", "Moeda", "Categoria", ...(includeMember ? ["Membro"] : [])], ";"),
+        row: (spending, {includeMember}) => toCsvLine([
+            spending.id,
+            brDay(spending.day),
+            escapeFormula(spending.name),
+            spending.value.toFixed(2).replace(".", ","),
+            spending.currency,
+            escapeFormula(spending.category?.name),
+            ...(includeMember ? [escapeFormula(spending.user.name)] : [])
+        ], ";"),
+        end: () => ""
+    },
+    json: {
+        contentType: "application/json; charset=utf-8",
+        extension: "json",
+        start: () => "[",
+        row: (spending, {includeMember}, index) => (index > 0 ? "," : "") + JSON.stringify({
+            id: spending.id,
+            day: spending.day,
+            name: spending.name,
+            value: spending.value,
+            currency: spending.currency,
+            categoryId: spending.categoryId,
+            category: spending.category?.name || null,
+            userId: spending.userId,
+            ...(includeMember && {member: spending.user.name})
+        }, moneyJsonReplacer),
+        end: () => "]"
+    },
+    html: {
+        contentType: "text/html; charset=utf-8",
+        extension: "html",
+        start: ({title, subtitle, includeMember}) => `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; margin: 2em; color: #222; }
+    h1 { font-size: 1.4em; margin-bottom: 0; }
+    p.subtitle { color: #666; margin-top: 0.3em; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    td.value, th.value { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; border-top: 2px solid #222; }
+    tr { page-break-inside: avoid; }
+    @media print { body { margin: 0; } thead { display: table-header-group; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="subtitle">${escapeHtml(subtitle)}</p>
+<table>
+<thead><tr><th>Data</th><th>Descrição</th><th>Categoria</th>${includeMember ? "<th>Membro</th>" : ""}<th class="value">Valor</th></tr></thead>
+<tbody>
+`,
+        row: (spending, {includeMember}) => `<tr><td>${brDay(spending.day)}</td><td>${escapeHtml(spending.name)}</td>`
+            + `<td>${escapeHtml(spending.category?.name)}</td>${includeMember ? `<td>${escapeHtml(spending.user.name)}</td>` : ""}`
+            + `<td class="value">${formatMoney(spending.value, spending.currency)}</td></tr>\n`,
+        // Um total por moeda, já que valores em moedas diferentes não podem ser somados diretamente
+        end: ({includeMember}, {totals}) => `</tbody>
+<tfoot>${[...totals].map(([currency, {count, cents}]) => `<tr><td colspan="${includeMember ? 4 : 3}">Total em ${currency} (${count} ${count == 1 ? "gasto" : "gastos"})</td><td class="value">${formatMoney(fromCents(cents), currency)}</td></tr>`).join("")}</tfoot>
+</table>
+<p class="subtitle">Gerado em ${brDay(new Date())}</p>
+</body>
+</html>
+`
+    }
+};
+
+// Partes do arquivo exportado, geradas à medida que os gastos são lidos do banco
+async function* exportChunks(writer, where, options) {
+    yield writer.start(options);
+
+    let count = 0;
+    const totals = new Map();
+    for await (const spending of streamSpendings(where)) {
+        yield writer.row(spending, options, count);
+        count++;
+        const total = totals.get(spending.currency) || {count: 0, cents: 0};
+        totals.set(spending.currency, {count: total.count + 1, cents: total.cents + toCents(spending.value)});
+    }
+
+    yield writer.end(options, {count, totals});
+}
+
+/**
+ * Escreve os gastos do filtro na resposta, no formato pedido, à medida que são lidos do banco.
+ * "options" aceita title e subtitle (usados no HTML), filename e includeMember (coluna com o nome do membro).
+ * Se o cliente desconectar, o pipeline encerra o gerador e a leitura dos gastos para.
+ */
+export async function writeSpendingsExport(res, format, where, options) {
+    const writer = writers[format];
+    if(!writer) throw Error("Formato de exportação inválido!");
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", writer.contentType);
+    if(format != "html") {
+        res.setHeader("Content-Disposition", `attachment; filename="${options.filename}.${writer.extension}"`);
+    }
+
+    try {
+        await pipeline(Readable.from(exportChunks(writer, where, options)), res);
+    } catch (error) {
+        if(error.code != "ERR_STREAM_PREMATURE_CLOSE") throw error;
+    }
+}
@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { isGroupMember } from "./groups.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Validade máxima que pode ser pedida para um convite (30 dias)
+export const MAX_EXPIRES_IN_HOURS = 30 * 24;
+
+const hashCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+
+export const inviteLink = (code) => `${config.appUrl}/group/join?code=${code}`;
+
+// Dados do convite que podem ser mostrados (sem o hash do código)
+export function formatInvite(invite) {
+    return {
+        id: invite.id,
+        groupId: invite.groupId,
+        createdById: invite.createdById,
+        maxUses: invite.maxUses,
+        uses: invite.uses,
+        expiresAt: invite.expiresAt,
+        revokedAt: invite.revokedAt,
+        createdAt: invite.createdAt,
+        active: isInviteActive(invite)
+    };
+}
+
+export function isInviteActive(invite) {
+    return invite.revokedAt == null
+        && invite.expiresAt > new Date()
+        && (invite.maxUses == null || invite.uses < invite.maxUses);
+}
+
+/**
+ * Cria um convite para o grupo, válido por "expiresInHours" (padrão em GROUP_INVITE_EXPIRES_IN_HOURS)
+ * e por até "maxUses" entradas (sem limite se omitido). O código só é retornado aqui.
+ */
+export async function createGroupInvite(groupId, createdById, {expiresInHours, maxUses} = {}) {
+    const hours = expiresInHours == null ? config.groupInviteExpiresInHours : Number(expiresInHours);
+    if(isNaN(hours) || hours <= 0 || hours > MAX_EXPIRES_IN_HOURS) throw Error(`A validade do convite deve ser de até ${MAX_EXPIRES_IN_HOURS} horas!`);
+    if(maxUses != null && (!Number.isInteger(maxUses) || maxUses < 1)) throw Error("Quantidade máxima de usos inválida!");
+
+    const code = crypto.randomBytes(12).toString("base64url");
+
+    const invite = await prisma.groupInvite.create({
+        data: {
+            groupId: groupId,
+            createdById: createdById,
+            codeHash: hashCode(code),
+            maxUses: maxUses == null ? null : maxUses,
+            expiresAt: new Date(Date.now() + hours * HOUR)
+        }
+    });
+
+    return {invite, code, link: inviteLink(code)};
+}
+
+/**
+ * Registra um uso do convite por "userId" e o retorna, ou null se o código for inválido, revogado, expirado
+ * ou já esgotado. Se o usuário já for membro do grupo, o convite é retornado sem contar um uso.
+ */
+export async function useGroupInvite(code, userId) {
+    const invite = await prisma.groupInvite.findUnique({where: {codeHash: hashCode(String(code))}});
+    if(invite == null || !isInviteActive(invite)) return null;
+    if(await isGroupMember(userId, invite.groupId)) return invite;
+
+    // As condições no update evitam que entradas simultâneas passem do limite de usos
+    const result = await prisma.groupInvite.updateMany({
+        where: {
+            id: invite.id,
+            revokedAt: null,
+            expiresAt: {gt: new Date()},
+            OR: [{maxUses: null}, {uses: {lt: prisma.groupInvite.fields.maxUses}}]
+        },
+        data: {uses: {increment: 1}}
+    });
+
+    return result.count == 1 ? invite : null;
+}
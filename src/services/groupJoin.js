@@ -0,0 +1,48 @@
+import bcrypt from "bcryptjs";
+import prisma from "../database/prisma.js";
+import { addGroupMember } from "./groups.js";
+import { useGroupInvite } from "./groupInvites.js";
+import { groupJoinKeys, lockoutRemaining, registerFailure, registerSuccess } from "./loginAttempts.js";
+import { BadRequestError, ForbiddenError, NotFoundError, TooManyRequestsError, fieldError } from "../errors.js";
+
+/**
+ * Entrada do usuário em um grupo, pelo código do convite ou pelo ID e senha do grupo. Usada pela
+ * rota REST e pela API GraphQL, com o mesmo bloqueio após tentativas erradas (loginAttempts.js).
+ * Retorna o ID do grupo.
+ */
+export async function joinGroup(req, userId, {groupId, password, code}) {
+    if(!code) {
+        if(!groupId) throw fieldError("groupId", "Informe o grupo ou o código do convite!");
+        if(!password) throw fieldError("password", "Senha é obrigatória!");
+    }
+
+    // Com convite, as tentativas erradas são contadas juntas, já que o grupo só é conhecido pelo código
+    const attemptKeys = groupJoinKeys(req, userId, code ? "invite" : groupId);
+    const retryAfter = await lockoutRemaining(attemptKeys);
+    if(retryAfter > 0) {
+        throw new TooManyRequestsError("Muitas tentativas de entrar no grupo! Tente novamente mais tarde.", retryAfter);
+    }
+
+    if(code) {
+        const invite = await useGroupInvite(code, userId);
+        if(invite == null) {
+            await registerFailure(attemptKeys);
+            throw new BadRequestError("Convite inválido ou expirado!");
+        }
+        groupId = invite.groupId;
+    } else {
+        const group = await prisma.group.findUnique({where: {id: groupId}});
+        if(group == null) throw new NotFoundError("Grupo não encontrado!");
+
+        let isCorrectPassword = bcrypt.compareSync(password, group.password)
+        if(!isCorrectPassword) {
+            await registerFailure(attemptKeys);
+            throw new ForbiddenError("Senha incorreta!");
+        }
+    }
+
+    await registerSuccess(attemptKeys);
+    await addGroupMember(userId, groupId);
+
+    return groupId;
+}
@@ -0,0 +1,93 @@
+import prisma from "../database/prisma.js";
+import { formatAuditEntry } from "./audit.js";
+
+/**
+ * Transmissão em tempo real da atividade dos grupos (Server-Sent Events). Os eventos são os registros
+ * do histórico do grupo e o ID de cada evento é o ID do registro, por isso o cliente que reconecta com
+ * o último ID recebido (Last-Event-ID) recebe tudo o que aconteceu enquanto esteve desconectado.
+ *
+ * Depois de gravar uma alteração, quem a fez avisa os grupos afetados com notifyGroupActivity e as
+ * conexões abertas buscam os registros novos. Os avisos só chegam às conexões do mesmo processo; as
+ * demais recebem os registros na próxima verificação periódica (GROUP_STREAM_HEARTBEAT_SECONDS).
+ */
+
+// Registros enviados por consulta ao banco, ao alcançar os registros novos
+const BATCH_SIZE = 100;
+
+// Conexões abertas por grupo: groupId => Set de {notify, close}
+const connections = new Map();
+
+// Nome do evento enviado para cada tipo de registro do histórico
+const EVENT_NAMES = {
+    SPENDING: {CREATE: "spending.created", UPDATE: "spending.updated", DELETE: "spending.deleted", RESTORE: "spending.restored"},
+    GROUP: {CREATE: "group.created", UPDATE: "group.updated", DELETE: "group.deleted"},
+    GROUP_MEMBER: {CREATE: "group.member_joined", UPDATE: "group.member_updated", DELETE: "group.member_left"}
+};
+
+export function streamEventName(entry) {
+    return EVENT_NAMES[entry.entity]?.[entry.action] || "activity";
+}
+
+// A conexão do usuário termina quando ele sai (ou é removido) do grupo ou quando o grupo é excluído
+export function endsStream(entry, userId) {
+    return (entry.entity == "GROUP" && entry.action == "DELETE")
+        || (entry.entity == "GROUP_MEMBER" && entry.action == "DELETE" && entry.entityId == userId);
+}
+
+// Formata um registro do histórico no formato de evento do SSE
+export function formatStreamEvent(entry) {
+    return `id: ${entry.id}\nevent: ${streamEventName(entry)}\ndata: ${JSON.stringify(formatAuditEntry(entry))}\n\n`;
+}
+
+// ID do registro mais recente do grupo, de onde começa uma conexão sem Last-Event-ID
+export async function findLastActivityId(groupId) {
+    const last = await prisma.auditLog.findFirst({
+        where: {groupId: groupId},
+        orderBy: {id: "desc"},
+        select: {id: true}
+    });
+
+    return last ? last.id : 0;
+}
+
+// Registros do grupo posteriores a "afterId", do mais antigo para o mais recente
+export async function findActivitySince(groupId, afterId, limit = BATCH_SIZE) {
+    return prisma.auditLog.findMany({
+        where: {groupId: groupId, id: {gt: afterId}},
+        orderBy: {id: "asc"},
+        take: limit,
+        include: {actor: {select: {id: true, name: true}}}
+    });
+}
+
+/**
+ * Registra uma conexão aberta no grupo: "notify" é chamada a cada aviso de atividade e "close" ao
+ * encerrar o servidor. Retorna a função que cancela o registro.
+ */
+export function subscribeGroupActivity(groupId, connection) {
+    if(!connections.has(groupId)) connections.set(groupId, new Set());
+    connections.get(groupId).add(connection);
+
+    return () => {
+        const groupConnections = connections.get(groupId);
+        if(!groupConnections) return;
+
+        groupConnections.delete(connection);
+        if(groupConnections.size == 0) connections.delete(groupId);
+    };
+}
+
+// Avisa as conexões abertas dos grupos informados (valores nulos e repetidos são ignorados)
+export function notifyGroupActivity(...groupIds) {
+    for(const groupId of new Set(groupIds.filter(groupId => groupId != null))) {
+        for(const connection of connections.get(groupId) || []) connection.notify();
+    }
+}
+
+// Encerra todas as conexões abertas, para que o servidor possa ser finalizado
+export function closeGroupStreams() {
+    for(const groupConnections of [...connections.values()]) {
+        for(const connection of [...groupConnections]) connection.close();
+    }
+    connections.clear();
+}
@@ -0,0 +1,211 @@
+import bcrypt from "bcryptjs";
+import prisma from "../database/prisma.js";
+import { auditLog } from "./audit.js";
+import { emitWebhookEvent } from "./webhooks.js";
+import { notifyGroupActivity } from "./groupStream.js";
+import { DEFAULT_CURRENCY, parseCurrency } from "./currencies.js";
+import { ConflictError } from "../errors.js";
+
+export const GROUP_ROLES = ["OWNER", "ADMIN", "MEMBER"];
+
+// Retorna os membros do grupo (id, nome, email e os dados da participação: papel, apelido e data de entrada)
+export async function findGroupMembers(groupId) {
+    const memberships = await prisma.groupMember.findMany({
+        where: {groupId: groupId},
+        select: {
+            role: true,
+            nickname: true,
+            joinedAt: true,
+            user: {select: {id: true, name: true, email: true}}
+        },
+        orderBy: {joinedAt: "asc"}
+    });
+
+    return memberships.map(({user, ...membership}) => ({...user, ...membership}));
+}
+
+export async function groupExists(groupId) {
+    const group = await prisma.group.findUnique({where: {id: groupId}, select: {id: true}});
+
+    return group != null;
+}
+
+export async function findMembership(userId, groupId) {
+    return prisma.groupMember.findUnique({
+        where: {groupId_userId: {groupId: groupId, userId: userId}}
+    });
+}
+
+export async function isGroupMember(userId, groupId) {
+    return (await findMembership(userId, groupId)) != null;
+}
+
+// Papel do usuário no grupo, ou null se ele não for membro
+export async function findGroupRole(userId, groupId) {
+    const membership = await findMembership(userId, groupId);
+
+    return membership ? membership.role : null;
+}
+
+// O dono e os administradores podem gerenciar o grupo
+export async function isGroupAdmin(userId, groupId) {
+    const role = await findGroupRole(userId, groupId);
+
+    return role == "OWNER" || role == "ADMIN";
+}
+
+// IDs dos grupos de que os dois usuários participam
+export async function findSharedGroupIds(userId, otherUserId) {
+    const memberships = await prisma.groupMember.findMany({
+        where: {userId: {in: [userId, otherUserId]}},
+        select: {userId: true, groupId: true}
+    });
+
+    const groupsOf = (id) => memberships.filter(membership => membership.userId == id).map(membership => membership.groupId);
+    const otherGroups = groupsOf(otherUserId);
+
+    return groupsOf(userId).filter(groupId => otherGroups.includes(groupId));
+}
+
+// Verifica se os dois usuários participam de algum grupo em comum
+export async function shareGroup(userId, otherUserId) {
+    return (await findSharedGroupIds(userId, otherUserId)).length > 0;
+}
+
+// O dono só sai do grupo depois de transferi-lo ou excluí-lo
+export async function assertCanLeaveGroup(userId, groupId) {
+    if(await findGroupRole(userId, groupId) == "OWNER") {
+        throw new ConflictError("O dono não pode sair do grupo! Transfira a propriedade ou exclua o grupo.");
+    }
+}
+
+// Coloca o usuário no grupo. Quem já é membro mantém o papel atual
+export async function addGroupMember(userId, groupId, role = "MEMBER") {
+    let joined = false;
+    const membership = await prisma.$transaction(async (tx) => {
+        const membership = await tx.groupMember.findUnique({
+            where: {groupId_userId: {groupId: groupId, userId: userId}}
+        });
+        if(membership != null) return membership;
+
+        const created = await tx.groupMember.create({data: {groupId: groupId, userId: userId, role: role}});
+        await auditLog({
+            entity: "GROUP_MEMBER", entityId: userId, action: "CREATE", actorId: userId, groupId: groupId,
+            after: {role: role}
+        }, tx);
+
+        joined = true;
+        return created;
+    });
+
+    if(joined) {
+        await emitWebhookEvent("group.member_joined", {groupIds: [groupId]}, {groupId, userId, role});
+        notifyGroupActivity(groupId);
+    }
+
+    return membership;
+}
+
+// Tira o usuário do grupo (por conta própria ou removido por "actorId"). Os gastos que ele marcou
+// com o grupo deixam de ser do grupo
+export async function removeGroupMember(userId, groupId, actorId = userId) {
+    await assertCanLeaveGroup(userId, groupId);
+
+    const membership = await findMembership(userId, groupId);
+    if(membership == null) return;
+
+    await prisma.$transaction([
+        prisma.spending.updateMany({where: {userId: userId, groupId: groupId}, data: {groupId: null}}),
+        prisma.groupMember.delete({where: {groupId_userId: {groupId: groupId, userId: userId}}}),
+        auditLog({
+            entity: "GROUP_MEMBER", entityId: userId, action: "DELETE", actorId: actorId, groupId: groupId,
+            before: {role: membership.role, nickname: membership.nickname}
+        })
+    ]);
+
+    await emitWebhookEvent("group.member_left", {groupIds: [groupId]}, {groupId, userId, removedBy: actorId});
+    notifyGroupActivity(groupId);
+}
+
+// Passa a propriedade do grupo para outro membro; o dono anterior vira administrador
+export async function transferGroupOwnership(groupId, fromUserId, toUserId) {
+    const newOwner = await findMembership(toUserId, groupId);
+
+    await prisma.$transaction([
+        prisma.groupMember.update({where: {groupId_userId: {groupId: groupId, userId: fromUserId}}, data: {role: "ADMIN"}}),
+        prisma.groupMember.update({where: {groupId_userId: {groupId: groupId, userId: toUserId}}, data: {role: "OWNER"}}),
+        auditLog({
+            entity: "GROUP_MEMBER", entityId: fromUserId, action: "UPDATE", actorId: fromUserId, groupId: groupId,
+            before: {role: "OWNER"}, after: {role: "ADMIN"}
+        }),
+        auditLog({
+            entity: "GROUP_MEMBER", entityId: toUserId, action: "UPDATE", actorId: fromUserId, groupId: groupId,
+            before: {role: newOwner.role}, after: {role: "OWNER"}
+        })
+    ]);
+    notifyGroupActivity(groupId);
+}
+
+// Cria o grupo (createGroupBody) com "actorId" como dono
+export async function createGroup(actorId, data) {
+    const baseCurrency = parseCurrency(data.baseCurrency, DEFAULT_CURRENCY);
+
+    const existGroup = await prisma.group.findUnique({where: {name: data.name}});
+    if(existGroup != null) throw new ConflictError("Já existe um grupo com esse nome!");
+
+    const hash = bcrypt.hashSync(data.password, bcrypt.genSaltSync(10));
+    const group = await prisma.group.create({
+        data: {
+            name: data.name,
+            password: hash,
+            baseCurrency: baseCurrency
+        }
+    });
+
+    await auditLog({
+        entity: "GROUP", entityId: group.id, action: "CREATE", actorId: actorId, groupId: group.id,
+        after: {name: group.name, baseCurrency: group.baseCurrency}
+    });
+    await addGroupMember(actorId, group.id, "OWNER");
+
+    return group;
+}
+
+// Renomeia o grupo, registrando no histórico e avisando os webhooks quando o nome muda
+export async function renameGroup(actorId, groupId, name) {
+    const existGroup = await prisma.group.findUnique({where: {name: name}});
+    if(existGroup != null && existGroup.id != groupId) throw new ConflictError("Já existe um grupo com esse nome!");
+
+    const group = await prisma.group.findUnique({where: {id: groupId}});
+    if(group.name == name) return group;
+
+    const [updated] = await prisma.$transaction([
+        prisma.group.update({where: {id: groupId}, data: {name: name}}),
+        auditLog({
+            entity: "GROUP", entityId: groupId, action: "UPDATE", actorId: actorId, groupId: groupId,
+            before: {name: group.name}, after: {name: name}
+        })
+    ]);
+    await emitWebhookEvent("group.updated", {groupIds: [groupId]}, {
+        group: {id: groupId, name: name, baseCurrency: group.baseCurrency},
+        previous: {name: group.name}
+    });
+    notifyGroupActivity(groupId);
+
+    return updated;
+}
+
+// Exclui o grupo com as participações, despesas, acertos, orçamentos e convites.
+// Os gastos marcados com o grupo continuam com os donos, sem grupo. O histórico do grupo é mantido
+export async function deleteGroup(groupId, actorId) {
+    const group = await prisma.group.findUnique({where: {id: groupId}});
+
+    await prisma.$transaction([
+        prisma.group.delete({where: {id: groupId}}),
+        auditLog({
+            entity: "GROUP", entityId: groupId, action: "DELETE", actorId: actorId, groupId: groupId,
+            before: {name: group.name, baseCurrency: group.baseCurrency}
+        })
+    ]);
+    notifyGroupActivity(groupId);
+}
@@ -0,0 +1,26 @@
+import { toCents, fromCents } from "./money.js";
+import { nthOccurrence } from "./recurrence.js";
+
+// Quantidade máxima de parcelas de uma compra (10 anos de parcelas mensais)
+export const MAX_INSTALLMENTS = 120;
+
+/**
+ * Divide o valor total de uma compra parcelada em "count" parcelas mensais.
+ * Todas as parcelas têm o mesmo valor arredondado para baixo em centavos e a
+ * diferença do arredondamento fica na última parcela (ex.: 100,00 em 3x = 33,33 + 33,33 + 33,34).
+ *
+ * Retorna [{number, day, value}], com a primeira parcela em "firstDay" e as demais no mesmo
+ * dia dos meses seguintes (ou no último dia, nos meses mais curtos).
+ */
+export function computeInstallments(total, count, firstDay) {
+    const totalCents = toCents(total);
+    const installmentCents = Math.floor(totalCents / count);
+
+    return Array.from({length: count}, (_, index) => ({
+        number: index + 1,
+        day: nthOccurrence({frequency: "MONTHLY", startDate: firstDay}, index),
+        value: fromCents(index == count - 1
+            ? totalCents - installmentCents * (count - 1)
+            : installmentCents)
+    }));
+}
@@ -0,0 +1,58 @@
+import config from "../config.js";
+import store from "./rateLimitStore.js";
+
+/**
+ * Proteção contra tentativas de adivinhar senhas. As falhas são contadas por chave (ex.: IP e conta);
+ * ao atingir o máximo a chave fica bloqueada, e cada novo bloqueio dura o dobro do anterior, até o máximo configurado.
+ */
+
+const FAILURE_WINDOW = 15 * 60 * 1000;
+const LOCKOUT_LEVEL_WINDOW = 24 * 60 * 60 * 1000;
+
+// Retorna quantos segundos faltam para liberar a chave bloqueada há mais tempo, ou 0 se nenhuma estiver bloqueada
+export async function lockoutRemaining(keys) {
+    const locks = await Promise.all(keys.map(({key}) => store.get(`lock:${key}`)));
+
+    return locks.reduce((remaining, lock) => {
+        if(lock == null) return remaining;
+
+        return Math.max(remaining, (lock.resetAt.getTime() - Date.now()) / 1000);
+    }, 0);
+}
+
+// Registra uma falha em cada chave ("max" é o número de falhas seguidas que gera o bloqueio)
+export async function registerFailure(keys) {
+    for(const {key, max} of keys) {
+        const failures = await store.increment(`fail:${key}`, FAILURE_WINDOW);
+        if(failures.count < max) continue;
+
+        const level = await store.increment(`level:${key}`, LOCKOUT_LEVEL_WINDOW);
+        const seconds = Math.min(config.loginLockoutSeconds * 2 ** (level.count - 1), config.loginLockoutMaxSeconds);
+
+        await store.set(`lock:${key}`, 1, new Date(Date.now() + seconds * 1000));
+        await store.reset(`fail:${key}`);
+    }
+}
+
+// Após acertar a senha, as falhas acumuladas na conta deixam de contar. As do IP continuam,
+// senão bastaria entrar numa conta própria de vez em quando para seguir tentando as outras
+export async function registerSuccess(keys) {
+    for(const {key} of keys.filter(key => key.resetOnSuccess)) {
+        await store.reset(`fail:${key}`);
+        await store.reset(`level:${key}`);
+    }
+}
+
+export function loginKeys(req, email) {
+    return [
+        {key: `login:ip:${req.ip}`, max: config.loginMaxAttemptsPerIp},
+        {key: `login:account:${String(email).toLowerCase()}`, max: config.loginMaxAttempts, resetOnSuccess: true}
+    ];
+}
+
+export function groupJoinKeys(req, userId, groupId) {
+    return [
+        {key: `group-join:ip:${req.ip}`, max: config.loginMaxAttemptsPerIp},
+        {key: `group-join:user:${userId}:${groupId}`, max: config.loginMaxAttempts, resetOnSuccess: true}
+    ];
+}
@@ -0,0 +1,72 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import config from "../config.js";
+
+/**
+ * Envio de emails. O transporte é qualquer objeto com um método assíncrono send(message);
+ * os transportes locais permitem usar a API sem um servidor SMTP. Para usar outro (SMTP, serviço externo),
+ * basta registrá-lo com setMailTransport na inicialização.
+ */
+
+// Mensagens enviadas pelo transporte "memory" (útil em desenvolvimento e testes)
+export const outbox = [];
+
+// Cabeçalhos com acentos precisam ser codificados (RFC 2047)
+const encodeHeader = (value) => /^[\x20-\x7E]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+function toEml(message) {
+    const headers = [
+        `Message-ID: <${message.id}@spendingapi.local>`,
+        `Date: ${message.date.toUTCString()}`,
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${encodeHeader(message.subject)}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit"
+    ];
+
+    return headers.join("\r\n") + "\r\n\r\n" + message.text.replace(/\r?\n/g, "\r\n") + "\r\n";
+}
+
+export const transports = {
+    memory: {
+        async send(message) {
+            outbox.push(message);
+        }
+    },
+    // Grava cada email em um arquivo .eml, que pode ser aberto em qualquer cliente de email
+    disk: {
+        async send(message) {
+            await fs.mkdir(config.mailOutboxDir, {recursive: true});
+
+            const filename = `${message.date.toISOString().replace(/[:.]/g, "-")}-${message.id}.eml`;
+            await fs.writeFile(path.join(config.mailOutboxDir, filename), toEml(message), "utf8");
+        }
+    }
+};
+
+let transport = transports[config.mailTransport];
+if(!transport) throw Error(`Transporte de email desconhecido: ${config.mailTransport}`);
+
+export function setMailTransport(newTransport) {
+    transport = newTransport;
+}
+
+export async function sendMail({to, subject, text}) {
+    const message = {
+        id: crypto.randomUUID(),
+        date: new Date(),
+        from: config.mailFrom,
+        to,
+        subject,
+        text
+    };
+
+    await transport.send(message);
+
+    return message;
+}
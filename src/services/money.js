@@ -0,0 +1,56 @@
+import { Prisma } from "@prisma/client";
+
+// Os valores são guardados como DECIMAL(14, 2) no banco, então chegam exatos como Prisma.Decimal.
+// Os cálculos são feitos em centavos inteiros para não acumular erros de arredondamento.
+export function toCents(value) {
+    return Math.round(Number(value) * 100);
+}
+
+export function fromCents(cents) {
+    return cents / 100;
+}
+
+// Maior valor que cabe em DECIMAL(14, 2)
+const MAX_MONEY = new Prisma.Decimal("999999999999.99");
+
+/**
+ * Lê um valor em dinheiro informado pelo cliente: número (12.34) ou texto ("12.34" ou "12,34"),
+ * com no máximo duas casas decimais. Retorna um Prisma.Decimal, ou null se o valor não foi informado.
+ */
+export function parseMoney(value, message = "Valor inválido!") {
+    if(value == null || value === "") return null;
+    if(typeof value != "number" && typeof value != "string") throw Error(message);
+
+    const text = String(value).trim().replace(",", ".");
+    if(!/^-?\d+(\.\d+)?$/.test(text)) throw Error(message);
+    if(/\.\d{3,}$/.test(text)) throw Error("O valor deve ter no máximo duas casas decimais!");
+
+    const money = new Prisma.Decimal(text);
+    if(money.abs().greaterThan(MAX_MONEY)) throw Error("Valor muito alto!");
+
+    return money;
+}
+
+// Usado ao gerar JSON: os valores Decimal viram números (com as mesmas casas decimais) em vez de texto
+export function moneyJsonReplacer(key, value) {
+    return Prisma.Decimal.isDecimal(this[key]) ? this[key].toNumber() : value;
+}
+
+// Distribui "totalCents" proporcionalmente aos pesos informados, entregando os centavos
+// que sobram do arredondamento para quem teve a maior parte fracionária descartada.
+export function allocateCents(totalCents, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const exact = weights.map(weight => totalCents * weight / totalWeight);
+    const allocated = exact.map(value => Math.floor(value));
+
+    let remainder = totalCents - allocated.reduce((sum, value) => sum + value, 0);
+    const order = exact
+        .map((value, index) => ({index, fraction: value - Math.floor(value)}))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+    for(let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+        allocated[order[i].index]++;
+    }
+
+    return allocated;
+}
@@ -0,0 +1,47 @@
+// Lê o valor de uma tag OFX. Funciona tanto no OFX 1.x (SGML, sem tag de fechamento)
+// quanto no OFX 2.x (XML).
+function readTag(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+
+    return match ? match[1].trim() : null;
+}
+
+// Converte as datas do OFX (AAAAMMDD[HHMMSS[.XXX]][[-3:BRT]]) para Date em UTC
+export function parseOfxDate(value) {
+    const match = value && value.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/);
+    if(!match) return null;
+
+    const [, year, month, day, hour = "12", minute = "00", second = "00"] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Extrai as transações (<STMTTRN>) de um extrato OFX.
+ * Retorna [{type, day, amount, fitId, name, memo}], com "amount" como está no TRNAMT (negativo para
+ * débitos), para ser convertido com as mesmas regras dos valores do CSV.
+ */
+export function parseOfx(text) {
+    if(!/<OFX>/i.test(text)) throw Error("Arquivo OFX inválido!");
+
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+    return blocks.map(block => ({
+        type: readTag(block, "TRNTYPE"),
+        day: parseOfxDate(readTag(block, "DTPOSTED")),
+        amount: readTag(block, "TRNAMT"),
+        fitId: readTag(block, "FITID"),
+        name: readTag(block, "NAME"),
+        memo: readTag(block, "MEMO")
+    }));
+}
+
+// O cabeçalho do OFX 1.x informa a codificação; bancos brasileiros costumam usar CHARSET:1252
+export function ofxEncoding(buffer) {
+    const header = buffer.subarray(0, 512).toString("latin1");
+
+    return /CHARSET:\s*(1252|ISO-8859-1)/i.test(header) || /encoding="(windows-1252|iso-8859-1)"/i.test(header)
+        ? "latin1"
+        : "utf8";
+}
@@ -0,0 +1,131 @@
+/**
+ * Completa a documentação dos comentários @swagger com os esquemas usados na validação das rotas
+ * (middleware/validate.js): parâmetros de caminho e de consulta, corpo da requisição e respostas de erro.
+ * Assim a documentação descreve exatamente o que a API aceita.
+ */
+
+const FIELD_ERROR_SCHEMA = {
+    type: "object",
+    properties: {
+        location: {type: "string", enum: ["params", "query", "body"], description: "Parte da requisição com o campo"},
+        field: {type: "string", example: "value"},
+        message: {type: "string", example: "é obrigatório"}
+    }
+};
+
+// Formato das respostas de erro (middleware/errorHandler.js)
+export const ERROR_SCHEMAS = {
+    Error: {
+        type: "object",
+        properties: {
+            error: {type: "string", description: "Mensagem do erro", example: "Gasto não encontrado!"},
+            code: {
+                type: "string",
+                description: "Código do erro",
+                example: "NOT_FOUND",
+                enum: [
+                    "BAD_REQUEST", "INVALID_JSON", "UNAUTHORIZED", "INVALID_TOKEN", "SESSION_ENDED", "FORBIDDEN",
+                    "NOT_FOUND", "CONFLICT", "PAYLOAD_TOO_LARGE", "VALIDATION_ERROR", "TOO_MANY_REQUESTS", "INTERNAL_ERROR"
+                ]
+            }
+        }
+    },
+    ValidationError: {
+        type: "object",
+        properties: {
+            error: {type: "string", example: "Dados inválidos!"},
+            code: {type: "string", example: "VALIDATION_ERROR"},
+            fields: {type: "array", items: FIELD_ERROR_SCHEMA}
+        }
+    }
+};
+
+const errorContent = (schema) => ({"application/json": {schema: {$ref: `#/components/schemas/${schema}`}}});
+
+// "/spending/:id" => "/spending/{id}"
+function openApiPath(path) {
+    return path.replace(/:(\w+)/g, "{$1}");
+}
+
+// Rotas dos routers montados no app que passam pelo middleware validate, com os esquemas de cada uma
+function validatedRoutes(app) {
+    const routes = [];
+    for(const layer of app._router.stack) {
+        for(const routeLayer of layer.handle.stack || []) {
+            const route = routeLayer.route;
+            if(!route || typeof route.path != "string") continue;
+
+            const validator = route.stack.find(handler => handler.handle.schemas);
+            if(!validator) continue;
+
+            for(const method of Object.keys(route.methods).filter(method => method != "_all")) {
+                routes.push({method, path: openApiPath(route.path), schemas: validator.handle.schemas});
+            }
+        }
+    }
+
+    return routes;
+}
+
+// Parâmetros de caminho ou de consulta gerados do esquema, mantendo os demais já documentados
+function mergeParameters(current = [], location, schema) {
+    const place = location == "params" ? "path" : "query";
+    const generated = Object.entries(schema.properties || {}).map(([name, {description, ...property}]) => {
+        const documented = current.find(parameter => parameter.in == place && parameter.name == name);
+
+        return {
+            in: place,
+            name: name,
+            required: place == "path" || (schema.required || []).includes(name),
+            schema: property,
+            ...((description || documented?.description) && {description: description || documented.description})
+        };
+    });
+
+    const names = generated.map(parameter => parameter.name);
+
+    return [...current.filter(parameter => parameter.in != place || !names.includes(parameter.name)), ...generated];
+}
+
+// Corpo da requisição gerado do esquema. Em rotas com upload, os campos se somam aos do formulário documentado
+function requestBody(current, schema) {
+    const form = current?.content?.["multipart/form-data"]?.schema;
+    if(form) {
+        form.properties = {...form.properties, ...schema.properties};
+        return current;
+    }
+
+    return {
+        required: (schema.required || []).length > 0,
+        content: {"application/json": {schema}}
+    };
+}
+
+export function addValidationDocs(docs, app) {
+    docs.components = docs.components || {};
+    docs.components.schemas = {...docs.components.schemas, ...ERROR_SCHEMAS};
+
+    for(const {method, path, schemas} of validatedRoutes(app)) {
+        const operation = docs.paths?.[path]?.[method];
+        if(!operation) continue;
+
+        for(const location of ["params", "query"]) {
+            if(schemas[location]) operation.parameters = mergeParameters(operation.parameters, location, schemas[location]);
+        }
+        if(schemas.body) operation.requestBody = requestBody(operation.requestBody, schemas.body);
+
+        operation.responses = operation.responses || {};
+        operation.responses[422] = {description: "Dados inválidos", content: errorContent("ValidationError")};
+    }
+
+    // Respostas de erro documentadas sem corpo recebem o formato padrão
+    for(const operations of Object.values(docs.paths || {})) {
+        for(const operation of Object.values(operations)) {
+            for(const [status, response] of Object.entries(operation.responses || {})) {
+                if(status >= 400 && !response.content) response.content = errorContent("Error");
+            }
+        }
+    }
+
+    return docs;
+}
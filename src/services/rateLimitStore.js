@@ -0,0 +1,103 @@
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+
+/**
+ * Armazenamento dos contadores usados pelos limites de requisições e pelo bloqueio de login.
+ * Cada chave guarda uma contagem e o instante em que ela expira. Um store implementa:
+ *   increment(key, windowMs) -> {count, resetAt}  soma 1 (ou recomeça do 1 se a chave expirou)
+ *   get(key)                 -> {count, resetAt} ou null se não existir ou tiver expirado
+ *   set(key, count, resetAt)
+ *   reset(key)
+ */
+
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+
+export function createMemoryStore() {
+    const entries = new Map();
+
+    // Remove de tempos em tempos as chaves expiradas, sem impedir o encerramento do processo
+    setInterval(() => {
+        const now = Date.now();
+        for(const [key, entry] of entries) {
+            if(entry.resetAt.getTime() <= now) entries.delete(key);
+        }
+    }, CLEANUP_INTERVAL).unref();
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if(entry == null || entry.resetAt.getTime() <= Date.now()) return null;
+
+        return {...entry};
+    };
+
+    return {
+        async increment(key, windowMs) {
+            const entry = get(key) || {count: 0, resetAt: new Date(Date.now() + windowMs)};
+            entry.count++;
+            entries.set(key, entry);
+
+            return {...entry};
+        },
+        async get(key) {
+            return get(key);
+        },
+        async set(key, count, resetAt) {
+            entries.set(key, {count, resetAt});
+        },
+        async reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+// Guarda os contadores na tabela RateLimit, mantendo-os entre reinícios e entre instâncias da API
+export function createDatabaseStore() {
+    setInterval(() => {
+        prisma.rateLimit.deleteMany({where: {resetAt: {lte: new Date()}}})
+            .catch(error => console.error("Erro ao limpar os limites de requisições:", error.message));
+    }, CLEANUP_INTERVAL).unref();
+
+    return {
+        // Em uma única instrução, para que requisições simultâneas não percam incrementos
+        async increment(key, windowMs) {
+            const now = new Date();
+            const resetAt = new Date(now.getTime() + windowMs);
+
+            const [entry] = await prisma.$queryRaw`
+                INSERT INTO "RateLimit" ("key", "count", "resetAt") VALUES (${key}, 1, ${resetAt})
+                ON CONFLICT ("key") DO UPDATE SET
+                    "count" = CASE WHEN "RateLimit"."resetAt" <= ${now} THEN 1 ELSE "RateLimit"."count" + 1 END,
+                    "resetAt" = CASE WHEN "RateLimit"."resetAt" <= ${now} THEN EXCLUDED."resetAt" ELSE "RateLimit"."resetAt" END
+                RETURNING "count", "resetAt"`;
+
+            return {count: Number(entry.count), resetAt: entry.resetAt};
+        },
+        async get(key) {
+            const entry = await prisma.rateLimit.findUnique({where: {key: key}});
+            if(entry == null || entry.resetAt <= new Date()) return null;
+
+            return {count: entry.count, resetAt: entry.resetAt};
+        },
+        async set(key, count, resetAt) {
+            await prisma.rateLimit.upsert({
+                where: {key: key},
+                create: {key, count, resetAt},
+                update: {count, resetAt}
+            });
+        },
+        async reset(key) {
+            await prisma.rateLimit.deleteMany({where: {key: key}});
+        }
+    };
+}
+
+const stores = {
+    memory: createMemoryStore,
+    database: createDatabaseStore
+};
+
+if(!stores[config.rateLimitStore]) throw Error(`Armazenamento de limites desconhecido: ${config.rateLimitStore}`);
+
+const store = stores[config.rateLimitStore]();
+
+export default store;
@@ -0,0 +1,84 @@
+export const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Data da n-ésima ocorrência (começando em 0) de uma recorrência, em UTC.
+// Nos meses mais curtos, o dia do mês é ajustado para o último dia (ex.: dia 31 vira 30 ou 28/29).
+export function nthOccurrence(recurring, n) {
+    const start = new Date(recurring.startDate);
+    const interval = recurring.interval || 1;
+    const time = start.getTime() % DAY;
+
+    switch(recurring.frequency) {
+        case "DAILY":
+            return new Date(start.getTime() + n * interval * DAY);
+        case "WEEKLY":
+            return new Date(start.getTime() + n * interval * 7 * DAY);
+        case "MONTHLY": {
+            const months = start.getUTCMonth() + n * interval;
+            const year = start.getUTCFullYear() + Math.floor(months / 12);
+            const month = months % 12;
+            const day = Math.min(recurring.dayOfMonth || start.getUTCDate(), daysInMonth(year, month));
+
+            return new Date(Date.UTC(year, month, day) + time);
+        }
+        case "YEARLY": {
+            const year = start.getUTCFullYear() + n * interval;
+            const month = start.getUTCMonth();
+            const day = Math.min(start.getUTCDate(), daysInMonth(year, month));
+
+            return new Date(Date.UTC(year, month, day) + time);
+        }
+        default:
+            throw Error("Frequência inválida!");
+    }
+}
+
+// Índice de uma ocorrência igual ou anterior à primeira a partir de "date", para não percorrer
+// as ocorrências desde o início da recorrência. Nos meses e anos, volta uma ocorrência por causa do ajuste de dia
+function firstIndexFrom(recurring, date) {
+    const start = new Date(recurring.startDate);
+    const interval = recurring.interval || 1;
+    if(date <= start) return 0;
+
+    switch(recurring.frequency) {
+        case "DAILY":
+            return Math.floor((date - start) / (interval * DAY));
+        case "WEEKLY":
+            return Math.floor((date - start) / (interval * 7 * DAY));
+        case "MONTHLY": {
+            const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+            return Math.max(0, Math.floor(months / interval) - 1);
+        }
+        case "YEARLY":
+            return Math.max(0, Math.floor((date.getUTCFullYear() - start.getUTCFullYear()) / interval) - 1);
+        default:
+            throw Error("Frequência inválida!");
+    }
+}
+
+/**
+ * Lista as ocorrências da recorrência entre "from" e "to" (inclusivos), respeitando a data de término.
+ * "limit" limita a quantidade de ocorrências retornadas.
+ */
+export function occurrencesBetween(recurring, from, to, limit = Infinity) {
+    const start = new Date(recurring.startDate) > from ? new Date(recurring.startDate) : from;
+    const end = recurring.endDate && new Date(recurring.endDate) < to ? new Date(recurring.endDate) : to;
+    const occurrences = [];
+
+    for(let n = firstIndexFrom(recurring, start); occurrences.length < limit; n++) {
+        const date = nthOccurrence(recurring, n);
+        if(date > end) break;
+        if(date >= start) occurrences.push(date);
+    }
+
+    return occurrences;
+}
+
+export function sameDay(a, b) {
+    return a.toISOString().slice(0, 10) == b.toISOString().slice(0, 10);
+}
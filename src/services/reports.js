@@ -0,0 +1,177 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../database/prisma.js";
+import { periodRange } from "./budgets.js";
+import { findGroupMembers } from "./groups.js";
+import { toCents, fromCents } from "./money.js";
+import { DEFAULT_CURRENCY, convertedValueSql } from "./currencies.js";
+
+export const REPORT_UNITS = ["day", "week", "month", "year"];
+
+const round = (value) => fromCents(toCents(value || 0));
+
+/**
+ * Define quais gastos entram no relatório: os do usuário ou, se "groupId" for informado,
+ * os marcados com o grupo, a partir de "from" e antes de "to" (exclusivo, ver periodEnd), sem os que estão na lixeira.
+ * Os valores são convertidos para "currency" pela cotação do dia de cada gasto.
+ *
+ * Retorna a moeda e a condição em SQL ("sql") usada nas consultas (tabela de gastos com alias "s").
+ */
+export function reportScope({userId, groupId, from, to, currency = DEFAULT_CURRENCY}) {
+    const conditions = [
+        groupId ? Prisma.sql`s."groupId" = ${groupId}` : Prisma.sql`s."userId" = ${userId}`,
+        Prisma.sql`s."deletedAt" IS NULL`
+    ];
+
+    if(from) conditions.push(Prisma.sql`s."day" >= ${from}`);
+    if(to) conditions.push(Prisma.sql`s."day" < ${to}`);
+
+    return {currency, sql: Prisma.join(conditions, " AND ")};
+}
+
+/**
+ * Total, média, quantidade, menor e maior gasto do escopo na moeda do relatório, agrupados pela expressão "key".
+ * Gastos sem cotação para a moeda não entram nos valores, mas são contados em "missingRates".
+ */
+async function aggregateSpendings(scope, key = Prisma.sql`NULL`) {
+    return prisma.$queryRaw`
+        SELECT t."key",
+               SUM(t."value") AS "total",
+               AVG(t."value") AS "average",
+               COUNT(*)::int AS "count",
+               MIN(t."value") AS "min",
+               MAX(t."value") AS "max",
+               (COUNT(*) - COUNT(t."value"))::int AS "missingRates"
+        FROM (
+            SELECT ${key} AS "key", ${convertedValueSql(scope.currency)} AS "value"
+            FROM "Spending" s
+            WHERE ${scope.sql}
+        ) t
+        GROUP BY t."key"
+        ORDER BY t."key"
+    `;
+}
+
+const EMPTY_AGGREGATE = {total: 0, average: 0, count: 0, min: null, max: null, missingRates: 0};
+
+function formatAggregate(row) {
+    return {
+        total: round(row.total),
+        average: round(row.average),
+        count: row.count,
+        min: row.min == null ? null : round(row.min),
+        max: row.max == null ? null : round(row.max),
+        missingRates: row.missingRates
+    };
+}
+
+// Total, média, quantidade, menor e maior gasto do escopo
+export async function summaryReport(scope) {
+    const [row] = await aggregateSpendings(scope);
+
+    return row ? formatAggregate(row) : {...EMPTY_AGGREGATE};
+}
+
+// Totais agrupados por dia, semana (começando na segunda-feira), mês ou ano
+export async function periodReport(scope, unit) {
+    if(!REPORT_UNITS.includes(unit)) throw Error("Agrupamento inválido!");
+
+    const rows = await aggregateSpendings(scope, Prisma.sql`date_trunc(${Prisma.raw(`'${unit}'`)}, s."day")`);
+
+    return rows.map(row => ({
+        period: row.key,
+        total: round(row.total),
+        average: round(row.average),
+        count: row.count,
+        missingRates: row.missingRates
+    }));
+}
+
+// Totais agrupados por categoria (gastos sem categoria aparecem com "categoryId" nulo)
+export async function categoryReport(scope) {
+    const groups = await aggregateSpendings(scope, Prisma.sql`s."categoryId"`);
+
+    const categories = await prisma.category.findMany({
+        where: {id: {in: groups.map(group => group.key).filter(id => id != null)}},
+        select: {id: true, name: true, color: true, icon: true, parentId: true, userId: true}
+    });
+
+    return groups
+        .map(group => ({
+            categoryId: group.key,
+            category: categories.find(category => category.id == group.key) || null,
+            ...formatAggregate(group)
+        }))
+        .sort((a, b) => b.total - a.total);
+}
+
+// Total dos gastos de cada membro marcados com o grupo, na moeda base do grupo (Map userId => {total, missingRates})
+export async function groupMemberTotals(group) {
+    const rows = await aggregateSpendings(reportScope({groupId: group.id, currency: group.baseCurrency}), Prisma.sql`s."userId"`);
+
+    return new Map(rows.map(row => [row.key, {total: round(row.total), missingRates: row.missingRates}]));
+}
+
+// Totais agrupados por membro do grupo
+export async function memberReport(scope, groupId) {
+    const groups = await aggregateSpendings(scope, Prisma.sql`s."userId"`);
+
+    const members = await findGroupMembers(groupId);
+
+    return members
+        .map(member => {
+            const group = groups.find(group => group.key == member.id);
+
+            return {
+                userId: member.id,
+                name: member.name,
+                nickname: member.nickname,
+                email: member.email,
+                ...(group ? formatAggregate(group) : EMPTY_AGGREGATE)
+            };
+        })
+        .sort((a, b) => b.total - a.total);
+}
+
+function percentageChange(current, previous) {
+    if(previous == 0) return null;
+
+    return Math.round((current - previous) * 10000 / previous) / 100;
+}
+
+/**
+ * Compara o período (semana, mês ou ano) que contém "date" com o período anterior
+ * e com o mesmo período do ano anterior.
+ */
+export async function comparisonReport(scopeParams, period, date) {
+    const current = periodRange(period, date);
+    const previous = periodRange(period, new Date(current.start.getTime() - 1));
+
+    const lastYearDate = new Date(date);
+    lastYearDate.setUTCFullYear(date.getUTCFullYear() - 1);
+    const lastYear = periodRange(period, lastYearDate);
+
+    const totalOf = async (range) => ({
+        start: range.start,
+        end: range.end,
+        ...(await summaryReport(reportScope({...scopeParams, from: range.start, to: range.end})))
+    });
+
+    const currentReport = await totalOf(current);
+    const previousReport = await totalOf(previous);
+    const lastYearReport = await totalOf(lastYear);
+
+    return {
+        period: period,
+        current: currentReport,
+        previous: {
+            ...previousReport,
+            difference: fromCents(toCents(currentReport.total) - toCents(previousReport.total)),
+            percentageChange: percentageChange(currentReport.total, previousReport.total)
+        },
+        lastYear: {
+            ...lastYearReport,
+            difference: fromCents(toCents(currentReport.total) - toCents(lastYearReport.total)),
+            percentageChange: percentageChange(currentReport.total, lastYearReport.total)
+        }
+    };
+}
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { UnauthorizedError } from "../errors.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Cada segredo é identificado no cabeçalho do token (kid) por um trecho do seu hash,
+// assim a verificação sabe qual segredo usar sem expor o valor
+const keyId = (secret) => crypto.createHash("sha256").update(secret).digest("hex").slice(0, 16);
+
+const signingKey = {kid: keyId(config.jwtSecret), secret: config.jwtSecret};
+const verificationKeys = new Map(
+    [config.jwtSecret, ...config.jwtPreviousSecrets].map(secret => [keyId(secret), secret])
+);
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export function signAccessToken(user, sessionId) {
+    return jwt.sign({id: user.id, email: user.email, sid: sessionId}, signingKey.secret, {
+        expiresIn: config.accessTokenExpiresIn,
+        keyid: signingKey.kid
+    });
+}
+
+// Retorna os dados do token de acesso ou lança erro se ele for inválido ou expirado
+export function verifyAccessToken(token) {
+    const decoded = jwt.decode(token, {complete: true});
+    const secret = decoded && verificationKeys.get(decoded.header.kid);
+    if(!secret) throw Error("Token inválido!");
+
+    return jwt.verify(token, secret);
+}
+
+function newRefreshToken() {
+    const token = crypto.randomBytes(48).toString("base64url");
+
+    return {token, tokenHash: hashToken(token)};
+}
+
+function clientInfo(req) {
+    return {
+        userAgent: req.headers["user-agent"] || null,
+        ip: req.ip || null
+    };
+}
+
+function issueTokens(user, session, refreshToken) {
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken: refreshToken,
+        sessionId: session.id,
+        refreshTokenExpiresAt: session.expiresAt
+    };
+}
+
+export function isSessionActive(session, now = new Date()) {
+    return session != null && session.revokedAt == null && session.expiresAt > now;
+}
+
+/**
+ * Abre uma sessão para o usuário e retorna o token de acesso e o refresh token.
+ * Apenas o hash do refresh token é guardado no banco.
+ */
+export async function createSession(user, req) {
+    const {token, tokenHash} = newRefreshToken();
+
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            tokenHash: tokenHash,
+            expiresAt: new Date(Date.now() + config.refreshTokenExpiresInDays * DAY),
+            ...clientInfo(req)
+        }
+    });
+
+    return issueTokens(user, session, token);
+}
+
+/**
+ * Troca o refresh token por um novo par de tokens. O refresh token usado deixa de valer;
+ * se um token já trocado for apresentado de novo, a sessão é encerrada, pois ele pode ter sido roubado.
+ */
+export async function refreshSession(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await prisma.session.findUnique({
+        where: {tokenHash: tokenHash},
+        include: {user: {select: {id: true, email: true}}}
+    });
+
+    if(session == null) {
+        const reused = await prisma.session.findUnique({where: {previousTokenHash: tokenHash}});
+        if(reused != null && reused.revokedAt == null) {
+            await revokeSession(reused.id);
+        }
+
+        throw new UnauthorizedError("Refresh token inválido!", "INVALID_TOKEN");
+    }
+
+    if(!isSessionActive(session)) throw new UnauthorizedError("Sessão expirada ou encerrada!", "SESSION_ENDED");
+
+    // A troca só acontece se o token ainda for o atual da sessão: de duas trocas simultâneas com o mesmo
+    // token, apenas uma vale e a outra é tratada como reuso do token
+    const next = newRefreshToken();
+    const {count} = await prisma.session.updateMany({
+        where: {id: session.id, tokenHash: tokenHash, revokedAt: null},
+        data: {
+            tokenHash: next.tokenHash,
+            previousTokenHash: tokenHash,
+            lastUsedAt: new Date(),
+            ...clientInfo(req)
+        }
+    });
+
+    if(count == 0) {
+        await revokeSession(session.id);
+        throw new UnauthorizedError("Refresh token inválido!", "INVALID_TOKEN");
+    }
+
+    return issueTokens(session.user, session, next.token);
+}
+
+export async function findActiveSession(sessionId) {
+    const session = await prisma.session.findUnique({where: {id: sessionId}});
+
+    return isSessionActive(session) ? session : null;
+}
+
+export async function findUserSessions(userId) {
+    return prisma.session.findMany({
+        where: {userId: userId, revokedAt: null, expiresAt: {gt: new Date()}},
+        select: {id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true, expiresAt: true},
+        orderBy: {lastUsedAt: "desc"}
+    });
+}
+
+export async function revokeSession(sessionId) {
+    await prisma.session.updateMany({
+        where: {id: sessionId, revokedAt: null},
+        data: {revokedAt: new Date()}
+    });
+}
+
+// Encerra todas as sessões ativas do usuário, opcionalmente mantendo uma delas
+export async function revokeUserSessions(userId, exceptSessionId = null) {
+    const result = await prisma.session.updateMany({
+        where: {
+            userId: userId,
+            revokedAt: null,
+            ...(exceptSessionId != null && {id: {not: exceptSessionId}})
+        },
+        data: {revokedAt: new Date()}
+    });
+
+    return result.count;
+}
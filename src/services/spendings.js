@@ -0,0 +1,420 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { findUserCategory, findCategoryTreeIds } from "./categories.js";
+import { findSharedGroupIds, isGroupMember } from "./groups.js";
+import { createConverter, parseCurrency, findBaseCurrency } from "./currencies.js";
+import { toCents, fromCents, parseMoney } from "./money.js";
+import { parseTagNames, ensureUserTags } from "./tags.js";
+import { auditSpending, auditSpendingsCreated } from "./audit.js";
+import { emitSpendingEvent } from "./webhooks.js";
+import { notifyGroupActivity } from "./groupStream.js";
+import { ForbiddenError, fieldError } from "../errors.js";
+
+export const SPENDING_SORT_FIELDS = ["day", "value", "name"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_NOTES_LENGTH = 1000;
+
+function parseNumber(value, message) {
+    const number = Number(value);
+    if(value === "" || isNaN(number)) throw Error(message);
+
+    return number;
+}
+
+/**
+ * Fim exclusivo de um período que vai até "to", inclusive. Uma data sem hora (AAAA-MM-DD) inclui o dia todo,
+ * então o fim é o início do dia seguinte; com hora, é o instante seguinte. Use com "<" (lt).
+ */
+export function periodEnd(to) {
+    const date = new Date(to);
+    if(isNaN(date.getTime())) throw Error("Formato de data inválido!");
+
+    if(/^\d{4}-\d{2}-\d{2}$/.test(String(to).trim())) date.setUTCDate(date.getUTCDate() + 1);
+    else date.setTime(date.getTime() + 1);
+
+    return date;
+}
+
+/**
+ * Filtro dos gastos de "userId" que "viewerId" pode ver: todos, se forem dele, ou apenas os
+ * marcados com algum grupo de que os dois participam.
+ */
+export async function spendingVisibilityFilter(viewerId, userId) {
+    if(viewerId == userId) return {};
+
+    return {groupId: {in: await findSharedGroupIds(viewerId, userId)}};
+}
+
+// Observações do gasto: undefined quando não informadas (mantém as atuais) e null para remover
+export function parseNotes(value) {
+    if(value === undefined) return undefined;
+    if(value === null || String(value).trim() == "") return null;
+
+    const notes = String(value).trim();
+    if(notes.length > MAX_NOTES_LENGTH) throw Error(`As observações devem ter no máximo ${MAX_NOTES_LENGTH} caracteres!`);
+
+    return notes;
+}
+
+/**
+ * Monta a consulta da listagem de gastos de um usuário, vista por "viewerId", a partir da query string:
+ * filtros (category, group, from, to, minValue, maxValue, search), ordenação (sort, order)
+ * e paginação por cursor (cursor, limit).
+ */
+export async function parseSpendingListQuery(userId, query, viewerId = userId) {
+    const where = {userId: userId, deletedAt: null, AND: [await spendingVisibilityFilter(viewerId, userId)]};
+
+    if(query.group == "none") {
+        where.groupId = null;
+    } else if(query.group) {
+        if(isNaN(query.group)) throw Error("Grupo inválido!");
+        where.groupId = parseInt(query.group);
+    }
+
+    // Filtro por categoria (incluindo subcategorias)
+    if(query.category == "none") {
+        where.categoryId = null;
+    } else if(query.category) {
+        if(isNaN(query.category)) throw Error("Categoria inválida!");
+        where.categoryId = {in: await findCategoryTreeIds(userId, parseInt(query.category))};
+    }
+
+    if(query.from || query.to) {
+        where.day = {};
+        if(query.from) {
+            const date = new Date(query.from);
+            if (isNaN(date.getTime())) {
+                throw Error("Formato de data inválido!");
+            }
+            where.day.gte = date;
+        }
+        if(query.to) where.day.lt = periodEnd(query.to);
+    }
+
+    if(query.minValue || query.maxValue) {
+        where.value = {};
+        if(query.minValue) where.value.gte = parseMoney(query.minValue, "Valor mínimo inválido!");
+        if(query.maxValue) where.value.lte = parseMoney(query.maxValue, "Valor máximo inválido!");
+    }
+
+    if(query.search) {
+        where.name = {contains: String(query.search), mode: "insensitive"};
+    }
+
+    const sort = query.sort || "day";
+    if(!SPENDING_SORT_FIELDS.includes(sort)) throw Error("Ordenação inválida!");
+
+    const order = (query.order || "desc").toLowerCase();
+    if(!["asc", "desc"].includes(order)) throw Error("Ordem inválida!");
+
+    const limit = query.limit ? parseNumber(query.limit, "Limite inválido!") : DEFAULT_LIMIT;
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw Error(`O limite deve ser entre 1 e ${MAX_LIMIT}!`);
+
+    const cursor = query.cursor ? parseNumber(query.cursor, "Cursor inválido!") : null;
+
+    return {
+        where,
+        // O ID desempata gastos com o mesmo valor no campo ordenado, mantendo o cursor estável
+        orderBy: [{[sort]: order}, {id: order}],
+        limit,
+        cursor
+    };
+}
+
+/**
+ * Busca a página de gastos de uma consulta montada por parseSpendingListQuery, com o total de gastos
+ * e a soma dos valores na moeda "currency". "include" escolhe as relações carregadas em cada gasto.
+ */
+export async function findSpendingPage(query, currency, include = {}) {
+    const [spendings, total, sum] = await Promise.all([
+        prisma.spending.findMany({
+            where: query.where,
+            orderBy: query.orderBy,
+            // Busca um item a mais para saber se existe uma próxima página
+            take: query.limit + 1,
+            ...(query.cursor != null && {cursor: {id: query.cursor}, skip: 1}),
+            include: include
+        }),
+        prisma.spending.count({where: query.where}),
+        sumSpendingsInCurrency(query.where, currency)
+    ]);
+
+    const hasMore = spendings.length > query.limit;
+    if(hasMore) spendings.pop();
+
+    return {
+        spendings,
+        total,
+        totalValue: sum.total,
+        currency,
+        missingRates: sum.missingRates,
+        limit: query.limit,
+        nextCursor: hasMore ? spendings[spendings.length - 1].id : null
+    };
+}
+
+// Data em que um gasto removido em "deletedAt" sai da lixeira e é apagado de vez
+export function trashPurgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + config.trashRetentionDays * 24 * 60 * 60 * 1000);
+}
+
+// Consulta da lixeira do usuário, com a mesma paginação por cursor (cursor, limit) da listagem de gastos
+export function parseTrashQuery(userId, query) {
+    const limit = query.limit ? parseNumber(query.limit, "Limite inválido!") : DEFAULT_LIMIT;
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw Error(`O limite deve ser entre 1 e ${MAX_LIMIT}!`);
+
+    const cursor = query.cursor ? parseNumber(query.cursor, "Cursor inválido!") : null;
+
+    return {
+        where: {userId: userId, deletedAt: {not: null}},
+        limit,
+        cursor
+    };
+}
+
+/**
+ * Soma os gastos do filtro na moeda "base", agrupando no banco por moeda, dia e valor para converter
+ * cada grupo pela cotação do dia. Como em convertedValueSql, cada gasto convertido é arredondado em centavos
+ * antes de entrar na soma. Gastos sem cotação ficam fora do total e são contados em "missingRates".
+ */
+export async function sumSpendingsInCurrency(where, base) {
+    const groups = await prisma.spending.groupBy({
+        by: ["currency", "day", "value"],
+        where: where,
+        _count: {_all: true}
+    });
+
+    const convert = await createConverter(base, groups.map(group => group.currency));
+
+    let totalCents = 0;
+    let missingRates = 0;
+    for(const group of groups) {
+        const value = convert(group.value, group.currency, group.day);
+
+        if(value == null) missingRates += group._count._all;
+        else totalCents += toCents(value) * group._count._all;
+    }
+
+    return {total: fromCents(totalCents), missingRates};
+}
+
+/**
+ * Busca textual nos gastos do usuário (nome e observações), em português e sem diferenciar acentos,
+ * combinável com os filtros de etiquetas (o gasto deve ter todas), categoria, datas e valores.
+ * O texto aceita a sintaxe de busca da web: "frase exata", -palavra e "or".
+ * Retorna os IDs da página, do mais relevante para o menos relevante, e o total de resultados.
+ */
+export async function searchSpendingIds(userId, query) {
+    const text = query.q ? String(query.q).trim() : "";
+    const tags = parseTagNames(query.tags) || [];
+    if(text == "" && tags.length == 0) throw Error("Informe o texto da busca ou as etiquetas!");
+
+    const conditions = [Prisma.sql`s."userId" = ${userId}`, Prisma.sql`s."deletedAt" IS NULL`];
+    const rank = text == ""
+        ? Prisma.sql`0`
+        : Prisma.sql`ts_rank(s."searchVector", websearch_to_tsquery('pt_unaccent', ${text}))`;
+    if(text != "") conditions.push(Prisma.sql`s."searchVector" @@ websearch_to_tsquery('pt_unaccent', ${text})`);
+
+    for(const tag of tags) {
+        conditions.push(Prisma.sql`EXISTS (
+            SELECT 1 FROM "_SpendingToTag" st JOIN "Tag" t ON t."id" = st."B"
+            WHERE st."A" = s."id" AND t."name" = ${tag}
+        )`);
+    }
+
+    if(query.category == "none") {
+        conditions.push(Prisma.sql`s."categoryId" IS NULL`);
+    } else if(query.category) {
+        if(isNaN(query.category)) throw Error("Categoria inválida!");
+        const ids = await findCategoryTreeIds(userId, parseInt(query.category));
+        conditions.push(Prisma.sql`s."categoryId" IN (${Prisma.join(ids)})`);
+    }
+
+    if(query.from) {
+        const date = new Date(query.from);
+        if(isNaN(date.getTime())) throw Error("Formato de data inválido!");
+        conditions.push(Prisma.sql`s."day" >= ${date}`);
+    }
+    if(query.to) conditions.push(Prisma.sql`s."day" < ${periodEnd(query.to)}`);
+
+    if(query.minValue) conditions.push(Prisma.sql`s."value" >= ${parseMoney(query.minValue, "Valor mínimo inválido!")}`);
+    if(query.maxValue) conditions.push(Prisma.sql`s."value" <= ${parseMoney(query.maxValue, "Valor máximo inválido!")}`);
+
+    const limit = query.limit ? parseNumber(query.limit, "Limite inválido!") : DEFAULT_LIMIT;
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw Error(`O limite deve ser entre 1 e ${MAX_LIMIT}!`);
+
+    const offset = query.offset ? parseNumber(query.offset, "Deslocamento inválido!") : 0;
+    if(!Number.isInteger(offset) || offset < 0) throw Error("Deslocamento inválido!");
+
+    const where = Prisma.join(conditions, " AND ");
+    const [rows, [{total}]] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT s."id", ${rank} AS "rank"
+            FROM "Spending" s
+            WHERE ${where}
+            ORDER BY "rank" DESC, s."day" DESC, s."id" DESC
+            LIMIT ${limit} OFFSET ${offset}
+        `,
+        prisma.$queryRaw`SELECT COUNT(*)::int AS "total" FROM "Spending" s WHERE ${where}`
+    ]);
+
+    return {
+        ids: rows.map(row => row.id),
+        ranks: new Map(rows.map(row => [row.id, Number(row.rank)])),
+        total: total,
+        limit,
+        offset
+    };
+}
+
+// Confere o valor, a categoria e o grupo de um gasto criado ou atualizado (o formato é validado pelo esquema)
+async function checkSpendingData(data) {
+    const value = parseMoney(data.value);
+    if(value == null || value.isZero()) throw fieldError("value", "O valor não pode ser zero!");
+
+    if(data.categoryId) {
+        const category = await findUserCategory(data.userId, data.categoryId);
+        if(category == null) throw fieldError("categoryId", "Categoria não encontrada!");
+    }
+
+    if(data.groupId && !(await isGroupMember(data.userId, data.groupId))) {
+        throw new ForbiddenError("Usuário não pertence ao grupo!");
+    }
+
+    return {value, date: new Date(data.day)};
+}
+
+// Gasto fora da lixeira, com as etiquetas (usadas no histórico e nos webhooks)
+export async function findActiveSpending(spendingId) {
+    return prisma.spending.findFirst({
+        where: {id: spendingId, deletedAt: null},
+        include: {tags: {select: {name: true}}}
+    });
+}
+
+/**
+ * Cadastra o gasto de "data.userId" (createSpendingBody) feito por "actorId", registrando no histórico,
+ * avisando os webhooks e a atividade do grupo.
+ */
+export async function createSpending(actorId, data) {
+    const {value, date} = await checkSpendingData(data);
+    const currency = parseCurrency(data.currency, await findBaseCurrency({userId: data.userId}));
+    const notes = parseNotes(data.notes);
+    const tagNames = parseTagNames(data.tags) || [];
+
+    const spending = await prisma.$transaction(async (tx) => {
+        const tags = await ensureUserTags(data.userId, tagNames, tx);
+        const spending = await tx.spending.create({
+            data: {
+                name: data.name,
+                day: date,
+                value: value,
+                currency: currency,
+                notes: notes || null,
+                userId: data.userId,
+                categoryId: data.categoryId || null,
+                groupId: data.groupId || null,
+                tags: {connect: tags}
+            },
+            include: {tags: {select: {name: true}}}
+        });
+        await auditSpending(actorId, "CREATE", null, spending, tx);
+
+        return spending;
+    });
+    await emitSpendingEvent("spending.created", null, spending);
+    notifyGroupActivity(spending.groupId);
+
+    return spending;
+}
+
+/**
+ * Atualiza o gasto "current" (lido por findActiveSpending) com "data" (updateSpendingBody).
+ * Sem moeda, observações ou etiquetas informadas, o gasto mantém as que já tinha.
+ */
+export async function updateSpending(actorId, current, data) {
+    const {value, date} = await checkSpendingData(data);
+    const currency = data.currency ? parseCurrency(data.currency) : undefined;
+    const notes = parseNotes(data.notes);
+    const tagNames = parseTagNames(data.tags);
+
+    // Atualização do gasto, registrando os valores anteriores no histórico
+    const spending = await prisma.$transaction(async (tx) => {
+        const tags = tagNames && await ensureUserTags(current.userId, tagNames, tx);
+        const spending = await tx.spending.update({
+            where: {id: current.id},
+            data: {
+                name: data.name,
+                day: date,
+                value: value,
+                currency: currency,
+                notes: notes,
+                userId: data.userId,
+                categoryId: data.categoryId,
+                groupId: data.groupId,
+                tags: tags ? {set: tags} : undefined
+            },
+            include: {tags: {select: {name: true}}}
+        });
+        await auditSpending(actorId, "UPDATE", current, spending, tx);
+
+        return spending;
+    });
+    await emitSpendingEvent("spending.updated", current, spending);
+    notifyGroupActivity(current.groupId, spending.groupId);
+
+    return spending;
+}
+
+// Move o gasto "current" (lido por findActiveSpending) para a lixeira
+export async function trashSpending(actorId, current) {
+    const [spending] = await prisma.$transaction([
+        prisma.spending.update({where: {id: current.id}, data: {deletedAt: new Date()}}),
+        auditSpending(actorId, "DELETE", current, null)
+    ]);
+    await emitSpendingEvent("spending.deleted", current, null);
+    notifyGroupActivity(current.groupId);
+
+    return spending;
+}
+
+/**
+ * Cadastra em lote, na transação "tx", gastos já conferidos ("data" no formato de prisma.spending.createMany),
+ * como os da importação de extratos, das parcelas e das recorrências, registrando-os no histórico.
+ * Com "skipDuplicates", os gastos recusados pelos índices únicos são ignorados. Retorna apenas os gastos criados,
+ * que devem ser anunciados com announceCreatedSpendings depois da transação.
+ */
+export async function insertSpendings(tx, actorId, data, {skipDuplicates = false} = {}) {
+    if(data.length == 0) return [];
+
+    const created = await tx.spending.createManyAndReturn({data: data, skipDuplicates: skipDuplicates});
+    const spendings = created.map(spending => ({...spending, tags: []}));
+    await auditSpendingsCreated(actorId, spendings, tx);
+
+    return spendings;
+}
+
+// Avisa os webhooks e a atividade dos grupos sobre os gastos criados em lote por insertSpendings
+export async function announceCreatedSpendings(spendings) {
+    for(const spending of spendings) await emitSpendingEvent("spending.created", null, spending);
+    notifyGroupActivity(...spendings.map(spending => spending.groupId));
+}
+
+export async function findTrashedSpending(spendingId) {
+    return prisma.spending.findFirst({where: {id: spendingId, deletedAt: {not: null}}});
+}
+
+// Devolve às listagens o gasto "trashed" (lido por findTrashedSpending)
+export async function restoreSpending(actorId, trashed) {
+    const [spending] = await prisma.$transaction([
+        prisma.spending.update({where: {id: trashed.id}, data: {deletedAt: null}, include: {tags: {select: {name: true}}}}),
+        auditSpending(actorId, "RESTORE", null, trashed)
+    ]);
+    await emitSpendingEvent("spending.restored", null, spending);
+    notifyGroupActivity(spending.groupId);
+
+    return spending;
+}
@@ -0,0 +1,150 @@
+import { toCents, fromCents, allocateCents, parseMoney } from "./money.js";
+
+export const SPLIT_TYPES = ["EQUAL", "EXACT", "PERCENTAGE", "SHARES"];
+
+/**
+ * Calcula quanto cada participante deve de uma despesa de grupo.
+ *
+ * "participants" é uma lista de {userId, value?, percentage?, shares?}, conforme o tipo de divisão:
+ * - EQUAL: divide o valor igualmente entre os participantes
+ * - EXACT: cada participante informa o valor exato ("value"), cuja soma deve ser o total
+ * - PERCENTAGE: cada participante informa "percentage", cuja soma deve ser 100
+ * - SHARES: cada participante informa a quantidade de partes ("shares")
+ *
+ * Retorna [{userId, value, weight}] com os valores já arredondados em centavos.
+ */
+export function computeShares(total, splitType, participants) {
+    if(!SPLIT_TYPES.includes(splitType)) throw Error("Tipo de divisão inválido!");
+    if(!Array.isArray(participants) || participants.length == 0) throw Error("Informe os participantes da despesa!");
+
+    const userIds = participants.map(participant => participant.userId);
+    if(userIds.some(userId => !userId)) throw Error("Participante inválido!");
+    if(new Set(userIds).size != userIds.length) throw Error("Participante repetido na despesa!");
+
+    const totalCents = toCents(total);
+    let weights;
+    let cents;
+
+    switch(splitType) {
+        case "EQUAL":
+            weights = participants.map(() => 1);
+            cents = allocateCents(totalCents, weights);
+            break;
+        case "EXACT":
+            weights = participants.map(participant => parseMoney(participant.value, "Valor do participante inválido!"));
+            if(weights.some(value => value == null || value.isNegative())) throw Error("Valor do participante inválido!");
+
+            cents = weights.map(toCents);
+            if(cents.reduce((sum, value) => sum + value, 0) != totalCents) throw Error("A soma dos valores deve ser igual ao valor da despesa!");
+            break;
+        case "PERCENTAGE":
+            weights = participants.map(participant => Number(participant.percentage));
+            if(weights.some(value => isNaN(value) || value < 0)) throw Error("Porcentagem do participante inválida!");
+            if(Math.abs(weights.reduce((sum, value) => sum + value, 0) - 100) > 0.0001) throw Error("A soma das porcentagens deve ser 100!");
+
+            cents = allocateCents(totalCents, weights);
+            break;
+        case "SHARES":
+            weights = participants.map(participant => Number(participant.shares));
+            if(weights.some(value => isNaN(value) || value < 0)) throw Error("Quantidade de partes do participante inválida!");
+            if(weights.every(value => value == 0)) throw Error("A despesa deve ter pelo menos uma parte!");
+
+            cents = allocateCents(totalCents, weights);
+            break;
+    }
+
+    return participants.map((participant, index) => ({
+        userId: participant.userId,
+        value: fromCents(cents[index]),
+        weight: splitType == "EQUAL" ? null : Number(weights[index])
+    }));
+}
+
+/**
+ * Calcula os saldos de um grupo a partir das despesas e dos acertos registrados.
+ *
+ * Saldo positivo significa que o membro tem a receber; negativo, que tem a pagar.
+ * Retorna os saldos por membro, as dívidas entre cada par de membros e a lista
+ * de transferências sugeridas para zerar os saldos.
+ */
+export function computeBalances(members, expenses, settlements) {
+    const balances = new Map(members.map(member => [member.id, {paid: 0, owed: 0, sent: 0, received: 0}]));
+    const pairs = new Map();
+
+    const balanceOf = (userId) => {
+        if(!balances.has(userId)) balances.set(userId, {paid: 0, owed: 0, sent: 0, received: 0});
+        return balances.get(userId);
+    };
+
+    // Acumula a dívida de "from" para "to", compensando a dívida no sentido contrário
+    const addDebt = (from, to, cents) => {
+        if(from == to || cents == 0) return;
+
+        const key = from < to ? `${from}:${to}` : `${to}:${from}`;
+        const sign = from < to ? 1 : -1;
+        pairs.set(key, (pairs.get(key) || 0) + sign * cents);
+    };
+
+    expenses.forEach(expense => {
+        balanceOf(expense.payerId).paid += toCents(expense.value);
+
+        expense.shares.forEach(share => {
+            balanceOf(share.userId).owed += toCents(share.value);
+            addDebt(share.userId, expense.payerId, toCents(share.value));
+        });
+    });
+
+    settlements.forEach(settlement => {
+        const cents = toCents(settlement.value);
+
+        balanceOf(settlement.fromUserId).sent += cents;
+        balanceOf(settlement.toUserId).received += cents;
+        addDebt(settlement.toUserId, settlement.fromUserId, cents);
+    });
+
+    const result = [...balances.entries()].map(([userId, balance]) => ({
+        userId: userId,
+        paid: fromCents(balance.paid),
+        owed: fromCents(balance.owed),
+        balance: balance.paid - balance.owed + balance.sent - balance.received
+    }));
+
+    const debts = [];
+    pairs.forEach((cents, key) => {
+        const [a, b] = key.split(":").map(Number);
+        if(cents > 0) debts.push({fromUserId: a, toUserId: b, value: fromCents(cents)});
+        if(cents < 0) debts.push({fromUserId: b, toUserId: a, value: fromCents(-cents)});
+    });
+
+    return {
+        balances: result.map(balance => ({...balance, balance: fromCents(balance.balance)})),
+        debts: debts,
+        transfers: suggestTransfers(result)
+    };
+}
+
+// Sugere transferências para zerar os saldos, sempre quitando o maior devedor com o maior credor.
+// Gera no máximo (n - 1) transferências para n membros com saldo diferente de zero.
+function suggestTransfers(balances) {
+    const debtors = balances.filter(b => b.balance < 0).map(b => ({userId: b.userId, cents: -b.balance}));
+    const creditors = balances.filter(b => b.balance > 0).map(b => ({userId: b.userId, cents: b.balance}));
+    const transfers = [];
+
+    while(debtors.length > 0 && creditors.length > 0) {
+        debtors.sort((a, b) => b.cents - a.cents);
+        creditors.sort((a, b) => b.cents - a.cents);
+
+        const debtor = debtors[0];
+        const creditor = creditors[0];
+        const cents = Math.min(debtor.cents, creditor.cents);
+
+        transfers.push({fromUserId: debtor.userId, toUserId: creditor.userId, value: fromCents(cents)});
+
+        debtor.cents -= cents;
+        creditor.cents -= cents;
+        if(debtor.cents == 0) debtors.shift();
+        if(creditor.cents == 0) creditors.shift();
+    }
+
+    return transfers;
+}
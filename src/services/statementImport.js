@@ -0,0 +1,231 @@
+import prisma from "../database/prisma.js";
+import { parseCsv } from "./csv.js";
+import { parseOfx, ofxEncoding } from "./ofx.js";
+import { toCents, fromCents } from "./money.js";
+
+export const IMPORT_FORMATS = ["csv", "ofx"];
+export const DATE_FORMATS = ["DD/MM/YYYY", "MM/DD/YYYY", "YYYY-MM-DD"];
+
+// Nomes de coluna reconhecidos quando o mapeamento não é informado
+const COLUMN_ALIASES = {
+    day: ["data", "date", "dia", "data lançamento", "data lancamento", "data da compra"],
+    value: ["valor", "value", "amount", "valor (r$)", "quantia"],
+    name: ["descrição", "descricao", "nome", "name", "histórico", "historico", "lançamento", "lancamento", "estabelecimento", "description", "memo"],
+    category: ["categoria", "category"]
+};
+
+/**
+ * Converte um valor monetário em número. Aceita o formato brasileiro ("1.234,56", "R$ -12,90")
+ * e o internacional ("1,234.56"). Sem "decimal", o separador decimal é o último entre "," e "."
+ * que aparecer; um "." sozinho é tratado como decimal. Valores com mais casas decimais que
+ * "maxDecimals" resultam em NaN (assim "1.234" não vira 1,234 reais).
+ */
+export function parseAmount(text, decimal, maxDecimals = Infinity) {
+    if(text == null) return NaN;
+
+    let value = String(text).replace(/[^\d,.\-()]/g, "");
+    const negative = value.includes("-") || /^\(.*\)$/.test(value);
+    value = value.replace(/[-()]/g, "");
+
+    const separator = decimal || (value.lastIndexOf(",") > value.lastIndexOf(".") ? "," : ".");
+    const thousands = separator == "," ? "." : ",";
+
+    value = value.split(thousands).join("").replace(separator, ".");
+    if(value == "" || !/^\d*\.?\d*$/.test(value)) return NaN;
+    if(value.includes(".") && value.split(".")[1].length > maxDecimals) return NaN;
+
+    return negative ? -Number(value) : Number(value);
+}
+
+// Converte uma data no formato informado (padrão é DD/MM/AAAA, ou ISO quando começa pelo ano) para UTC
+export function parseDay(text, dateFormat) {
+    const value = String(text || "").trim();
+    let year, month, day;
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const slashed = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+
+    if(iso && dateFormat != "DD/MM/YYYY" && dateFormat != "MM/DD/YYYY") {
+        [, year, month, day] = iso.map(Number);
+    } else if(slashed) {
+        const [, first, second, rawYear] = slashed;
+        year = rawYear.length == 2 ? 2000 + Number(rawYear) : Number(rawYear);
+        [day, month] = dateFormat == "MM/DD/YYYY" ? [Number(second), Number(first)] : [Number(first), Number(second)];
+    } else {
+        return null;
+    }
+
+    // Meio-dia em UTC para a data não mudar de dia ao ser exibida em outro fuso
+    const date = new Date(Date.UTC(year, month - 1, day, 12));
+    if(isNaN(date.getTime()) || date.getUTCDate() != day || date.getUTCMonth() != month - 1) return null;
+
+    return date;
+}
+
+// Descobre o índice de cada coluna a partir do mapeamento (nome do cabeçalho ou índice) ou dos nomes conhecidos
+function resolveColumns(header, mapping = {}) {
+    const normalized = header.map(column => column.trim().toLowerCase());
+    const columns = {};
+
+    for(const field of Object.keys(COLUMN_ALIASES)) {
+        const mapped = mapping[field];
+
+        if(mapped != null && mapped !== "") {
+            const index = Number.isInteger(mapped) || /^\d+$/.test(mapped)
+                ? Number(mapped)
+                : normalized.indexOf(String(mapped).trim().toLowerCase());
+            if(index < 0) throw Error(`Coluna "${mapped}" não encontrada no arquivo!`);
+
+            columns[field] = index;
+        } else {
+            const index = normalized.findIndex(column => COLUMN_ALIASES[field].includes(column));
+            if(index >= 0) columns[field] = index;
+        }
+    }
+
+    if(columns.day == null) throw Error("Não foi possível identificar a coluna de data!");
+    if(columns.value == null) throw Error("Não foi possível identificar a coluna de valor!");
+
+    return columns;
+}
+
+function readCsvRows(text, options) {
+    const lines = parseCsv(text, options.delimiter || undefined);
+    if(lines.length == 0) throw Error("O arquivo está vazio!");
+
+    const hasHeader = options.header !== false && options.header !== "false";
+    const header = hasHeader ? lines[0] : lines[0].map((_, index) => String(index));
+    const columns = resolveColumns(header, options.mapping);
+
+    return lines.slice(hasHeader ? 1 : 0).map((fields, index) => {
+        const row = {row: index + 1, errors: []};
+        const value = parseAmount(fields[columns.value], options.decimal, 2);
+
+        row.name = columns.name != null ? (fields[columns.name] || "").trim() : "";
+        row.day = parseDay(fields[columns.day], options.dateFormat);
+        row.value = isNaN(value) ? null : Math.abs(value);
+        row.categoryName = columns.category != null ? (fields[columns.category] || "").trim() || null : null;
+
+        if(row.day == null) row.errors.push(`Data inválida: "${fields[columns.day] || ""}"`);
+        if(row.value == null && !isNaN(parseAmount(fields[columns.value], options.decimal))) {
+            row.errors.push(`Valor com mais de duas casas decimais: "${fields[columns.value]}" (confira o separador decimal em "decimal")`);
+        } else if(row.value == null || toCents(row.value) == 0) {
+            row.errors.push(`Valor inválido: "${fields[columns.value] || ""}"`);
+        }
+
+        return row;
+    });
+}
+
+function readOfxRows(text) {
+    return parseOfx(text).map((transaction, index) => {
+        // O TRNAMT não tem separador de milhar; alguns bancos usam vírgula como separador decimal
+        const amount = parseAmount(transaction.amount, (transaction.amount || "").includes(",") ? "," : ".", 2);
+        const row = {
+            row: index + 1,
+            name: transaction.name || transaction.memo || "",
+            day: transaction.day,
+            value: isNaN(amount) ? null : Math.abs(amount),
+            categoryName: null,
+            fitId: transaction.fitId,
+            errors: []
+        };
+
+        if(row.day == null) row.errors.push("Data inválida!");
+        if(row.value == null || toCents(row.value) == 0) row.errors.push("Valor inválido!");
+        // Créditos (valores positivos) são entradas na conta, não gastos
+        if(amount > 0) row.skipped = "Crédito ignorado";
+
+        return row;
+    });
+}
+
+/**
+ * Lê um extrato CSV ou OFX e retorna uma linha por lançamento, com os erros encontrados.
+ * "options" aceita format, mapping, header, delimiter, decimal, dateFormat e encoding (utf8 ou latin1).
+ */
+export function readStatement(buffer, filename, options = {}) {
+    const format = (options.format || (filename || "").split(".").pop() || "").toLowerCase();
+    if(!IMPORT_FORMATS.includes(format)) throw Error("Formato de arquivo inválido! Use CSV ou OFX.");
+    if(options.dateFormat && !DATE_FORMATS.includes(options.dateFormat)) throw Error("Formato de data inválido!");
+    if(options.decimal && ![",", "."].includes(options.decimal)) throw Error("Separador decimal inválido!");
+
+    const encoding = options.encoding || (format == "ofx" ? ofxEncoding(buffer) : "utf8");
+    if(!["utf8", "latin1"].includes(encoding)) throw Error("Codificação inválida! Use utf8 ou latin1.");
+
+    const text = buffer.toString(encoding).replace(/^\uFEFF/, "");
+
+    return format == "ofx" ? readOfxRows(text) : readCsvRows(text, options);
+}
+
+const duplicateKey = (day, value, name) =>
+    `${day.toISOString().slice(0, 10)}|${toCents(value)}|${(name || "").trim().toLowerCase()}`;
+
+/**
+ * Marca as linhas que já existem como gasto do usuário (mesmo dia, valor e nome)
+ * ou que aparecem repetidas no próprio arquivo, e associa as categorias pelo nome.
+ */
+export async function checkStatementRows(userId, rows) {
+    const days = rows.filter(row => row.day != null).map(row => row.day.getTime());
+
+    const existing = new Map();
+    if(days.length > 0) {
+        const start = new Date(Math.min(...days));
+        const end = new Date(Math.max(...days));
+
+        const spendings = await prisma.spending.findMany({
+            where: {
+                userId: userId,
+                deletedAt: null,
+                day: {
+                    gte: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate())),
+                    lt: new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate() + 1))
+                }
+            },
+            select: {id: true, day: true, value: true, name: true}
+        });
+        spendings.forEach(spending => existing.set(duplicateKey(spending.day, spending.value, spending.name), spending.id));
+    }
+
+    const categories = await prisma.category.findMany({
+        where: {userId: userId},
+        select: {id: true, name: true}
+    });
+
+    const seen = new Map();
+    for(const row of rows) {
+        if(row.categoryName) {
+            const category = categories.find(c => c.name.toLowerCase() == row.categoryName.toLowerCase());
+            if(category) row.categoryId = category.id;
+            else row.warnings = [`Categoria "${row.categoryName}" não encontrada, o gasto ficará sem categoria`];
+        }
+
+        if(row.errors.length > 0 || row.skipped) continue;
+
+        const key = duplicateKey(row.day, row.value, row.name);
+        if(existing.has(key)) {
+            row.duplicate = true;
+            row.duplicateOf = existing.get(key);
+        } else if(seen.has(key)) {
+            row.duplicate = true;
+            row.duplicateOfRow = seen.get(key);
+        } else {
+            seen.set(key, row.row);
+        }
+    }
+
+    return rows.map(row => ({
+        row: row.row,
+        name: row.name,
+        day: row.day,
+        value: row.value == null ? null : fromCents(toCents(row.value)),
+        categoryId: row.categoryId || null,
+        fitId: row.fitId,
+        duplicate: row.duplicate || false,
+        duplicateOf: row.duplicateOf,
+        duplicateOfRow: row.duplicateOfRow,
+        skipped: row.skipped,
+        warnings: row.warnings || [],
+        errors: row.errors
+    }));
+}
@@ -0,0 +1,72 @@
+import fs from "fs/promises";
+import path from "path";
+import config from "../config.js";
+
+/**
+ * Armazenamento dos arquivos enviados (anexos dos gastos). O driver é qualquer objeto com os métodos
+ * assíncronos put(key, buffer), get(key) (retorna o conteúdo ou null) e delete(key). Para usar outro
+ * (S3, serviço externo), basta registrá-lo com setStorageDriver na inicialização.
+ */
+
+// Arquivos guardados pelo driver "memory" (útil em desenvolvimento e testes)
+const files = new Map();
+
+// As chaves são geradas pela API, mas o caminho é conferido para nunca sair da pasta de armazenamento
+function localPath(key) {
+    const root = path.resolve(config.storageDir);
+    const filePath = path.resolve(root, key);
+    if(!filePath.startsWith(root + path.sep)) throw Error("Chave de arquivo inválida!");
+
+    return filePath;
+}
+
+export const drivers = {
+    memory: {
+        async put(key, buffer) {
+            files.set(key, buffer);
+        },
+        async get(key) {
+            return files.get(key) || null;
+        },
+        async delete(key) {
+            files.delete(key);
+        }
+    },
+    local: {
+        async put(key, buffer) {
+            const filePath = localPath(key);
+            await fs.mkdir(path.dirname(filePath), {recursive: true});
+            await fs.writeFile(filePath, buffer);
+        },
+        async get(key) {
+            try {
+                return await fs.readFile(localPath(key));
+            } catch (error) {
+                if(error.code == "ENOENT") return null;
+                throw error;
+            }
+        },
+        async delete(key) {
+            await fs.rm(localPath(key), {force: true});
+        }
+    }
+};
+
+let driver = drivers[config.storageDriver];
+if(!driver) throw Error(`Armazenamento de arquivos desconhecido: ${config.storageDriver}`);
+
+export function setStorageDriver(newDriver) {
+    driver = newDriver;
+}
+
+export function putFile(key, buffer) {
+    return driver.put(key, buffer);
+}
+
+export function getFile(key) {
+    return driver.get(key);
+}
+
+export function deleteFile(key) {
+    return driver.delete(key);
+}
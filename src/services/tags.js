@@ -0,0 +1,56 @@
+import prisma from "../database/prisma.js";
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_SPENDING = 20;
+
+/**
+ * Padroniza o nome da etiqueta: sem o "#" inicial, em minúsculas e com hífens no lugar dos espaços
+ * ("#Viagem Rio" vira "viagem-rio"). Aceita letras (com acentos), números, "-" e "_".
+ */
+export function normalizeTagName(value) {
+    const name = String(value ?? "").trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-");
+
+    if(name == "") throw Error("Nome da etiqueta é obrigatório!");
+    if(name.length > MAX_TAG_LENGTH) throw Error(`A etiqueta deve ter no máximo ${MAX_TAG_LENGTH} caracteres!`);
+    if(!/^[\p{L}\p{N}_-]+$/u.test(name)) throw Error(`Etiqueta inválida: "${value}"! Use letras, números, "-" ou "_".`);
+
+    return name;
+}
+
+/**
+ * Lê uma lista de etiquetas (array ou texto separado por vírgulas) e retorna os nomes padronizados, sem repetição.
+ * Retorna null quando a lista não foi informada.
+ */
+export function parseTagNames(value) {
+    if(value === undefined || value === null) return null;
+
+    const list = Array.isArray(value) ? value : String(value).split(",").filter(name => name.trim() != "");
+    const names = [...new Set(list.map(normalizeTagName))];
+    if(names.length > MAX_TAGS_PER_SPENDING) throw Error(`Um gasto pode ter no máximo ${MAX_TAGS_PER_SPENDING} etiquetas!`);
+
+    return names;
+}
+
+// Busca uma etiqueta garantindo que ela pertence ao usuário informado
+export async function findUserTag(userId, tagId) {
+    const tag = await prisma.tag.findUnique({where: {id: tagId}});
+
+    if(tag == null || tag.userId != userId) return null;
+
+    return tag;
+}
+
+// Cria as etiquetas do usuário que ainda não existem e retorna a referência de todas ({id}) para ligar ao gasto
+export async function ensureUserTags(userId, names, client = prisma) {
+    if(names.length == 0) return [];
+
+    await client.tag.createMany({
+        data: names.map(name => ({userId: userId, name: name})),
+        skipDuplicates: true
+    });
+
+    return client.tag.findMany({
+        where: {userId: userId, name: {in: names}},
+        select: {id: true}
+    });
+}
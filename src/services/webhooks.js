@@ -0,0 +1,334 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { Agent, fetch } from "undici";
+import prisma from "../database/prisma.js";
+import config from "../config.js";
+import { snapshot, SPENDING_AUDIT_FIELDS } from "./audit.js";
+import { moneyJsonReplacer } from "./money.js";
+
+/**
+ * Webhooks: cada evento vira uma entrega pendente para cada webhook inscrito, gravada no banco.
+ * O job de entregas envia as pendentes e, em caso de falha, agenda uma nova tentativa com espera
+ * que dobra a cada falha, até WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Cada requisição leva o cabeçalho X-Webhook-Signature com "sha256=" e o HMAC-SHA256, com o segredo
+ * do webhook, de "<X-Webhook-Timestamp>.<corpo>". O destinatário deve recalcular a assinatura
+ * e recusar timestamps antigos para evitar reenvios.
+ *
+ * Para que os webhooks não sirvam de acesso à rede interna do servidor, o host do destino é resolvido
+ * ao cadastrar e na própria conexão de cada envio, e endereços privados, de loopback e link-local são
+ * recusados (exceto os hosts de WEBHOOK_ALLOWED_HOSTS). Do destinatário só é guardado o código da resposta.
+ */
+
+export const WEBHOOK_EVENTS = [
+    "spending.created",
+    "spending.updated",
+    "spending.deleted",
+    "spending.restored",
+    "group.updated",
+    "group.member_joined",
+    "group.member_left"
+];
+
+// Evento enviado apenas pelo teste de entrega (POST /webhooks/{id}/ping)
+export const PING_EVENT = "ping";
+
+export const DELIVERY_STATUSES = ["PENDING", "SUCCEEDED", "FAILED"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export function generateWebhookSecret() {
+    return "whsec_" + crypto.randomBytes(24).toString("base64url");
+}
+
+// Faixas de endereços que não podem ser destino de webhooks: rede local, loopback, link-local
+// (inclui o serviço de metadados das nuvens, 169.254.169.254) e demais faixas reservadas
+const BLOCKED_ADDRESSES = new net.BlockList();
+for(const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+// NAT64 (64:ff9b::/96) e 6to4 (2002::/16) levam a endereços IPv4 que podem ser internos
+for(const [network, prefix] of [
+    ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+
+// Nomes que só existem na rede interna
+const INTERNAL_HOSTNAME = /(^localhost|\.localhost|\.local|\.internal|\.intranet|\.lan|\.home\.arpa)$/;
+
+function isBlockedAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if(mapped) return BLOCKED_ADDRESSES.check(mapped[1], "ipv4");
+
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function isAllowedHost(hostname) {
+    return config.webhookAllowedHosts.includes(hostname.toLowerCase().replace(/\.$/, ""));
+}
+
+/**
+ * Resolução de nomes das conexões dos envios, no formato de net.connect: recusa os endereços bloqueados
+ * e conecta ao próprio endereço conferido. Assim o nome não pode passar a apontar para a rede interna
+ * entre a conferência e a conexão (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, {...options, all: true, verbatim: true}).then(addresses => {
+        if(addresses.length == 0 || (!isAllowedHost(hostname) && addresses.some(({address}) => isBlockedAddress(address)))) {
+            callback(Error("O destino do webhook deve ser um endereço público!"));
+        } else if(options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    }, error => callback(error));
+}
+
+const webhookAgent = new Agent({connect: {lookup: publicLookup}});
+
+/**
+ * Confere se o host da URL pode receber webhooks: resolve o nome e recusa endereços internos,
+ * nomes da rede interna e nomes sem domínio. Os hosts de WEBHOOK_ALLOWED_HOSTS não são conferidos.
+ */
+export async function assertPublicWebhookHost(url) {
+    const hostname = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1").replace(/\.$/, "");
+    if(isAllowedHost(hostname)) return;
+
+    const denied = Error("O destino do webhook deve ser um endereço público!");
+    if(!net.isIP(hostname) && (!hostname.includes(".") || INTERNAL_HOSTNAME.test(hostname))) throw denied;
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname, {all: true, verbatim: true});
+    } catch {
+        throw Error(`Não foi possível resolver o host ${hostname}!`);
+    }
+    if(addresses.length == 0 || addresses.some(({address}) => isBlockedAddress(address))) throw denied;
+}
+
+export async function parseWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || ""));
+    } catch {
+        throw Error("URL do webhook inválida!");
+    }
+    if(!["http:", "https:"].includes(url.protocol)) throw Error("A URL do webhook deve usar http ou https!");
+    if(url.username || url.password) throw Error("A URL do webhook não pode ter usuário e senha!");
+
+    await assertPublicWebhookHost(url);
+
+    return url.toString();
+}
+
+export function parseWebhookEvents(value) {
+    if(!Array.isArray(value) || value.length == 0) throw Error("Informe os eventos do webhook!");
+
+    const invalid = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if(invalid.length > 0) throw Error(`Eventos inválidos: ${invalid.join(", ")}! Use: ${WEBHOOK_EVENTS.join(", ")}`);
+
+    return [...new Set(value)];
+}
+
+export function signPayload(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Espera antes da próxima tentativa, depois de "attempts" tentativas com falha
+export function retryDelaySeconds(attempts) {
+    return config.webhookRetryBaseSeconds * 2 ** (attempts - 1);
+}
+
+// O segredo só é mostrado ao criar o webhook ou ao trocá-lo
+export function formatWebhook(webhook) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: webhook.events,
+        active: webhook.active,
+        userId: webhook.userId,
+        groupId: webhook.groupId,
+        createdById: webhook.createdById,
+        createdAt: webhook.createdAt
+    };
+}
+
+export function formatDelivery(delivery) {
+    return {
+        id: delivery.id,
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status == "PENDING" ? delivery.nextAttemptAt : null,
+        lastAttemptAt: delivery.lastAttemptAt,
+        responseStatus: delivery.responseStatus,
+        error: delivery.error,
+        createdAt: delivery.createdAt,
+        deliveredAt: delivery.deliveredAt,
+        payload: delivery.payload
+    };
+}
+
+/**
+ * Busca uma página do registro de entregas do webhook, da mais recente para a mais antiga,
+ * com paginação por cursor (cursor, limit) e filtro opcional por situação (status).
+ */
+export async function findDeliveryPage(webhookId, query) {
+    const where = {webhookId: webhookId};
+    if(query.status) {
+        const status = String(query.status).toUpperCase();
+        if(!DELIVERY_STATUSES.includes(status)) throw Error(`Situação inválida! Use: ${DELIVERY_STATUSES.join(", ")}`);
+        where.status = status;
+    }
+
+    const limit = query.limit ? Number(query.limit) : DEFAULT_LIMIT;
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw Error(`O limite deve ser entre 1 e ${MAX_LIMIT}!`);
+
+    const cursor = query.cursor ? Number(query.cursor) : null;
+    if(cursor != null && !Number.isInteger(cursor)) throw Error("Cursor inválido!");
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+        where: where,
+        orderBy: {id: "desc"},
+        take: limit + 1,
+        ...(cursor != null && {cursor: {id: cursor}, skip: 1})
+    });
+
+    const hasMore = deliveries.length > limit;
+    if(hasMore) deliveries.pop();
+
+    return {
+        data: deliveries.map(formatDelivery),
+        meta: {
+            limit: limit,
+            nextCursor: hasMore ? deliveries[deliveries.length - 1].id : null
+        }
+    };
+}
+
+function buildPayload(event, data) {
+    return JSON.parse(JSON.stringify({event, createdAt: new Date(), data}, moneyJsonReplacer));
+}
+
+/**
+ * Coloca o evento na fila de todos os webhooks ativos inscritos nele: os do usuário "userId"
+ * e os dos grupos "groupIds". Falhas aqui são registradas e não interrompem a operação que gerou o evento.
+ */
+export async function emitWebhookEvent(event, {userId = null, groupIds = []}, data) {
+    try {
+        const owners = [
+            ...(userId != null ? [{userId: userId}] : []),
+            ...(groupIds.length > 0 ? [{groupId: {in: groupIds}}] : [])
+        ];
+        if(owners.length == 0) return 0;
+
+        const webhooks = await prisma.webhook.findMany({
+            where: {active: true, events: {has: event}, OR: owners},
+            select: {id: true}
+        });
+        if(webhooks.length == 0) return 0;
+
+        const payload = buildPayload(event, data);
+        const {count} = await prisma.webhookDelivery.createMany({
+            data: webhooks.map(webhook => ({webhookId: webhook.id, event: event, payload: payload}))
+        });
+
+        return count;
+    } catch (error) {
+        console.error("Erro ao registrar o evento de webhook:", error.message);
+        return 0;
+    }
+}
+
+// Eventos de gasto vão para o dono e para os grupos com que o gasto estava ou passou a estar marcado.
+// Alterações que não mudaram nenhum campo não geram evento
+export async function emitSpendingEvent(event, before, after) {
+    const spending = after || before;
+    const groupIds = [...new Set([before?.groupId, after?.groupId].filter(groupId => groupId != null))];
+
+    const current = snapshot(spending, SPENDING_AUDIT_FIELDS);
+    const previous = before && after ? snapshot(before, SPENDING_AUDIT_FIELDS) : null;
+    if(previous && JSON.stringify(previous) == JSON.stringify(current)) return 0;
+
+    return emitWebhookEvent(event, {userId: spending.userId, groupIds}, {
+        spending: {id: spending.id, ...current},
+        ...(previous && {previous})
+    });
+}
+
+/**
+ * Envia uma entrega ao webhook e grava o resultado: sucesso com resposta 2xx, nova tentativa agendada
+ * em caso de falha ou FAILED ao esgotar as tentativas. Retorna a entrega atualizada.
+ */
+export async function attemptDelivery(delivery, webhook, now = new Date()) {
+    const body = JSON.stringify({id: delivery.id, ...delivery.payload});
+    const timestamp = Math.floor(now.getTime() / 1000).toString();
+
+    let responseStatus = null;
+    let error = null;
+    try {
+        // O host é conferido de novo a cada envio, pois o endereço do nome pode ter mudado desde o cadastro,
+        // e a conexão passa por publicLookup, que confere os endereços a que ela de fato se conecta
+        await assertPublicWebhookHost(new URL(webhook.url));
+
+        const response = await fetch(webhook.url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "SpendingAPI-Webhooks/1.0",
+                "X-Webhook-Id": String(webhook.id),
+                "X-Webhook-Delivery": String(delivery.id),
+                "X-Webhook-Event": delivery.event,
+                "X-Webhook-Timestamp": timestamp,
+                "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body)
+            },
+            body: body,
+            redirect: "manual",
+            dispatcher: webhookAgent,
+            signal: AbortSignal.timeout(config.webhookTimeoutSeconds * 1000)
+        });
+
+        responseStatus = response.status;
+        await response.body?.cancel();
+        if(!response.ok) error = `Resposta ${response.status}`;
+    } catch (err) {
+        error = err.name == "TimeoutError"
+            ? `Sem resposta em ${config.webhookTimeoutSeconds} segundos`
+            : (err.cause?.message || err.message);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const failed = error != null;
+
+    return prisma.webhookDelivery.update({
+        where: {id: delivery.id},
+        data: {
+            attempts: attempts,
+            lastAttemptAt: now,
+            responseStatus: responseStatus,
+            error: error,
+            status: !failed ? "SUCCEEDED" : attempts >= config.webhookMaxAttempts ? "FAILED" : "PENDING",
+            deliveredAt: failed ? null : new Date(),
+            nextAttemptAt: failed ? new Date(now.getTime() + retryDelaySeconds(attempts) * 1000) : now
+        }
+    });
+}
+
+// Teste de entrega: envia um evento "ping" na hora, uma única vez, e retorna o resultado registrado
+export async function pingWebhook(webhook) {
+    const delivery = await prisma.webhookDelivery.create({
+        data: {
+            webhookId: webhook.id,
+            event: PING_EVENT,
+            payload: buildPayload(PING_EVENT, {webhookId: webhook.id, message: "Teste de entrega do webhook"})
+        }
+    });
+
+    const result = await attemptDelivery(delivery, webhook);
+    if(result.status != "PENDING") return result;
+
+    return prisma.webhookDelivery.update({where: {id: result.id}, data: {status: "FAILED"}});
+}